@@ -0,0 +1,225 @@
+import { GitHubRateLimitError } from './github.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+// --- Activity patterns ---
+// Working cadence beyond the weekly totals: a day-of-week x hour-of-day heatmap, contribution streaks and
+// how evenly the year's commits are spread. Timestamps come from the user's public events (about the last
+// 90 days) and the authored dates of their commits in the most recently pushed repositories. GitHub reports
+// both in UTC, so they are shifted into the time zone guessed from the profile's location, or left in UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+// Recently pushed non-fork repositories whose commits are sampled (one page of 100 each)
+const COMMIT_SAMPLE_REPOS = 5;
+// Events that are the user's own work; stars, forks, membership changes and the like are not
+const CONTRIBUTION_EVENTS = new Set(['PushEvent', 'PullRequestEvent', 'IssuesEvent', 'IssueCommentEvent', 'PullRequestReviewEvent', 'CreateEvent']);
+
+// Location keywords -> IANA time zone. Cities come before countries so "Vancouver, Canada" resolves to the
+// city; bare country names that span several zones (United States, Canada) are left out. Keywords match
+// whole words only, so "india" does not match Indiana.
+const LOCATION_TIME_ZONES = [
+    ['san francisco|bay area|silicon valley|los angeles|seattle|portland|san diego|san jose|california', 'America/Los_Angeles'],
+    ['vancouver|british columbia', 'America/Vancouver'],
+    ['denver|colorado|new mexico|salt lake|utah', 'America/Denver'],
+    ['phoenix|arizona', 'America/Phoenix'],
+    ['chicago|austin|dallas|houston|texas|minneapolis', 'America/Chicago'],
+    ['new york|nyc|boston|washington dc|philadelphia|atlanta|miami|pittsburgh|florida', 'America/New_York'],
+    ['toronto|montreal|ottawa|ontario|quebec', 'America/Toronto'],
+    ['mexico', 'America/Mexico_City'],
+    ['sao paulo|rio de janeiro|brazil|brasil', 'America/Sao_Paulo'],
+    ['buenos aires|argentina', 'America/Argentina/Buenos_Aires'],
+    ['santiago|chile', 'America/Santiago'],
+    ['bogota|colombia', 'America/Bogota'],
+    ['lima|peru', 'America/Lima'],
+    ['london|manchester|edinburgh|england|scotland|united kingdom|uk', 'Europe/London'],
+    ['dublin|ireland', 'Europe/Dublin'],
+    ['lisbon|porto|portugal', 'Europe/Lisbon'],
+    ['paris|lyon|france', 'Europe/Paris'],
+    ['berlin|munich|hamburg|cologne|frankfurt|germany|deutschland', 'Europe/Berlin'],
+    ['amsterdam|rotterdam|netherlands', 'Europe/Amsterdam'],
+    ['brussels|belgium', 'Europe/Brussels'],
+    ['madrid|barcelona|valencia|spain|espana', 'Europe/Madrid'],
+    ['rome|milan|turin|italy|italia', 'Europe/Rome'],
+    ['zurich|geneva|switzerland', 'Europe/Zurich'],
+    ['vienna|austria', 'Europe/Vienna'],
+    ['prague|czech', 'Europe/Prague'],
+    ['warsaw|krakow|wroclaw|poland', 'Europe/Warsaw'],
+    ['budapest|hungary', 'Europe/Budapest'],
+    ['stockholm|sweden', 'Europe/Stockholm'],
+    ['oslo|norway', 'Europe/Oslo'],
+    ['copenhagen|denmark', 'Europe/Copenhagen'],
+    ['helsinki|finland', 'Europe/Helsinki'],
+    ['athens|greece', 'Europe/Athens'],
+    ['bucharest|romania', 'Europe/Bucharest'],
+    ['kyiv|kiev|kharkiv|lviv|ukraine', 'Europe/Kyiv'],
+    ['moscow|saint petersburg|russia', 'Europe/Moscow'],
+    ['istanbul|ankara|turkey|turkiye', 'Europe/Istanbul'],
+    ['tel aviv|jerusalem|israel', 'Asia/Jerusalem'],
+    ['cairo|egypt', 'Africa/Cairo'],
+    ['lagos|nigeria', 'Africa/Lagos'],
+    ['nairobi|kenya', 'Africa/Nairobi'],
+    ['cape town|johannesburg|south africa', 'Africa/Johannesburg'],
+    ['dubai|abu dhabi|emirates|uae', 'Asia/Dubai'],
+    ['riyadh|saudi', 'Asia/Riyadh'],
+    ['tehran|iran', 'Asia/Tehran'],
+    ['karachi|lahore|islamabad|pakistan', 'Asia/Karachi'],
+    ['bangalore|bengaluru|mumbai|delhi|hyderabad|pune|chennai|kolkata|india', 'Asia/Kolkata'],
+    ['dhaka|bangladesh', 'Asia/Dhaka'],
+    ['bangkok|thailand', 'Asia/Bangkok'],
+    ['hanoi|ho chi minh|saigon|vietnam', 'Asia/Ho_Chi_Minh'],
+    ['jakarta|indonesia', 'Asia/Jakarta'],
+    ['kuala lumpur|malaysia', 'Asia/Kuala_Lumpur'],
+    ['singapore', 'Asia/Singapore'],
+    ['manila|philippines', 'Asia/Manila'],
+    ['hong kong', 'Asia/Hong_Kong'],
+    ['taipei|taiwan', 'Asia/Taipei'],
+    ['beijing|shanghai|shenzhen|hangzhou|guangzhou|chengdu|china', 'Asia/Shanghai'],
+    ['seoul|korea', 'Asia/Seoul'],
+    ['tokyo|osaka|kyoto|japan', 'Asia/Tokyo'],
+    ['perth', 'Australia/Perth'],
+    ['brisbane|queensland', 'Australia/Brisbane'],
+    ['sydney|melbourne|canberra|australia', 'Australia/Sydney'],
+    ['auckland|wellington|new zealand', 'Pacific/Auckland'],
+].map(([keywords, timeZone]) => [new RegExp(`\\b(?:${keywords})\\b`), timeZone]);
+
+/**
+ * Guesses an IANA time zone from a free-form GitHub profile location.
+ * @param {string|null} location - e.g. "Berlin, Germany".
+ * @returns {string|null} Time zone, or null when the location is empty or not recognized.
+ */
+function timeZoneForLocation(location) {
+    if (!location) return null;
+    const normalized = location.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const match = LOCATION_TIME_ZONES.find(([pattern]) => pattern.test(normalized));
+    return match ? match[1] : null;
+}
+
+// --- Fetch timestamps ---
+// Public events only reach back ~90 days (at most 300 events), but they are available immediately.
+async function fetchPublicEvents(username, github) {
+    const events = [];
+    for (let page = 1; page <= 3; page++) {
+        const r = await github.request(`/users/${username}/events/public?per_page=100&page=${page}`);
+        if (!r.ok) break;
+        const batch = r.data;
+        if (!Array.isArray(batch) || batch.length === 0) break;
+        events.push(...batch);
+        if (batch.length < 100) break;
+    }
+    return events;
+}
+
+/**
+ * Collects the UTC timestamps of the user's recent activity: authored commits in the most recently pushed
+ * repositories, plus the public contribution events except pushes to those repositories (already counted
+ * per commit).
+ * @returns {Promise<{ commits: string[], events: string[] }>} ISO timestamps by source.
+ */
+async function fetchActivityTimestamps(github, username, repos, { concurrency, signal } = {}) {
+    // Rounded to the day so repeated analyses reuse the cached commit pages
+    const since = new Date(Math.floor((Date.now() - YEAR_MS) / DAY_MS) * DAY_MS).toISOString();
+    const sampled = repos
+        .filter(repo => !repo.fork && repo.pushed_at >= since)
+        .sort((a, b) => b.pushed_at.localeCompare(a.pushed_at))
+        .slice(0, COMMIT_SAMPLE_REPOS);
+
+    const commitPages = await mapWithConcurrency(sampled, concurrency, async (repo) => {
+        signal?.throwIfAborted();
+        try {
+            const r = await github.request(`/repos/${repo.full_name}/commits?author=${username}&since=${since}&per_page=100`);
+            return r.ok && Array.isArray(r.data) ? r.data.map(commit => commit.commit?.author?.date) : [];
+        } catch (e) {
+            if (e instanceof GitHubRateLimitError) throw e;
+            return [];
+        }
+    });
+
+    const sampledNames = new Set(sampled.map(repo => repo.full_name));
+    const events = await fetchPublicEvents(username, github);
+    return {
+        commits: commitPages.flat().filter(Boolean),
+        events: events
+            .filter(event => CONTRIBUTION_EVENTS.has(event.type))
+            .filter(event => !(event.type === 'PushEvent' && sampledNames.has(event.repo.name)))
+            .map(event => event.created_at),
+    };
+}
+
+// --- Summarize ---
+// Local calendar day ("2024-05-31"), day of week (0 = Sunday) and hour for a UTC timestamp.
+function localTimeParts(formatter, timestamp) {
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+    const day = `${parts.year}-${parts.month}-${parts.day}`;
+    return { day, weekday: new Date(`${day}T00:00:00Z`).getUTCDay(), hour: Number(parts.hour) };
+}
+
+// Longest run of consecutive days, and the run ending today or yesterday (still alive).
+function contributionStreaks(days, today) {
+    const dayNumbers = [...days].map(day => Date.parse(`${day}T00:00:00Z`) / DAY_MS).sort((a, b) => a - b);
+    const todayNumber = Date.parse(`${today}T00:00:00Z`) / DAY_MS;
+    let longest = 0;
+    let run = 0;
+    for (let i = 0; i < dayNumbers.length; i++) {
+        run = i > 0 && dayNumbers[i] === dayNumbers[i - 1] + 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+    const last = dayNumbers[dayNumbers.length - 1];
+    return { longest, current: last !== undefined && todayNumber - last <= 1 ? run : 0 };
+}
+
+// Goh-Barabasi burstiness of the weekly commit counts: -1 perfectly regular, 0 random, 1 bursty.
+function burstiness(weeks) {
+    const mean = weeks.reduce((sum, count) => sum + count, 0) / weeks.length;
+    if (mean === 0) return null;
+    const deviation = Math.sqrt(weeks.reduce((sum, count) => sum + (count - mean) ** 2, 0) / weeks.length);
+    return Math.round((deviation - mean) / (deviation + mean) * 100) / 100;
+}
+
+function consistencyLabel(value) {
+    if (value === null) return 'inactive';
+    if (value < 0) return 'steady';
+    return value < 0.5 ? 'irregular' : 'bursty';
+}
+
+/**
+ * Builds the `activityPatterns` section.
+ * @param {{ commits: string[], events: string[] }} timestamps - From fetchActivityTimestamps.
+ * @param {object} context - `location` from the profile and the 52-week `weeks` commit series.
+ * @returns {object} Heatmap (7 days from Sunday x 24 hours), its peak, streaks in days, active weeks of the
+ * last 52, burstiness and a consistency label, the time zone used, and how many timestamps were sampled.
+ */
+function summarizeActivityPatterns({ commits, events }, { location, weeks }) {
+    const locationZone = timeZoneForLocation(location);
+    const timeZone = locationZone || 'UTC';
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23',
+    });
+
+    const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    const days = new Set();
+    for (const timestamp of [...commits, ...events]) {
+        const { day, weekday, hour } = localTimeParts(formatter, timestamp);
+        heatmap[weekday][hour]++;
+        days.add(day);
+    }
+
+    let peak = null;
+    heatmap.forEach((hours, day) => hours.forEach((count, hour) => {
+        if (count > 0 && (!peak || count > heatmap[peak.day][peak.hour])) peak = { day, hour };
+    }));
+
+    const weeklyBurstiness = burstiness(weeks);
+    return {
+        timeZone: { name: timeZone, source: locationZone ? 'location' : 'default' },
+        heatmap,
+        peak,
+        streaks: contributionStreaks(days, localTimeParts(formatter, Date.now()).day),
+        activeDays: days.size,
+        activeWeeks: weeks.filter(count => count > 0).length,
+        burstiness: weeklyBurstiness,
+        consistency: consistencyLabel(weeklyBurstiness),
+        sampled: { commits: commits.length, events: events.length },
+    };
+}
+
+export { fetchActivityTimestamps, fetchPublicEvents, summarizeActivityPatterns, timeZoneForLocation };
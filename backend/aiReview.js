@@ -0,0 +1,160 @@
+import OpenAI from 'openai';
+import { GoogleGenAI } from '@google/genai';
+import { templateReview } from '../shared/templateReview.js';
+
+// --- Provider configuration ---
+// AI_PROVIDER selects the backend: openai | gemini | local | template.
+// When unset, the first provider with credentials wins and the template is the last resort.
+const DEFAULT_TIMEOUT_MS = 15000;
+
+const SYSTEM_PROMPT = 'You are a technical recruiter reviewing a GitHub profile. ' +
+    'Write a concise, factual review (4-6 sentences) of the candidate\'s strengths, focus areas and gaps. ' +
+    'Only use the data provided; do not invent projects, employers or skills.';
+
+// --- Prompt ---
+/**
+ * Builds the structured prompt sent to every LLM provider.
+ * @param {object} context - { profile, repos, langTotals, hireabilityScore, scoreBreakdown }
+ * @returns {string} Prompt text.
+ */
+function buildReviewPrompt({ profile, repos, langTotals, hireabilityScore, scoreBreakdown }) {
+    const topRepos = [...repos]
+        .sort((a, b) => b.stargazers_count - a.stargazers_count)
+        .slice(0, 5)
+        .map(repo => `- ${repo.name} (${repo.language || 'n/a'}, ${repo.stargazers_count} stars, last push ${repo.pushed_at?.slice(0, 10) || 'unknown'}): ${repo.description || 'no description'}`);
+
+    const totalBytes = Object.values(langTotals).reduce((sum, bytes) => sum + bytes, 0);
+    const languages = Object.entries(langTotals)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 8)
+        .map(([lang, bytes]) => `- ${lang}: ${((bytes / totalBytes) * 100).toFixed(1)}%`);
+
+    const breakdown = scoreBreakdown.map(factor => `- ${factor.label}: ${factor.points}/${factor.max}`);
+
+    return [
+        `Candidate: ${profile.name || profile.login} (@${profile.login})`,
+        `Bio: ${profile.bio || 'none'}`,
+        `Followers: ${profile.followers}, public repos: ${profile.public_repos}, account created: ${profile.created_at?.slice(0, 10) || 'unknown'}`,
+        '',
+        `Hireability score: ${hireabilityScore}/100`,
+        ...breakdown,
+        '',
+        'Top repositories:',
+        ...(topRepos.length ? topRepos : ['- none']),
+        '',
+        'Languages by code size:',
+        ...(languages.length ? languages : ['- none detected']),
+    ].join('\n');
+}
+
+// --- Providers ---
+function createOpenAICompatibleProvider(name, { apiKey, baseURL, model }) {
+    const client = new OpenAI({ apiKey, baseURL });
+    return {
+        name,
+        model,
+        async generate(prompt, signal) {
+            const completion = await client.chat.completions.create({
+                model,
+                messages: [
+                    { role: 'system', content: SYSTEM_PROMPT },
+                    { role: 'user', content: prompt },
+                ],
+                temperature: 0.4,
+            }, { signal, maxRetries: 0 });
+            return completion.choices[0]?.message?.content;
+        },
+    };
+}
+
+function createGeminiProvider({ apiKey, model }) {
+    const client = new GoogleGenAI({ apiKey });
+    return {
+        name: 'gemini',
+        model,
+        async generate(prompt, signal) {
+            const response = await client.models.generateContent({
+                model,
+                contents: prompt,
+                config: { systemInstruction: SYSTEM_PROMPT, temperature: 0.4, abortSignal: signal },
+            });
+            return response.text;
+        },
+    };
+}
+
+/**
+ * Creates the LLM provider selected by the environment, or null for the template.
+ * @returns {{ name: string, model: string, generate: Function } | null}
+ */
+function createProvider(env = process.env) {
+    const requested = (env.AI_PROVIDER || '').toLowerCase();
+
+    const factories = {
+        openai: () => env.OPENAI_API_KEY && createOpenAICompatibleProvider('openai', {
+            apiKey: env.OPENAI_API_KEY,
+            model: env.OPENAI_MODEL || 'gpt-4o-mini',
+        }),
+        gemini: () => env.GEMINI_API_KEY && createGeminiProvider({
+            apiKey: env.GEMINI_API_KEY,
+            model: env.GEMINI_MODEL || 'gemini-2.5-flash',
+        }),
+        // Any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, ...).
+        local: () => env.LOCAL_LLM_BASE_URL && createOpenAICompatibleProvider('local', {
+            apiKey: env.LOCAL_LLM_API_KEY || 'not-needed',
+            baseURL: env.LOCAL_LLM_BASE_URL,
+            model: env.LOCAL_LLM_MODEL || 'llama3.1',
+        }),
+    };
+
+    if (requested === 'template') return null;
+    if (requested) {
+        if (!factories[requested]) {
+            console.warn(`Unknown AI_PROVIDER "${requested}", using the template review.`);
+            return null;
+        }
+        const provider = factories[requested]();
+        if (!provider) console.warn(`AI_PROVIDER "${requested}" is missing its credentials, using the template review.`);
+        return provider || null;
+    }
+
+    for (const factory of Object.values(factories)) {
+        const provider = factory();
+        if (provider) return provider;
+    }
+    return null;
+}
+
+// Created on first use so the environment is read after dotenv has loaded it.
+let provider;
+
+// --- Review generation ---
+/**
+ * Generates the recruiter review with the configured provider, falling back to the
+ * deterministic template on timeout, error or empty output.
+ * @param {object} context - { profile, repos, langTotals, hireabilityScore, scoreBreakdown }
+ * @returns {Promise<{ text: string, provider: string, model: string|null, fallbackReason?: string }>}
+ */
+async function generateAIReview(context) {
+    if (provider === undefined) provider = createProvider();
+    if (!provider) {
+        return { text: templateReview(context), provider: 'template', model: null };
+    }
+
+    const timeoutMs = Number(process.env.AI_REVIEW_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const text = await provider.generate(buildReviewPrompt(context), controller.signal);
+        if (!text || !text.trim()) throw new Error('Empty response');
+        return { text: text.trim(), provider: provider.name, model: provider.model };
+    } catch (err) {
+        const fallbackReason = controller.signal.aborted ? `Timed out after ${timeoutMs}ms` : err.message;
+        console.error(`AI review via ${provider.name} failed:`, fallbackReason);
+        return { text: templateReview(context), provider: 'template', model: null, fallbackReason };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+export { buildReviewPrompt, createProvider, generateAIReview };
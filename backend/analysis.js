@@ -0,0 +1,396 @@
+import { generateAIReview } from './aiReview.js';
+import { createGitHubClient, GitHubRateLimitError } from './github.js';
+import { fetchUserGraphQL } from './githubGraphql.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { getPreset, scoreProfile } from './scoring.js';
+import { assessRepoQuality, fetchRepoFiles } from './repoQuality.js';
+import { applyFilterRules, parseFilterRules } from './repoFilter.js';
+import { recordSnapshot } from './history.js';
+import { fetchContributions } from './contributions.js';
+import { detectTechStack } from './techStack.js';
+import { buildLanguageTimeline } from './languageTimeline.js';
+import { buildNetwork } from './network.js';
+import { fetchActivityTimestamps, fetchPublicEvents, summarizeActivityPatterns } from './activityPatterns.js';
+
+// --- Profile analysis ---
+// The analysis pipeline shared by the server and the gh-analyze CLI: fetch the profile and repositories,
+// assess and filter repositories, aggregate languages and commit activity, score, and review.
+// Settings are read from the environment per call, so callers load dotenv before the first analysis.
+
+// Maximum per-repo GitHub calls in flight for one analysis
+const githubConcurrency = () => Number(process.env.GITHUB_CONCURRENCY) || 8;
+// Safety cap on repositories fetched per user; the response is flagged `truncated` when hit
+const githubMaxRepos = () => Number(process.env.GITHUB_MAX_REPOS) || 1000;
+// Data-access path for profile, repositories and languages: `rest` (default) or `graphql`
+const defaultFetchMode = () => process.env.GITHUB_FETCH_MODE === 'graphql' ? 'graphql' : 'rest';
+// Top non-fork repositories whose dependency manifests are read for the tech stack
+const techStackMaxRepos = () => Number(process.env.TECH_STACK_MAX_REPOS) || 10;
+// Top non-fork repositories whose file listings are read for the quality assessment while a quality
+// threshold is in force; the rest are left unassessed
+const qualityMaxRepos = () => Number(process.env.QUALITY_MAX_REPOS) || 50;
+// Without a threshold only the repositories the reports list need the full assessment
+const LISTED_REPOS = 10;
+
+// --- Repository quality ---
+// Returns copies of the repos with a `quality` assessment (null for forks, whose files are upstream's),
+// sorted by quality and then stars. Copies keep cached GitHub responses untouched.
+// File listings are read for the `maxRepos` most starred, most recently pushed repositories (GraphQL
+// already returns them for all); the others are flagged `unassessed` with a null quality and sort after
+// them. A metadata-only score is on a different scale, so it is never compared against the threshold.
+async function assessRepositories(github, repos, filesByRepo, { maxRepos, signal }) {
+    const fullyAssessed = new Set(repos
+        .filter(repo => !repo.fork)
+        .sort((a, b) => b.stargazers_count - a.stargazers_count || (b.pushed_at || '').localeCompare(a.pushed_at || ''))
+        .slice(0, maxRepos)
+        .map(repo => repo.name));
+
+    const assessed = await mapWithConcurrency(repos, githubConcurrency(), async (repo) => {
+        if (repo.fork) return { ...repo, quality: null };
+        if (filesByRepo?.has(repo.name)) return { ...repo, quality: assessRepoQuality(repo, filesByRepo.get(repo.name)) };
+        if (!fullyAssessed.has(repo.name)) return { ...repo, quality: null, unassessed: true };
+        signal?.throwIfAborted();
+        try {
+            return { ...repo, quality: assessRepoQuality(repo, await fetchRepoFiles(github, repo)) };
+        } catch (e) {
+            if (e instanceof GitHubRateLimitError) throw e;
+            return { ...repo, quality: assessRepoQuality(repo, { root: [], workflows: [] }) };
+        }
+    });
+
+    return assessed.sort((a, b) =>
+        Boolean(a.unassessed) - Boolean(b.unassessed)
+        || (b.quality?.score ?? -1) - (a.quality?.score ?? -1)
+        || b.stargazers_count - a.stargazers_count
+    );
+}
+
+// --- Annual Commit Activity ---
+const WEEKS_PER_YEAR = 52;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// GitHub stats weeks start on Sunday 00:00 UTC, so bucket everything the same way.
+function startOfWeekUtc(timestamp) {
+    const date = new Date(timestamp);
+    const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    return midnight - date.getUTCDay() * DAY_MS;
+}
+
+// Adds commits to the week bucket for the given timestamp (index 0 = a year ago, 51 = current week).
+function addToWeek(weeks, currentWeekStart, timestamp, commits) {
+    const weeksAgo = Math.round((currentWeekStart - startOfWeekUtc(timestamp)) / WEEK_MS);
+    if (weeksAgo < 0 || weeksAgo >= WEEKS_PER_YEAR) return;
+    weeks[WEEKS_PER_YEAR - 1 - weeksAgo] += commits;
+}
+
+// Returns the user's contributor stats for a repo, or null while GitHub is still computing them (202).
+async function fetchContributorWeeks(username, repo, github) {
+    const r = await github.request(`/repos/${repo.full_name}/stats/contributors`);
+    if (r.status === 204) return [];
+    if (r.status !== 200) return null;
+
+    const contributors = r.data;
+    if (!Array.isArray(contributors)) return null;
+
+    const own = contributors.find(c => c.author && c.author.login.toLowerCase() === username.toLowerCase());
+    return own ? own.weeks : [];
+}
+
+// Public events only reach back ~90 days, but they are available immediately.
+async function fetchPushEvents(username, github) {
+    const events = await fetchPublicEvents(username, github);
+    return events.filter(e => e.type === 'PushEvent');
+}
+
+/**
+ * Builds a 52-week series of the user's own commits across their non-fork repos.
+ * Uses per-repo contributor stats and falls back to public push events for repos
+ * whose stats are not ready yet.
+ */
+async function buildAnnualActivity(username, repos, github, signal) {
+    const weeks = new Array(WEEKS_PER_YEAR).fill(0);
+    const currentWeekStart = startOfWeekUtc(Date.now());
+    const yearAgo = currentWeekStart - (WEEKS_PER_YEAR - 1) * WEEK_MS;
+
+    // Repos untouched for a year cannot contribute to the series.
+    const activeRepos = repos.filter(repo => !repo.fork && new Date(repo.pushed_at).getTime() >= yearAgo);
+    const pendingRepos = new Set();
+
+    await mapWithConcurrency(activeRepos, githubConcurrency(), async (repo) => {
+        signal?.throwIfAborted();
+        try {
+            const ownWeeks = await fetchContributorWeeks(username, repo, github);
+            if (ownWeeks === null) {
+                pendingRepos.add(repo.full_name);
+                return;
+            }
+            for (const week of ownWeeks) {
+                addToWeek(weeks, currentWeekStart, week.w * 1000, week.c);
+            }
+        } catch (e) {
+            if (e instanceof GitHubRateLimitError) throw e;
+            pendingRepos.add(repo.full_name);
+        }
+    });
+
+    let source = 'stats';
+    if (pendingRepos.size > 0) {
+        const pushEvents = await fetchPushEvents(username, github);
+        for (const event of pushEvents) {
+            if (!pendingRepos.has(event.repo.name)) continue;
+            const commits = event.payload.distinct_size ?? event.payload.size ?? 1;
+            addToWeek(weeks, currentWeekStart, Date.parse(event.created_at), commits);
+        }
+        source = pendingRepos.size === activeRepos.length ? 'events' : 'mixed';
+    }
+
+    return { weeks, source };
+}
+
+// --- Fetch profile, repositories and languages ---
+// Both paths resolve to the same REST-shaped { profile, repos, truncated, languagesByRepo, filesByRepo }
+// result; the REST path leaves the two maps null and fetches languages and files per repo afterwards.
+async function fetchUserRest(github, username) {
+    // 1. Fetch profile
+    const r = await github.request(`/users/${username}`);
+    if (r.status === 404) return { notFound: true };
+    if (r.status === 401) return { unauthorized: true };
+    if (!r.ok) return { error: `GitHub API error: ${r.data?.message || r.status}` };
+
+    // 2. Fetch repositories (every page, up to the safety cap)
+    const rep = await github.requestAllPages(`/users/${username}/repos?per_page=100`, githubMaxRepos());
+    if (!rep.ok) return { error: `GitHub API error: ${rep.data?.message || rep.status}` };
+
+    return { profile: r.data, repos: rep.data, truncated: rep.truncated, languagesByRepo: null, filesByRepo: null };
+}
+
+// Returns the totals and the per-repo breakdown the language timeline is built from.
+// `onProgress(done, total, langTotals)` reports each finished repository to the streaming endpoint.
+async function aggregateLanguages(github, username, repos, languagesByRepo, { signal, onProgress } = {}) {
+    const langTotals = {};
+    const addLanguages = (langs) => {
+        for (const [lang, bytes] of Object.entries(langs || {})) {
+            langTotals[lang] = (langTotals[lang] || 0) + bytes;
+        }
+    };
+
+    if (languagesByRepo) {
+        repos.forEach(repo => addLanguages(languagesByRepo.get(repo.name)));
+        onProgress?.(repos.length, repos.length, langTotals);
+        return { langTotals, languagesByRepo };
+    }
+
+    const fetched = new Map();
+
+    let done = 0;
+    await mapWithConcurrency(repos, githubConcurrency(), async (repo) => {
+        signal?.throwIfAborted();
+        try {
+            const lg = await github.request(`/repos/${username}/${repo.name}/languages`);
+            if (lg.ok) {
+                addLanguages(lg.data);
+                fetched.set(repo.name, lg.data);
+            }
+        } catch(e) {
+            // A missing language breakdown for one repo is tolerable; an exhausted quota is not.
+            if (e instanceof GitHubRateLimitError) throw e;
+        }
+        onProgress?.(++done, repos.length, langTotals);
+    });
+    return { langTotals, languagesByRepo: fetched };
+}
+
+// --- Analysis pipeline ---
+// Result sections beyond the score that cost extra GitHub calls; callers list the ones they need in
+// `sections` and the others come back as null.
+const ANALYSIS_SECTIONS = ['contributions', 'techStack', 'network', 'activityPatterns', 'languageTimeline'];
+
+/** Raised by analyzeProfile for failures that map to a specific HTTP status. */
+class AnalysisError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'AnalysisError';
+        this.status = status;
+    }
+}
+
+/**
+ * Resolves the analysis options shared by every endpoint from a query string.
+ * @param {object} query - Express `req.query`.
+ * @returns {{ options: object } | { error: string }} Options, or a message for a 400 response.
+ */
+function parseAnalysisOptions(query) {
+    const filter = parseFilterRules(query);
+    if (filter.error) return { error: filter.error };
+
+    const preset = getPreset(query.preset);
+    if (!preset) return { error: `Unknown scoring preset "${query.preset}".` };
+
+    return {
+        options: {
+            filterRules: filter.rules,
+            preset,
+            refresh: query.refresh === 'true',
+            fetchMode: ['rest', 'graphql'].includes(query.fetchMode) ? query.fetchMode : defaultFetchMode(),
+        },
+    };
+}
+
+/**
+ * Runs the full analysis for one user.
+ * @param {string} username - GitHub login.
+ * @param {object} options - From parseAnalysisOptions(), plus `review: false` to skip the AI review
+ * (for embeds, which never show it), `onStage(stage, data)` to receive each section as soon as it is
+ * ready, an AbortSignal (`signal`) that stops the pipeline between GitHub calls, `history: false`
+ * to leave the score history untouched (the CLI, embeds) and `sections`, the ANALYSIS_SECTIONS to build
+ * (none by default; contributions are still fetched when the preset scores them).
+ * @returns {Promise<object>} The analysis result returned by /api/analyze.
+ * @throws {AnalysisError|GitHubRateLimitError|DOMException} The latter (AbortError) once `signal` aborts.
+ */
+async function analyzeProfile(username, { filterRules, preset, refresh, fetchMode, review: withReview = true, history = true, sections = [], onStage, signal }) {
+    const token = process.env.GITHUB_TOKEN;
+    if (!token) {
+        throw new AnalysisError('Configuration error: GitHub token missing (set GITHUB_TOKEN).', 500);
+    }
+
+    // Every GitHub call goes through the response cache; refresh skips cached entries.
+    const github = createGitHubClient({ token, refresh });
+
+    // 1-2. Fetch profile and repositories
+    const startedAt = Date.now();
+    const user = fetchMode === 'graphql'
+        ? await fetchUserGraphQL(github, username, githubMaxRepos())
+        : await fetchUserRest(github, username);
+    if (user.notFound) throw new AnalysisError('User not found', 404);
+    if (user.unauthorized) throw new AnalysisError('GitHub Token is invalid or expired.', 401);
+    if (user.error) throw new AnalysisError(user.error, 502);
+
+    const { profile } = user;
+    signal?.throwIfAborted();
+    onStage?.('profile', { profile });
+    const wants = (section) => sections.includes(section);
+    const skipped = Promise.resolve(null);
+    // Commit activity is built alongside the rest of the pipeline from all non-fork repos
+    const activityPromise = buildAnnualActivity(username, user.repos, github, signal);
+    // Pull requests and issues in other people's repositories, gathered alongside as well
+    const contributionsPromise = wants('contributions') || preset.factors.upstreamContributions
+        ? fetchContributions(github, username, { concurrency: githubConcurrency(), signal })
+        : skipped;
+    // Commit and event timestamps for the working-cadence heatmap and streaks
+    const timestampsPromise = wants('activityPatterns')
+        ? fetchActivityTimestamps(github, username, user.repos, { concurrency: githubConcurrency(), signal })
+        : skipped;
+    // Settled here too, so an early failure elsewhere never leaves them as unhandled rejections
+    activityPromise.catch(() => {});
+    contributionsPromise.catch(() => {});
+    timestampsPromise.catch(() => {});
+
+    // Assess repository quality, which the low-value filter thresholds on, then apply the filter rules
+    const qualityRepos = filterRules.enabled && filterRules.minQuality > 0 ? qualityMaxRepos() : Math.min(qualityMaxRepos(), LISTED_REPOS);
+    const allRepos = await assessRepositories(github, user.repos, user.filesByRepo, { maxRepos: qualityRepos, signal });
+    const finalRepos = applyFilterRules(allRepos, filterRules);
+    const totalRepos = Math.max(profile.public_repos, allRepos.length);
+    onStage?.('repositories', { repositories: finalRepos, totalRepos, truncated: user.truncated, filterRules });
+    // Frameworks, test tools and infrastructure from the top repositories' manifests
+    const techStackPromise = wants('techStack')
+        ? detectTechStack(github, finalRepos, { maxRepos: techStackMaxRepos(), concurrency: githubConcurrency(), signal })
+        : skipped;
+    techStackPromise.catch(() => {});
+    // Collaborators from the same repositories' contributors and the follow graph
+    const networkPromise = wants('network')
+        ? buildNetwork(github, profile.login, finalRepos, { concurrency: githubConcurrency(), signal })
+        : skipped;
+    networkPromise.catch(() => {});
+
+    // 3. Aggregate languages
+    const { langTotals, languagesByRepo } = await aggregateLanguages(github, username, finalRepos, user.languagesByRepo, {
+        signal,
+        onProgress: onStage && ((done, total, totals) => onStage('languages', { done, total, languagesByBytes: { ...totals } })),
+    });
+    const annualActivity = await activityPromise;
+    const contributions = await contributionsPromise;
+    const techStack = await techStackPromise;
+    const network = await networkPromise;
+    const timestamps = await timestampsPromise;
+    const activityPatterns = timestamps && summarizeActivityPatterns(timestamps, { location: profile.location, weeks: annualActivity.weeks });
+    signal?.throwIfAborted();
+    const languageTimeline = wants('languageTimeline') ? buildLanguageTimeline(finalRepos, languagesByRepo) : null;
+    // GitHub calls and time spent fetching, for comparing the REST and GraphQL paths
+    const fetchStats = { mode: fetchMode, requests: github.requests, durationMs: Date.now() - startedAt };
+
+    // 4. Calculate hireability with the selected preset
+    const { score: hireabilityScore, breakdown: scoreBreakdown } = scoreProfile(
+        { profile, repos: finalRepos, langTotals, annualActivity: annualActivity.weeks, contributions },
+        preset
+    );
+    onStage?.('score', {
+        languagesByBytes: langTotals,
+        hireabilityScore,
+        scoreBreakdown,
+        scoringPreset: { name: preset.name, label: preset.label },
+        annualActivity: annualActivity.weeks,
+        annualActivitySource: annualActivity.source,
+        activityPatterns,
+        contributions,
+        techStack,
+        languageTimeline,
+        network,
+    });
+
+    // 5. Generate AI review (falls back to the template when no LLM is configured or it fails)
+    const review = withReview
+        ? await generateAIReview({ profile, repos: finalRepos, langTotals, hireabilityScore, scoreBreakdown })
+        : { text: null, provider: null, model: null };
+    const aiReviewProvider = { name: review.provider, model: review.model, fallbackReason: review.fallbackReason };
+    if (withReview) onStage?.('review', { aiReview: review.text, aiReviewProvider });
+
+    const result = {
+        profile,
+        repositories: finalRepos,
+        totalRepos,
+        truncated: user.truncated,
+        filterRules,
+        languagesByBytes: langTotals,
+        hireabilityScore,
+        scoreBreakdown,
+        scoringPreset: { name: preset.name, label: preset.label },
+        aiReview: review.text,
+        aiReviewProvider,
+        annualActivity: annualActivity.weeks,
+        annualActivitySource: annualActivity.source,
+        activityPatterns,
+        contributions,
+        techStack,
+        languageTimeline,
+        network,
+        cachedAt: github.cachedAt ? new Date(github.cachedAt).toISOString() : null,
+        fetchStats
+    };
+    // Snapshot for the score history; written in the background so it never delays the response.
+    if (history) recordSnapshot(result);
+    return result;
+}
+
+// Maps a pipeline failure to the JSON error body and status every endpoint uses.
+function describeAnalysisError(err) {
+    if (err instanceof AnalysisError) {
+        return { status: err.status, body: { error: err.message } };
+    }
+    if (err instanceof GitHubRateLimitError) {
+        const retryAfter = Math.max(1, Math.ceil((err.resetAt - Date.now()) / 1000));
+        return {
+            status: 429,
+            retryAfter,
+            body: {
+                error: 'GitHub API rate limit exceeded. Please try again after the reset time.',
+                rateLimited: true,
+                resetAt: new Date(err.resetAt).toISOString(),
+                retryAfter
+            }
+        };
+    }
+    console.error("Backend error:", err);
+    return { status: 500, body: { error: `Internal Server Error: ${err.message}` } };
+}
+
+export { ANALYSIS_SECTIONS, AnalysisError, analyzeProfile, buildAnnualActivity, describeAnalysisError, parseAnalysisOptions };
@@ -0,0 +1,114 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { WebSocketServer } from 'ws';
+import { mapWithConcurrency } from './concurrency.js';
+
+// --- Batch analysis jobs ---
+// A job analyzes a list of usernames with bounded parallelism. Progress and results are emitted on
+// the job's EventEmitter and streamed to WebSocket subscribers on /ws/batch?jobId=<id>.
+// Finished jobs are kept in memory for an hour so clients can reconnect or poll the snapshot.
+
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+
+/**
+ * Serializes a job for JSON responses and WebSocket snapshots.
+ * @param {object} job - Job from createBatchJob().
+ * @returns {object} Job state with every item's status, result and error.
+ */
+function serializeJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        total: job.items.length,
+        completed: job.items.filter(item => item.status === 'done' || item.status === 'error').length,
+        items: job.items,
+    };
+}
+
+/**
+ * Creates and starts a batch job.
+ * @param {string[]} usernames - Validated usernames.
+ * @param {Function} analyze - async (username) => ({ result } | { error }); must not throw.
+ * @param {number} concurrency - Analyses run in parallel.
+ * @returns {object} The job; subscribe to `job.events` for `progress`, `result` and `done`.
+ */
+function createBatchJob(usernames, analyze, concurrency) {
+    const job = {
+        id: randomUUID(),
+        status: 'running',
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        items: usernames.map(username => ({ username, status: 'queued', result: null, error: null })),
+        events: new EventEmitter(),
+    };
+    jobs.set(job.id, job);
+
+    mapWithConcurrency(job.items, concurrency, async (item, index) => {
+        item.status = 'running';
+        job.events.emit('progress', { index, username: item.username, status: item.status });
+
+        const { result, error } = await analyze(item.username);
+        item.status = error ? 'error' : 'done';
+        item.result = result || null;
+        item.error = error || null;
+        job.events.emit('result', { index, ...item });
+    }).then(() => {
+        job.status = 'done';
+        job.finishedAt = new Date().toISOString();
+        job.events.emit('done', serializeJob(job));
+        setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS).unref();
+    });
+
+    return job;
+}
+
+function getBatchJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * Streams batch job progress over WebSocket on /ws/batch?jobId=<id>.
+ * Each connection receives a `snapshot`, then `progress`/`result` messages and a final `done`.
+ * @param {import('http').Server} server - HTTP server the Express app listens on.
+ */
+function attachBatchWebSocket(server) {
+    const wss = new WebSocketServer({ server, path: '/ws/batch' });
+
+    wss.on('connection', (socket, req) => {
+        const jobId = new URL(req.url, 'http://localhost').searchParams.get('jobId');
+        const job = getBatchJob(jobId);
+        const send = (type, payload) => {
+            if (socket.readyState === socket.OPEN) socket.send(JSON.stringify({ type, ...payload }));
+        };
+
+        if (!job) {
+            send('error', { error: `Unknown batch job "${jobId}".` });
+            return socket.close();
+        }
+
+        send('snapshot', { job: serializeJob(job) });
+        if (job.status === 'done') return socket.close();
+
+        const onProgress = (payload) => send('progress', payload);
+        const onResult = (payload) => send('result', payload);
+        const onDone = (payload) => {
+            send('done', { job: payload });
+            socket.close();
+        };
+        job.events.on('progress', onProgress);
+        job.events.on('result', onResult);
+        job.events.once('done', onDone);
+
+        socket.on('close', () => {
+            job.events.off('progress', onProgress);
+            job.events.off('result', onResult);
+            job.events.off('done', onDone);
+        });
+    });
+}
+
+export { attachBatchWebSocket, createBatchJob, getBatchJob, serializeJob };
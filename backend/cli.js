@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+import * as dotenv from 'dotenv';
+import { ANALYSIS_SECTIONS, analyzeProfile, describeAnalysisError } from './analysis.js';
+import { parseCommandLine, USAGE } from './cliArgs.js';
+import { compareResults } from './comparison.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { renderReport } from './reports.js';
+
+// --- gh-analyze command ---
+// Runs the server's analysis pipeline from scripts and CI: `gh-analyze octocat --filter --format md`.
+// One username prints its analysis; several print the ranked comparison. Reads GITHUB_TOKEN (and every
+// other pipeline setting) from the environment or .env, like the server. Exit codes: 0 on success,
+// 1 when any analysis failed, 2 for invalid arguments.
+
+function usageError(message) {
+    console.error(`gh-analyze: ${message}\n\n${USAGE}`);
+    process.exit(2);
+}
+
+// --- Table output ---
+function table(headers, rows) {
+    const cells = [headers, ...rows].map(row => row.map(cell => String(cell ?? '')));
+    const widths = headers.map((_, column) => Math.max(...cells.map(row => row[column].length)));
+    const line = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+    return [line(cells[0]), line(widths.map(width => '-'.repeat(width))), ...cells.slice(1).map(line)].join('\n');
+}
+
+function languageShares(languagesByBytes) {
+    const total = Object.values(languagesByBytes).reduce((sum, bytes) => sum + bytes, 0);
+    return Object.entries(languagesByBytes)
+        .sort(([, a], [, b]) => b - a)
+        .map(([language, bytes]) => [language, `${total === 0 ? 0 : (bytes / total * 100).toFixed(1)}%`]);
+}
+
+function analysisTable(result) {
+    const { profile } = result;
+    const sections = [
+        `${profile.name || profile.login} (@${profile.login}): ${result.hireabilityScore}/100 with the ${result.scoringPreset.label} preset`,
+        `${profile.followers.toLocaleString()} followers, ${result.repositories.length} of ${result.totalRepos} repositories analyzed`,
+        '',
+        table(['Factor', 'Points', 'Reason'], result.scoreBreakdown.map(f => [f.label, `${f.points}/${f.max}`, f.reason])),
+        '',
+        table(['Language', 'Share'], languageShares(result.languagesByBytes).slice(0, 8)),
+        '',
+        table(['Repository', 'Stars', 'Language', 'Quality'], result.repositories.slice(0, 10).map(repo => [
+            repo.name, repo.stargazers_count, repo.language || 'N/A', repo.quality ? repo.quality.score : (repo.unassessed ? 'not assessed' : 'fork'),
+        ])),
+    ];
+    if (result.aiReview) sections.push('', result.aiReview);
+    return sections.join('\n');
+}
+
+function comparisonTable(comparison) {
+    return table(
+        ['#', 'Candidate', 'Score', 'Δ Leader', ...comparison.factors.map(f => f.label)],
+        comparison.candidates.map(c => [
+            c.rank, `@${c.profile.login}`, c.hireabilityScore, c.deltas.hireabilityScore,
+            ...comparison.factors.map(f => `${c.factorPoints[f.key] ?? 0}/${f.max}`),
+        ])
+    );
+}
+
+// --- Main ---
+async function main() {
+    dotenv.config();
+    const parsed = parseCommandLine(process.argv.slice(2));
+    if (parsed.help) {
+        process.stdout.write(USAGE);
+        process.exit(0);
+    }
+    if (parsed.error) usageError(parsed.error);
+    const { usernames, format, options } = parsed;
+
+    const entries = await mapWithConcurrency(usernames, Number(process.env.BATCH_CONCURRENCY) || 2, async (username) => {
+        try {
+            return { username, result: await analyzeProfile(username, { ...options, sections: ANALYSIS_SECTIONS }) };
+        } catch (err) {
+            return { username, error: describeAnalysisError(err).body };
+        }
+    });
+
+    const failed = entries.filter(entry => entry.error);
+    for (const { username, error } of failed) {
+        console.error(`gh-analyze: @${username}: ${error.error}${error.resetAt ? ` (resets at ${error.resetAt})` : ''}`);
+    }
+
+    const succeeded = entries.filter(entry => entry.result);
+    if (succeeded.length > 0) {
+        let output;
+        if (usernames.length === 1) {
+            output = format === 'table' ? analysisTable(succeeded[0].result) : (await renderReport('analysis', succeeded[0].result, format)).body;
+        } else {
+            const comparison = { users: usernames, ...compareResults(entries, options.preset) };
+            output = format === 'table' ? comparisonTable(comparison) : (await renderReport('comparison', comparison, format)).body;
+        }
+        process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+    }
+
+    process.exitCode = failed.length > 0 ? 1 : 0;
+}
+
+main().catch((err) => {
+    console.error(`gh-analyze: ${err.message}`);
+    process.exitCode = 1;
+});
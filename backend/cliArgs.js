@@ -0,0 +1,91 @@
+import { parseArgs } from 'util';
+import { parseAnalysisOptions } from './analysis.js';
+import { prepareUsernames } from './usernames.js';
+
+// --- gh-analyze arguments ---
+// Command-line parsing for cli.js, kept free of process.exit and output so it can be tested.
+
+const FORMATS = ['table', 'json', 'md', 'csv'];
+
+const USAGE = `Usage: gh-analyze <username...> [options]
+
+Analysis options (same rules as the /api/analyze query string):
+  --filter                  Apply the default low-value repository filter
+  --min-size <kb>           Minimum repository size
+  --min-stars <n>           Minimum stars
+  --min-quality <0-100>     Minimum repository quality score
+  --include-forks <bool>    Count forks (true|false)
+  --include-archived <bool> Count archived repositories (true|false)
+  --exclude <words>         Skip repositories whose name or description mentions any of these (comma-separated)
+  --include <words>         Keep only repositories that mention one of these
+  --topics <topics>         Keep only repositories with one of these topics
+  --pushed-since <date>     Keep only repositories pushed since this date
+  --preset <name>           Scoring preset
+  --fetch-mode <mode>       rest or graphql
+  --refresh                 Bypass the GitHub response cache
+  --no-review               Skip the AI review
+
+Output:
+  --format <format>         ${FORMATS.join(', ')} (default: table)
+  -h, --help                Show this help
+`;
+
+// CLI flag -> /api/analyze query parameter
+const QUERY_OPTIONS = {
+    'min-size': 'minSize',
+    'min-stars': 'minStars',
+    'min-quality': 'minQuality',
+    'include-forks': 'includeForks',
+    'include-archived': 'includeArchived',
+    'exclude': 'exclude',
+    'include': 'include',
+    'topics': 'topics',
+    'pushed-since': 'pushedSince',
+    'preset': 'preset',
+    'fetch-mode': 'fetchMode',
+};
+
+/**
+ * Parses the gh-analyze arguments.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{ help: true } | { error: string } | { usernames: string[], format: string, options: object }}
+ * `error` is a usage error (exit code 2); `options` are ready for analyzeProfile().
+ */
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                ...Object.fromEntries(Object.keys(QUERY_OPTIONS).map(name => [name, { type: 'string' }])),
+                'filter': { type: 'boolean' },
+                'refresh': { type: 'boolean' },
+                'no-review': { type: 'boolean' },
+                'format': { type: 'string', default: 'table' },
+                'help': { type: 'boolean', short: 'h' },
+            },
+        });
+    } catch (err) {
+        return { error: err.message };
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) return { help: true };
+    if (!FORMATS.includes(values.format)) return { error: `Invalid format: expected one of ${FORMATS.join(', ')}.` };
+
+    const { usernames, rejected } = prepareUsernames(positionals);
+    if (rejected.length) return { error: `Invalid usernames: ${rejected.join(', ')}.` };
+    if (usernames.length === 0) return { error: 'Provide at least one GitHub username.' };
+
+    const query = { filter: values.filter ? 'true' : undefined, refresh: values.refresh ? 'true' : undefined };
+    for (const [flag, param] of Object.entries(QUERY_OPTIONS)) {
+        if (values[flag] !== undefined) query[param] = values[flag];
+    }
+    const { options, error } = parseAnalysisOptions(query);
+    if (error) return { error };
+
+    return { usernames, format: values.format, options: { ...options, review: !values['no-review'], history: false } };
+}
+
+export { parseCommandLine, USAGE };
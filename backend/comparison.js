@@ -0,0 +1,104 @@
+// --- Candidate comparison ---
+// Turns several analysis results into a ranked matrix: raw metrics, metrics normalized to the best
+// candidate (0-100), deltas from the top-ranked candidate and a pairwise score-delta matrix.
+
+const RADAR_LANGUAGES = 6;
+
+const METRICS = [
+    { key: 'hireabilityScore', label: 'Hireability Score', measure: (result) => result.hireabilityScore },
+    { key: 'followers', label: 'Followers', measure: (result) => result.profile.followers },
+    { key: 'repositories', label: 'Analyzed Repos', measure: (result) => result.repositories.length },
+    { key: 'stars', label: 'Stars', measure: (result) => result.repositories.reduce((sum, repo) => sum + (repo.stargazers_count || 0), 0) },
+    { key: 'languages', label: 'Languages', measure: (result) => Object.keys(result.languagesByBytes).length },
+    { key: 'activeWeeks', label: 'Active Weeks', measure: (result) => result.annualActivity.filter(commits => commits > 0).length },
+    {
+        key: 'averageQuality',
+        label: 'Avg. Repo Quality',
+        measure: (result) => {
+            const assessed = result.repositories.filter(repo => repo.quality);
+            if (assessed.length === 0) return 0;
+            return Math.round(assessed.reduce((sum, repo) => sum + repo.quality.score, 0) / assessed.length);
+        },
+    },
+];
+
+// Share (0-100, one decimal) of each language in the candidate's analyzed code.
+function languageShares(languagesByBytes) {
+    const total = Object.values(languagesByBytes).reduce((sum, bytes) => sum + bytes, 0);
+    return Object.fromEntries(Object.entries(languagesByBytes).map(([lang, bytes]) =>
+        [lang, total === 0 ? 0 : Math.round(bytes / total * 1000) / 10]
+    ));
+}
+
+/**
+ * Builds the comparison for /api/compare.
+ * @param {Array<{ username: string, result?: object, error?: object }>} entries - One entry per requested
+ * user, with the analysis result or the error body describing why it failed.
+ * @param {object} preset - Scoring preset the results were scored with.
+ * @returns {object} { preset, metrics, factors, languages, candidates, scoreDeltas }
+ */
+function compareResults(entries, preset) {
+    const analyzed = entries.filter(entry => entry.result);
+
+    const candidates = analyzed.map(({ username, result }) => ({
+        username,
+        profile: {
+            login: result.profile.login,
+            name: result.profile.name,
+            avatar_url: result.profile.avatar_url,
+            html_url: result.profile.html_url,
+        },
+        hireabilityScore: result.hireabilityScore,
+        metrics: Object.fromEntries(METRICS.map(metric => [metric.key, metric.measure(result)])),
+        factorPoints: Object.fromEntries(result.scoreBreakdown.map(factor => [factor.key, factor.points])),
+        languageShares: languageShares(result.languagesByBytes),
+        result,
+    }));
+
+    // Rank by score, then by the raw metrics in METRICS order to break ties deterministically.
+    candidates.sort((a, b) => {
+        for (const metric of METRICS) {
+            const diff = b.metrics[metric.key] - a.metrics[metric.key];
+            if (diff !== 0) return diff;
+        }
+        return a.username.localeCompare(b.username);
+    });
+
+    const leader = candidates[0];
+    for (const [index, candidate] of candidates.entries()) {
+        candidate.rank = index + 1;
+        candidate.normalized = {};
+        candidate.deltas = {};
+        for (const metric of METRICS) {
+            const best = Math.max(...candidates.map(other => other.metrics[metric.key]));
+            candidate.normalized[metric.key] = best > 0 ? Math.round(candidate.metrics[metric.key] / best * 100) : 0;
+            candidate.deltas[metric.key] = candidate.metrics[metric.key] - leader.metrics[metric.key];
+        }
+    }
+
+    // Languages shown on the radar: the largest combined shares across candidates.
+    const combined = {};
+    for (const candidate of candidates) {
+        for (const [lang, share] of Object.entries(candidate.languageShares)) {
+            combined[lang] = (combined[lang] || 0) + share;
+        }
+    }
+    const languages = Object.entries(combined).sort(([, a], [, b]) => b - a).slice(0, RADAR_LANGUAGES).map(([lang]) => lang);
+
+    return {
+        preset: { name: preset.name, label: preset.label },
+        metrics: METRICS.map(({ key, label }) => ({ key, label })),
+        factors: Object.entries(preset.factors).map(([key, params]) => ({
+            key,
+            label: leader?.result.scoreBreakdown.find(factor => factor.key === key)?.label || key,
+            max: params.max,
+        })),
+        languages,
+        candidates,
+        failed: entries.filter(entry => entry.error).map(({ username, error }) => ({ username, error })),
+        // scoreDeltas[i][j] = score of candidate i minus score of candidate j, in rank order.
+        scoreDeltas: candidates.map(a => candidates.map(b => a.hireabilityScore - b.hireabilityScore)),
+    };
+}
+
+export { compareResults };
@@ -0,0 +1,26 @@
+// --- Bounded concurrency ---
+/**
+ * Maps over items with at most `limit` calls of `fn` in flight at once.
+ * Results keep the input order; the first rejection rejects the whole call.
+ * @param {Array} items - Items to process.
+ * @param {number} limit - Maximum number of concurrent calls.
+ * @param {Function} fn - Async mapper receiving (item, index).
+ * @returns {Promise<Array>} Mapped results.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+export { mapWithConcurrency };
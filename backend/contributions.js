@@ -0,0 +1,95 @@
+import { GitHubRateLimitError } from './github.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+// --- External open-source contributions ---
+// Pull requests and issues the user opened in repositories owned by someone else, from the search API.
+// Each kind costs one search request for its 100 most recent items; state counts and the per-repository
+// list come from those items (`sampled` when the user has more), totals from the search's total_count.
+// The search API has its own, much smaller quota, so a failure here leaves the section `unavailable`
+// instead of failing the analysis.
+
+const SEARCH_PAGE_SIZE = 100;
+// Target repositories whose star counts are looked up, the most contributed-to first
+const MAX_TARGET_REPOS = 10;
+const RECENT_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function searchIssues(github, username, kind) {
+    const q = encodeURIComponent(`author:${username} -user:${username} is:${kind}`);
+    const r = await github.request(`/search/issues?q=${q}&sort=created&order=desc&per_page=${SEARCH_PAGE_SIZE}`);
+    if (!r.ok || !Array.isArray(r.data?.items)) throw new Error(`GitHub search failed: ${r.data?.message || r.status}`);
+    return { total: r.data.total_count, items: r.data.items };
+}
+
+// "https://api.github.com/repos/owner/name" -> "owner/name"
+const repoFullName = (item) => item.repository_url.split('/repos/')[1];
+
+function groupByRepository(pullRequests, issues) {
+    const repos = new Map();
+    const entry = (item) => {
+        const fullName = repoFullName(item);
+        if (!repos.has(fullName)) {
+            repos.set(fullName, { fullName, htmlUrl: `https://github.com/${fullName}`, stars: null, pullRequests: 0, mergedPullRequests: 0, issues: 0, lastContributionAt: null });
+        }
+        const repo = repos.get(fullName);
+        if (!repo.lastContributionAt || item.created_at > repo.lastContributionAt) repo.lastContributionAt = item.created_at;
+        return repo;
+    };
+
+    for (const pr of pullRequests) {
+        const repo = entry(pr);
+        repo.pullRequests++;
+        if (pr.pull_request?.merged_at) repo.mergedPullRequests++;
+    }
+    for (const issue of issues) entry(issue).issues++;
+
+    return [...repos.values()].sort((a, b) =>
+        b.mergedPullRequests - a.mergedPullRequests || b.pullRequests - a.pullRequests || b.issues - a.issues
+    );
+}
+
+/**
+ * Gathers the user's pull requests and issues against repositories they do not own.
+ * @param {object} github - Client from createGitHubClient.
+ * @param {string} username - GitHub login.
+ * @param {object} [options] - `concurrency` (repository lookups in flight at once) and an AbortSignal
+ * (`signal`) checked before each lookup.
+ * @returns {Promise<object>} The `contributions` section: pull request and issue counts by state, target
+ * repositories with their stars, and recency; or `{ unavailable: <reason> }`.
+ */
+async function fetchContributions(github, username, { concurrency, signal } = {}) {
+    let pulls, issues;
+    try {
+        [pulls, issues] = await Promise.all([searchIssues(github, username, 'pr'), searchIssues(github, username, 'issue')]);
+    } catch (err) {
+        if (!(err instanceof GitHubRateLimitError)) console.error(`Contributions for ${username} unavailable:`, err.message);
+        return { unavailable: err instanceof GitHubRateLimitError ? 'GitHub search rate limit reached.' : err.message };
+    }
+
+    const repositories = groupByRepository(pulls.items, issues.items);
+    await mapWithConcurrency(repositories.slice(0, MAX_TARGET_REPOS), concurrency, async (repo) => {
+        signal?.throwIfAborted();
+        try {
+            const r = await github.request(`/repos/${repo.fullName}`);
+            if (r.ok) repo.stars = r.data.stargazers_count;
+        } catch (e) {
+            if (e instanceof GitHubRateLimitError) throw e;
+        }
+    });
+
+    const merged = pulls.items.filter(pr => pr.pull_request?.merged_at).length;
+    const open = pulls.items.filter(pr => pr.state === 'open').length;
+    const recentSince = new Date(Date.now() - RECENT_DAYS * DAY_MS).toISOString();
+    const all = [...pulls.items, ...issues.items];
+
+    return {
+        pullRequests: { total: pulls.total, merged, open, closed: pulls.items.length - merged - open },
+        issues: { total: issues.total, open: issues.items.filter(issue => issue.state === 'open').length, closed: issues.items.filter(issue => issue.state === 'closed').length },
+        sampled: pulls.total > pulls.items.length || issues.total > issues.items.length,
+        repositories,
+        lastContributionAt: all.reduce((latest, item) => (!latest || item.created_at > latest ? item.created_at : latest), null),
+        recentContributions: all.filter(item => item.created_at >= recentSince).length,
+    };
+}
+
+export { fetchContributions };
@@ -0,0 +1,276 @@
+import fetch from 'node-fetch';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createRecordedFetch } from './recordedFetch.js';
+
+// --- GitHub response cache ---
+// Entries are kept in memory and, when GITHUB_CACHE_DIR is set, mirrored to one JSON file per request.
+// Within the TTL an entry is served without touching the network; after that it is revalidated with
+// If-None-Match, and a 304 (which GitHub does not count against the rate limit) renews the entry.
+// Past GITHUB_CACHE_MAX_ENTRIES the least recently used entry is dropped from memory.
+const DEFAULT_TTL_SECONDS = 600;
+const DEFAULT_MAX_ENTRIES = 5000;
+
+const memoryCache = new Map();
+// Network fetches under way by URL, so identical concurrent requests (two sections reading the same
+// events page on a cold cache) share one response instead of each spending a request.
+const inFlight = new Map();
+
+// --- Rate limiting ---
+const DEFAULT_MAX_BACKOFF_SECONDS = 10;
+const MAX_ATTEMPTS = 3;
+// Shortest wait before a retry, also when a Retry-After date has already passed
+const MIN_BACKOFF_MS = 1000;
+
+// Last primary rate-limit state reported by GitHub per resource (`core`, `graphql`, ...),
+// shared by every client using the server token.
+const rateLimits = {};
+
+/**
+ * Raised when GitHub refuses requests because the quota or a secondary limit is exhausted.
+ * `resetAt` is the epoch time (ms) after which requests are expected to succeed again.
+ */
+class GitHubRateLimitError extends Error {
+    constructor(message, resetAt) {
+        super(message);
+        this.name = 'GitHubRateLimitError';
+        this.resetAt = resetAt;
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function recordRateLimit(r, resource) {
+    const remaining = r.headers.get('x-ratelimit-remaining');
+    const reset = r.headers.get('x-ratelimit-reset');
+    const state = rateLimits[r.headers.get('x-ratelimit-resource') || resource] ??= { remaining: null, resetAt: null };
+    if (remaining !== null) state.remaining = Number(remaining);
+    if (reset !== null) state.resetAt = Number(reset) * 1000;
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function parseRetryAfter(value) {
+    const seconds = Number(value);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+    return Number.isNaN(delay) ? MIN_BACKOFF_MS : Math.max(MIN_BACKOFF_MS, delay);
+}
+
+// Returns how long to wait (ms) before retrying a rate-limited response, or null if it is not rate limited.
+function getRateLimitDelay(r) {
+    if (r.status !== 403 && r.status !== 429) return null;
+
+    const retryAfter = r.headers.get('retry-after');
+    if (retryAfter !== null) return parseRetryAfter(retryAfter);
+
+    if (r.headers.get('x-ratelimit-remaining') === '0') {
+        return Math.max(0, Number(r.headers.get('x-ratelimit-reset')) * 1000 - Date.now());
+    }
+
+    // Secondary limits without Retry-After: GitHub asks clients to wait at least a minute.
+    return r.status === 429 ? 60 * 1000 : null;
+}
+
+async function fetchWithBackoff(transport, url, init, resource) {
+    const maxBackoffMs = (Number(process.env.GITHUB_MAX_BACKOFF_SECONDS) || DEFAULT_MAX_BACKOFF_SECONDS) * 1000;
+
+    for (let attempt = 1; ; attempt++) {
+        const state = rateLimits[resource];
+        if (state?.remaining === 0 && state.resetAt > Date.now()) {
+            throw new GitHubRateLimitError('GitHub API rate limit exhausted.', state.resetAt);
+        }
+
+        const r = await transport(url, init);
+        recordRateLimit(r, resource);
+
+        let delay = getRateLimitDelay(r);
+        if (delay === null && r.status === 403) {
+            // Secondary limits are sometimes signalled only in the body.
+            const body = await r.clone().json().catch(() => ({}));
+            if (/secondary rate limit|abuse/i.test(body.message || '')) delay = 60 * 1000;
+        }
+        if (delay === null) return r;
+
+        if (delay > maxBackoffMs || attempt >= MAX_ATTEMPTS) {
+            throw new GitHubRateLimitError('GitHub API rate limit exceeded.', Date.now() + delay);
+        }
+        await sleep(delay);
+    }
+}
+
+function cacheKey(key) {
+    return createHash('sha1').update(key).digest('hex');
+}
+
+async function readEntry(url, cacheDir) {
+    if (memoryCache.has(url)) {
+        // Re-inserted so the Map's insertion order stays least recently used first
+        const entry = memoryCache.get(url);
+        memoryCache.delete(url);
+        memoryCache.set(url, entry);
+        return entry;
+    }
+    if (!cacheDir) return null;
+
+    try {
+        const entry = JSON.parse(await fs.readFile(path.join(cacheDir, `${cacheKey(url)}.json`), 'utf8'));
+        memoryCache.set(url, entry);
+        return entry;
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeEntry(url, entry, cacheDir, maxEntries) {
+    memoryCache.delete(url);
+    memoryCache.set(url, entry);
+    // Map keeps insertion order, so the first key is the least recently used entry.
+    while (memoryCache.size > maxEntries) {
+        memoryCache.delete(memoryCache.keys().next().value);
+    }
+
+    if (cacheDir) {
+        fs.mkdir(cacheDir, { recursive: true })
+            .then(() => fs.writeFile(path.join(cacheDir, `${cacheKey(url)}.json`), JSON.stringify(entry)))
+            .catch(err => console.error('GitHub cache write failed:', err.message));
+    }
+}
+
+function getNextPageUrl(linkHeader) {
+    const match = /<([^>]+)>;\s*rel="next"/.exec(linkHeader || '');
+    return match ? match[1] : null;
+}
+
+// --- GitHub client ---
+/**
+ * Creates a GitHub API client for one analysis request.
+ * Requests back off on secondary rate limits and throw GitHubRateLimitError once the quota is exhausted.
+ * @param {object} options - { token, refresh } where refresh skips cached entries and refetches.
+ * @returns {object} Client with `request(pathOrUrl)`, `requestAllPages()`, `graphql()`, the `cachedAt`
+ * time of the oldest cached data it served and the number of network `requests` it made.
+ */
+function createGitHubClient({ token, refresh = false }) {
+    const apiUrl = process.env.GITHUB_API_URL || 'https://api.github.com';
+    const graphqlUrl = process.env.GITHUB_GRAPHQL_URL || `${apiUrl}/graphql`;
+    const transport = process.env.GITHUB_RECORDINGS_DIR
+        ? createRecordedFetch(process.env.GITHUB_RECORDINGS_DIR, process.env.GITHUB_RECORDINGS_MODE)
+        : fetch;
+    const ttlMs = (Number(process.env.GITHUB_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS) * 1000;
+    const maxEntries = Number(process.env.GITHUB_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+    const cacheDir = process.env.GITHUB_CACHE_DIR;
+    const authHeaders = { Authorization: `token ${token}` };
+
+    // Fetches (or revalidates `cached`) over the network and updates the cache.
+    async function fetchEntry(url, cached) {
+        const headers = { ...authHeaders };
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+
+        const r = await fetchWithBackoff(transport, url, { headers }, 'core');
+        // Only the pagination header is worth keeping; rate-limit headers go stale immediately.
+        const responseHeaders = r.headers.has('link') ? { link: r.headers.get('link') } : {};
+
+        if (r.status === 304 && cached) {
+            writeEntry(url, { ...cached, storedAt: Date.now() }, cacheDir, maxEntries);
+            return { status: cached.status, ok: true, data: cached.data, headers: cached.headers };
+        }
+
+        const data = r.status === 204 ? null : await r.json().catch(() => null);
+        // Only complete 200 responses are cached; 202 means GitHub is still computing stats.
+        if (r.status === 200) {
+            writeEntry(url, { status: r.status, etag: r.headers.get('etag'), data, headers: responseHeaders, storedAt: Date.now() }, cacheDir, maxEntries);
+        }
+        return { status: r.status, ok: r.ok, data, headers: responseHeaders };
+    }
+
+    const client = {
+        cachedAt: null,
+        requests: 0,
+
+        /**
+         * Performs a cached GET request.
+         * @param {string} pathOrUrl - API path (e.g. `/users/octocat`) or absolute URL.
+         * @returns {Promise<{ status: number, ok: boolean, data: any, headers: object }>}
+         */
+        async request(pathOrUrl) {
+            const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${apiUrl}${pathOrUrl}`;
+            const cached = refresh ? null : await readEntry(url, cacheDir);
+
+            if (cached && Date.now() - cached.storedAt < ttlMs) {
+                if (client.cachedAt === null || cached.storedAt < client.cachedAt) client.cachedAt = cached.storedAt;
+                return { status: cached.status, ok: true, data: cached.data, headers: cached.headers };
+            }
+
+            if (!inFlight.has(url)) {
+                client.requests++;
+                inFlight.set(url, fetchEntry(url, cached).finally(() => inFlight.delete(url)));
+            }
+            return inFlight.get(url);
+        },
+
+        /**
+         * Fetches every page of a list endpoint by following `Link: rel="next"`.
+         * @param {string} pathOrUrl - First page path, including `per_page`.
+         * @param {number} maxItems - Safety cap; pagination stops once it is reached.
+         * @returns {Promise<{ status: number, ok: boolean, data: Array, truncated: boolean }>}
+         */
+        async requestAllPages(pathOrUrl, maxItems = Infinity) {
+            const items = [];
+            let nextUrl = pathOrUrl;
+
+            while (nextUrl) {
+                const r = await client.request(nextUrl);
+                if (!r.ok || !Array.isArray(r.data)) {
+                    // Keep what was collected if a later page fails.
+                    if (items.length === 0) return { status: r.status, ok: false, data: r.data, truncated: false };
+                    return { status: 200, ok: true, data: items, truncated: true };
+                }
+                items.push(...r.data);
+                nextUrl = getNextPageUrl(r.headers.link);
+
+                if (items.length >= maxItems) {
+                    return { status: 200, ok: true, data: items.slice(0, maxItems), truncated: Boolean(nextUrl) || items.length > maxItems };
+                }
+            }
+            return { status: 200, ok: true, data: items, truncated: false };
+        },
+
+        /**
+         * Runs a GraphQL query. Results are cached for the TTL (POSTs cannot be revalidated with ETags).
+         * @param {string} query - GraphQL query document.
+         * @param {object} variables - Query variables.
+         * @returns {Promise<{ status: number, ok: boolean, data: object|null, errors: Array|undefined }>}
+         */
+        async graphql(query, variables = {}) {
+            const body = JSON.stringify({ query, variables });
+            const key = `POST ${graphqlUrl} ${body}`;
+            const cached = refresh ? null : await readEntry(key, cacheDir);
+
+            if (cached && Date.now() - cached.storedAt < ttlMs) {
+                if (client.cachedAt === null || cached.storedAt < client.cachedAt) client.cachedAt = cached.storedAt;
+                return { status: cached.status, ok: true, data: cached.data };
+            }
+
+            client.requests++;
+            const r = await fetchWithBackoff(transport, graphqlUrl, {
+                method: 'POST',
+                headers: { ...authHeaders, 'Content-Type': 'application/json' },
+                body,
+            }, 'graphql');
+            const result = await r.json().catch(() => ({}));
+
+            if (result.errors?.some(e => e.type === 'RATE_LIMITED')) {
+                throw new GitHubRateLimitError('GitHub GraphQL rate limit exceeded.', rateLimits.graphql?.resetAt || Date.now() + 60 * 1000);
+            }
+
+            const ok = r.ok && !result.errors;
+            if (ok) {
+                writeEntry(key, { status: r.status, data: result.data, storedAt: Date.now() }, cacheDir, maxEntries);
+            }
+            return { status: r.status, ok, data: result.data || null, errors: result.errors };
+        },
+    };
+
+    return client;
+}
+
+export { createGitHubClient, GitHubRateLimitError };
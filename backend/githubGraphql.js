@@ -0,0 +1,147 @@
+// --- GraphQL data-access path ---
+// Fetches the profile, repositories, per-repo language sizes and root file listings in one query
+// per 100 repositories instead of 2 + N REST calls, then maps the result onto the REST response
+// shapes the rest of the analysis expects.
+
+const PAGE_SIZE = 100;
+
+const PROFILE_QUERY = `
+query ($login: String!, $first: Int!, $after: String) {
+  user(login: $login) {
+    databaseId
+    login
+    name
+    avatarUrl
+    url
+    bio
+    company
+    location
+    email
+    websiteUrl
+    twitterUsername
+    createdAt
+    updatedAt
+    followers { totalCount }
+    following { totalCount }
+    publicRepos: repositories(privacy: PUBLIC, ownerAffiliations: OWNER) { totalCount }
+    repositories(privacy: PUBLIC, ownerAffiliations: OWNER, first: $first, after: $after, orderBy: { field: PUSHED_AT, direction: DESC }) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        databaseId
+        name
+        nameWithOwner
+        description
+        url
+        homepageUrl
+        isFork
+        isArchived
+        stargazerCount
+        forkCount
+        diskUsage
+        createdAt
+        updatedAt
+        pushedAt
+        owner { login }
+        primaryLanguage { name }
+        licenseInfo { key name spdxId }
+        rootTree: object(expression: "HEAD:") { ... on Tree { entries { name } } }
+        workflows: object(expression: "HEAD:.github/workflows") { ... on Tree { entries { name } } }
+        repositoryTopics(first: 20) { nodes { topic { name } } }
+        languages(first: 20, orderBy: { field: SIZE, direction: DESC }) { edges { size node { name } } }
+      }
+    }
+  }
+}`;
+
+function toRestProfile(user) {
+    return {
+        id: user.databaseId,
+        login: user.login,
+        name: user.name,
+        avatar_url: user.avatarUrl,
+        html_url: user.url,
+        bio: user.bio,
+        company: user.company,
+        location: user.location,
+        email: user.email,
+        blog: user.websiteUrl || '',
+        twitter_username: user.twitterUsername,
+        created_at: user.createdAt,
+        updated_at: user.updatedAt,
+        followers: user.followers.totalCount,
+        following: user.following.totalCount,
+        public_repos: user.publicRepos.totalCount,
+    };
+}
+
+function toRestRepo(node) {
+    return {
+        id: node.databaseId,
+        name: node.name,
+        full_name: node.nameWithOwner,
+        owner: { login: node.owner.login },
+        description: node.description,
+        html_url: node.url,
+        homepage: node.homepageUrl,
+        fork: node.isFork,
+        archived: node.isArchived,
+        stargazers_count: node.stargazerCount,
+        forks_count: node.forkCount,
+        size: node.diskUsage ?? 0,
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        pushed_at: node.pushedAt,
+        language: node.primaryLanguage?.name ?? null,
+        license: node.licenseInfo ? { key: node.licenseInfo.key, name: node.licenseInfo.name, spdx_id: node.licenseInfo.spdxId } : null,
+        topics: node.repositoryTopics.nodes.map(t => t.topic.name),
+    };
+}
+
+/**
+ * Fetches a user's profile and repositories (with language sizes) through the GraphQL API.
+ * @param {object} github - Client from createGitHubClient.
+ * @param {string} username - GitHub login.
+ * @param {number} maxRepos - Safety cap on repositories fetched.
+ * @returns {Promise<{ notFound: true } | { unauthorized: true } | { error: string } | { profile: object, repos: object[], languagesByRepo: Map<string, object>,
+ *     filesByRepo: Map<string, { root: string[], workflows: string[] }>, truncated: boolean }>}
+ */
+async function fetchUserGraphQL(github, username, maxRepos) {
+    let profile = null;
+    const repos = [];
+    const languagesByRepo = new Map();
+    const filesByRepo = new Map();
+    let after = null;
+
+    do {
+        const r = await github.graphql(PROFILE_QUERY, { login: username, first: PAGE_SIZE, after });
+        if (r.status === 401) return { unauthorized: true };
+        if (r.errors?.some(e => e.type === 'NOT_FOUND') || (r.ok && !r.data.user)) return { notFound: true };
+        if (!r.ok) {
+            const message = r.errors?.map(e => e.message).join('; ') || `status ${r.status}`;
+            return { error: `GitHub GraphQL error: ${message}` };
+        }
+
+        const user = r.data.user;
+        profile ??= toRestProfile(user);
+        for (const node of user.repositories.nodes) {
+            repos.push(toRestRepo(node));
+            languagesByRepo.set(node.name, Object.fromEntries(node.languages.edges.map(edge => [edge.node.name, edge.size])));
+            filesByRepo.set(node.name, {
+                root: (node.rootTree?.entries || []).map(entry => entry.name),
+                workflows: (node.workflows?.entries || []).map(entry => entry.name),
+            });
+        }
+
+        after = user.repositories.pageInfo.hasNextPage ? user.repositories.pageInfo.endCursor : null;
+    } while (after && repos.length < maxRepos);
+
+    return {
+        profile,
+        repos: repos.slice(0, maxRepos),
+        languagesByRepo,
+        filesByRepo,
+        truncated: repos.length > maxRepos || Boolean(after),
+    };
+}
+
+export { fetchUserGraphQL };
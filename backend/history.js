@@ -0,0 +1,89 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// --- Analysis history ---
+// Every analysis is stored as a compact snapshot in one JSON file per user under HISTORY_DIR
+// (default backend/data/history). A snapshot identical to the previous one (e.g. a cached re-query)
+// is not stored again. Writes for the same user are chained so concurrent analyses never interleave.
+
+const DEFAULT_HISTORY_DIR = fileURLToPath(new URL('./data/history/', import.meta.url));
+const DEFAULT_MAX_SNAPSHOTS = 500;
+
+const pendingWrites = new Map();
+
+function historyFile(username) {
+    const dir = process.env.HISTORY_DIR || DEFAULT_HISTORY_DIR;
+    return path.join(dir, `${username.toLowerCase()}.json`);
+}
+
+async function readSnapshots(username) {
+    try {
+        return JSON.parse(await fs.readFile(historyFile(username), 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+    }
+}
+
+/**
+ * Reduces an analysis result to the snapshot stored in the history.
+ * @param {object} result - Result of analyzeProfile().
+ * @returns {object} { analyzedAt, hireabilityScore, scoringPreset, filtered, factors, languagesByBytes, repoCount, followers }
+ */
+function toSnapshot(result) {
+    return {
+        analyzedAt: new Date().toISOString(),
+        hireabilityScore: result.hireabilityScore,
+        scoringPreset: result.scoringPreset.name,
+        filtered: result.filterRules.enabled,
+        factors: Object.fromEntries(result.scoreBreakdown.map(({ key, value, points, max }) => [key, { value, points, max }])),
+        languagesByBytes: result.languagesByBytes,
+        repoCount: result.repositories.length,
+        followers: result.profile.followers,
+    };
+}
+
+const sameContent = (a, b) => JSON.stringify({ ...a, analyzedAt: null }) === JSON.stringify({ ...b, analyzedAt: null });
+
+/**
+ * Appends a snapshot of the analysis to the user's history.
+ * @param {object} result - Result of analyzeProfile().
+ * @returns {Promise<void>}
+ */
+function recordSnapshot(result) {
+    const username = result.profile.login.toLowerCase();
+    const snapshot = toSnapshot(result);
+    const maxSnapshots = Number(process.env.HISTORY_MAX_SNAPSHOTS) || DEFAULT_MAX_SNAPSHOTS;
+
+    const write = (pendingWrites.get(username) || Promise.resolve()).then(async () => {
+        const snapshots = await readSnapshots(username);
+        if (snapshots.length && sameContent(snapshots[snapshots.length - 1], snapshot)) return;
+
+        snapshots.push(snapshot);
+        const file = historyFile(username);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify(snapshots.slice(-maxSnapshots)));
+    });
+
+    const settled = write.catch(err => console.error('History write failed:', err.message));
+    pendingWrites.set(username, settled);
+    settled.then(() => {
+        if (pendingWrites.get(username) === settled) pendingWrites.delete(username);
+    });
+    return settled;
+}
+
+/**
+ * Returns the user's snapshots, oldest first.
+ * @param {string} username - GitHub login.
+ * @param {object} [filters] - { preset } keeps only snapshots scored with that preset.
+ * @returns {Promise<object[]>}
+ */
+async function getHistory(username, { preset } = {}) {
+    await pendingWrites.get(username.toLowerCase());
+    const snapshots = await readSnapshots(username);
+    return preset ? snapshots.filter(snapshot => snapshot.scoringPreset === preset) : snapshots;
+}
+
+export { getHistory, recordSnapshot };
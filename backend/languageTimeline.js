@@ -0,0 +1,101 @@
+// --- Language timeline ---
+// languagesByBytes is one all-time snapshot. GitHub has no per-language history, so each repository's
+// language bytes are spread evenly over the periods between its creation and its last push, which is
+// enough to show someone moving from Java to Rust. Accounts whose first repository is at most three years
+// old are bucketed by quarter, older ones by year. Each language is then labelled from its share of the
+// periods overlapping the last twelve months: `focus`, still `active`, or `legacy` when that share has
+// dropped below LEGACY_SHARE from a higher one in the earlier periods. A small newcomer stays `active`.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_DAYS = 365;
+// Quarterly buckets while the timeline spans at most this many quarters, yearly beyond
+const MAX_QUARTERS = 12;
+// Share of the recent window's bytes at or above which a language is a current focus
+const FOCUS_SHARE = 0.2;
+// Share below which a language that was used before is legacy
+const LEGACY_SHARE = 0.05;
+
+const GRANULARITIES = {
+    year: {
+        index: (date) => date.getUTCFullYear(),
+        label: (index) => String(index),
+    },
+    quarter: {
+        index: (date) => date.getUTCFullYear() * 4 + Math.floor(date.getUTCMonth() / 3),
+        label: (index) => `${Math.floor(index / 4)} Q${(index % 4) + 1}`,
+    },
+};
+
+function languageStatus(recentShare, earlierShare) {
+    if (recentShare >= FOCUS_SHARE) return 'focus';
+    return recentShare < LEGACY_SHARE && earlierShare > recentShare ? 'legacy' : 'active';
+}
+
+/**
+ * Buckets each repository's language bytes over its lifetime.
+ * @param {object[]} repos - Analyzed repositories (`created_at`, `pushed_at`).
+ * @param {Map<string, object>} languagesByRepo - Repository name -> GitHub languages response.
+ * @param {number} [now] - Current time in ms, the end of the timeline.
+ * @returns {object} The `languageTimeline` section: `granularity` ('year' or 'quarter'), period labels, and
+ * per language its bytes in each period, total, share of the last twelve months and status.
+ */
+function buildLanguageTimeline(repos, languagesByRepo, now = Date.now()) {
+    const spans = repos
+        .filter(repo => Object.keys(languagesByRepo.get(repo.name) || {}).length > 0)
+        .map(repo => {
+            const created = new Date(repo.created_at);
+            const pushed = new Date(Math.max(created.getTime(), Date.parse(repo.pushed_at) || 0));
+            return { created, pushed, languages: languagesByRepo.get(repo.name) };
+        });
+    if (spans.length === 0) return { granularity: 'year', periods: [], languages: [] };
+
+    const end = new Date(now);
+    const first = new Date(Math.min(...spans.map(span => span.created.getTime())));
+    const quarterly = GRANULARITIES.quarter.index(end) - GRANULARITIES.quarter.index(first) < MAX_QUARTERS;
+    const granularity = quarterly ? 'quarter' : 'year';
+    const { index, label } = GRANULARITIES[granularity];
+    const start = index(first);
+    const periodCount = index(end) - start + 1;
+    // Clamped for timelines younger than the window, which is then the whole timeline
+    const recentFrom = Math.max(0, index(new Date(now - RECENT_DAYS * DAY_MS)) - start);
+
+    const byLanguage = new Map();
+    for (const { created, pushed, languages } of spans) {
+        const from = index(created) - start;
+        const to = Math.min(index(pushed) - start, periodCount - 1);
+        for (const [language, bytes] of Object.entries(languages)) {
+            if (!byLanguage.has(language)) byLanguage.set(language, new Array(periodCount).fill(0));
+            const periods = byLanguage.get(language);
+            for (let i = from; i <= to; i++) periods[i] += bytes / (to - from + 1);
+        }
+    }
+
+    const sum = (values) => values.reduce((total, bytes) => total + bytes, 0);
+    const recentBytes = (periods) => sum(periods.slice(recentFrom));
+    const earlierBytes = (periods) => sum(periods.slice(0, recentFrom));
+    const recentTotal = sum([...byLanguage.values()].map(recentBytes));
+    const earlierTotal = sum([...byLanguage.values()].map(earlierBytes));
+
+    const languages = [...byLanguage.entries()].map(([language, periods]) => {
+        const recentShare = recentTotal === 0 ? 0 : recentBytes(periods) / recentTotal;
+        const earlierShare = earlierTotal === 0 ? 0 : earlierBytes(periods) / earlierTotal;
+        const used = periods.map((bytes, i) => (bytes > 0 ? i : -1)).filter(i => i >= 0);
+        return {
+            language,
+            bytes: periods.map(Math.round),
+            total: Math.round(sum(periods)),
+            recentShare: Math.round(recentShare * 1000) / 1000,
+            status: languageStatus(recentShare, earlierShare),
+            firstPeriod: label(start + used[0]),
+            lastPeriod: label(start + used[used.length - 1]),
+        };
+    });
+
+    return {
+        granularity,
+        periods: Array.from({ length: periodCount }, (_, i) => label(start + i)),
+        languages: languages.sort((a, b) => b.total - a.total),
+    };
+}
+
+export { buildLanguageTimeline };
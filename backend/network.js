@@ -0,0 +1,117 @@
+import { GitHubRateLimitError } from './github.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+// --- Collaboration network ---
+// Who the user works with, from two sources: the contributor lists of their top non-fork repositories
+// (people sharing a repository are collaborators, and collaborators sharing one are linked to each other)
+// and the overlap of their followers and following (mutual follows join the network even without a shared
+// repository). The same contributor lists say whether the user mostly works alone: a repository is a team
+// repository when other people wrote a meaningful part of its commits.
+
+// Top non-fork repositories whose contributor lists are read
+const MAX_REPOS = 8;
+// Followers and following read for the overlap (100 per request)
+const MAX_FOLLOWS = 500;
+// People in the returned network, the strongest connections first
+const MAX_COLLABORATORS = 20;
+// A repository is a team repository when the user wrote less than this share of its commits
+const TEAM_OWN_SHARE = 0.8;
+
+const isBot = (contributor) => contributor.type === 'Bot' || contributor.login.endsWith('[bot]');
+
+async function fetchContributors(github, repo) {
+    const r = await github.request(`/repos/${repo.full_name}/contributors?per_page=100`);
+    return r.ok && Array.isArray(r.data) ? r.data.filter(contributor => contributor.login && !isBot(contributor)) : [];
+}
+
+async function fetchLogins(github, path) {
+    const r = await github.requestAllPages(`${path}?per_page=100`, MAX_FOLLOWS);
+    return r.ok ? { users: r.data, truncated: r.truncated } : { users: [], truncated: false };
+}
+
+function workingStyle(teamRepos, analyzedRepos) {
+    if (analyzedRepos === 0) return null;
+    const share = teamRepos / analyzedRepos;
+    if (share < 1 / 3) return 'solo';
+    return share > 2 / 3 ? 'team' : 'mixed';
+}
+
+/**
+ * Builds the collaboration network around a user.
+ * @param {object} github - Client from createGitHubClient.
+ * @param {string} username - GitHub login, as the profile spells it (the source of the user's links).
+ * @param {object[]} repos - Analyzed repositories, best first; forks are skipped.
+ * @param {{ concurrency: number, signal?: AbortSignal }} options
+ * @returns {Promise<object>} The `network` section: `collaborators` ({ login, avatar_url, html_url,
+ * sharedRepos, contributions, mutualFollow }), `links` between logins weighted by shared repositories,
+ * follow counts, and `teamRepos` of `analyzedRepos` with the resulting `workingStyle`.
+ */
+async function buildNetwork(github, username, repos, { concurrency, signal }) {
+    const login = username.toLowerCase();
+    const candidates = repos.filter(repo => !repo.fork).slice(0, MAX_REPOS);
+    const contributorLists = await mapWithConcurrency(candidates, concurrency, async (repo) => {
+        signal?.throwIfAborted();
+        try {
+            return await fetchContributors(github, repo);
+        } catch (e) {
+            if (e instanceof GitHubRateLimitError) throw e;
+            return [];
+        }
+    });
+    const [followers, following] = await Promise.all([
+        fetchLogins(github, `/users/${username}/followers`),
+        fetchLogins(github, `/users/${username}/following`),
+    ]);
+
+    const people = new Map();
+    const person = (user) => {
+        const key = user.login.toLowerCase();
+        if (!people.has(key)) {
+            people.set(key, { login: user.login, avatar_url: user.avatar_url, html_url: user.html_url, sharedRepos: [], contributions: 0, mutualFollow: false });
+        }
+        return people.get(key);
+    };
+
+    // Empty repositories, or ones GitHub cannot list contributors for, say nothing about the working style
+    let analyzedRepos = 0;
+    let teamRepos = 0;
+    contributorLists.forEach((contributors, index) => {
+        const total = contributors.reduce((sum, contributor) => sum + contributor.contributions, 0);
+        const own = contributors.find(contributor => contributor.login.toLowerCase() === login);
+        if (total > 0) analyzedRepos++;
+        if (total > 0 && (own?.contributions || 0) / total < TEAM_OWN_SHARE) teamRepos++;
+        for (const contributor of contributors) {
+            if (contributor.login.toLowerCase() === login) continue;
+            const collaborator = person(contributor);
+            collaborator.sharedRepos.push(candidates[index].name);
+            collaborator.contributions += contributor.contributions;
+        }
+    });
+
+    const followingLogins = new Set(following.users.map(user => user.login.toLowerCase()));
+    const mutuals = followers.users.filter(user => followingLogins.has(user.login.toLowerCase()));
+    for (const user of mutuals) person(user).mutualFollow = true;
+
+    const collaborators = [...people.values()]
+        .sort((a, b) => b.sharedRepos.length - a.sharedRepos.length || b.mutualFollow - a.mutualFollow || b.contributions - a.contributions)
+        .slice(0, MAX_COLLABORATORS);
+
+    // The user to each collaborator, and collaborators to each other by the repositories they share
+    const links = collaborators.map(collaborator => ({ source: username, target: collaborator.login, weight: Math.max(1, collaborator.sharedRepos.length) }));
+    collaborators.forEach((a, i) => collaborators.slice(i + 1).forEach((b) => {
+        const shared = a.sharedRepos.filter(name => b.sharedRepos.includes(name)).length;
+        if (shared > 0) links.push({ source: a.login, target: b.login, weight: shared });
+    }));
+
+    return {
+        collaborators,
+        links,
+        mutualFollows: mutuals.length,
+        follows: { followers: followers.users.length, following: following.users.length, sampled: followers.truncated || following.truncated },
+        analyzedRepos,
+        teamRepos,
+        workingStyle: workingStyle(teamRepos, analyzedRepos),
+    };
+}
+
+export { buildNetwork };
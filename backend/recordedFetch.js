@@ -0,0 +1,53 @@
+import fetch, { Response } from 'node-fetch';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// --- Recorded GitHub responses ---
+// A fetch stand-in for offline runs and reproducible comparisons of the REST and GraphQL paths.
+// In `record` mode every request goes to GitHub and the response is saved; in `replay` mode the
+// saved response is returned and unknown requests get a 404. Recordings are keyed by method, path
+// and body, so they replay regardless of GITHUB_API_URL.
+
+function recordingFile(dir, url, init) {
+    const { pathname, search } = new URL(url);
+    const key = `${init.method || 'GET'} ${pathname}${search} ${init.body || ''}`;
+    return path.join(dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+}
+
+/**
+ * Creates a fetch-compatible function that records or replays GitHub responses.
+ * @param {string} dir - Directory holding one JSON file per recorded request.
+ * @param {'record'|'replay'} mode - Whether to call GitHub and save, or serve saved responses.
+ * @returns {Function} fetch(url, init) replacement.
+ */
+function createRecordedFetch(dir, mode = 'replay') {
+    return async (url, init = {}) => {
+        const file = recordingFile(dir, url, init);
+
+        if (mode === 'record') {
+            // Conditional headers would record bodiless 304s, so always ask for the full response.
+            const headers = { ...init.headers };
+            delete headers['If-None-Match'];
+
+            const r = await fetch(url, { ...init, headers });
+            const body = await r.text();
+            const recording = { method: init.method || 'GET', url, status: r.status, headers: Object.fromEntries(r.headers.entries()), body };
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(file, JSON.stringify(recording, null, 2));
+            return new Response(body, { status: r.status, headers: recording.headers });
+        }
+
+        try {
+            const recording = JSON.parse(await fs.readFile(file, 'utf8'));
+            return new Response(recording.body, { status: recording.status, headers: recording.headers });
+        } catch (e) {
+            return new Response(JSON.stringify({ message: `No recorded response for ${init.method || 'GET'} ${url}` }), {
+                status: 404,
+                headers: { 'content-type': 'application/json' },
+            });
+        }
+    };
+}
+
+export { createRecordedFetch };
@@ -0,0 +1,24 @@
+import { applyFilterRules, parseFilterRules as parseRules } from '../shared/repoFilter.js';
+
+// --- Repository filter rules ---
+// The rules themselves are in shared/repoFilter.js, which the browser-only analyzer uses as well; the
+// backend's default quality threshold is REPO_QUALITY_THRESHOLD, read per call so dotenv has loaded it.
+
+const DEFAULT_QUALITY_THRESHOLD = 40;
+
+// A threshold that is not a non-negative number falls back to the default; NaN would let every repository through.
+function qualityThreshold() {
+    const value = Number(process.env.REPO_QUALITY_THRESHOLD || DEFAULT_QUALITY_THRESHOLD);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_QUALITY_THRESHOLD;
+}
+
+/**
+ * Resolves the filter rules from the analyze query string.
+ * @param {object} query - Express `req.query`.
+ * @returns {{ rules: object } | { error: string }} Rules, or a message for a 400 response.
+ */
+function parseFilterRules(query) {
+    return parseRules(query, qualityThreshold());
+}
+
+export { applyFilterRules, parseFilterRules };
@@ -0,0 +1,27 @@
+import { assessRepoQuality } from '../shared/repoQuality.js';
+
+// --- Repository quality assessment ---
+// The signals and scores are in shared/repoQuality.js, which the browser-only analyzer uses as well;
+// the backend adds the file listings that the readme, CI and test signals need.
+
+/**
+ * Fetches the file listings the assessment needs through the REST API: the root directory and,
+ * when present, `.github/workflows`.
+ * @param {object} github - Client from createGitHubClient.
+ * @param {object} repo - REST repository object.
+ * @returns {Promise<{ root: string[], workflows: string[] }>}
+ */
+async function fetchRepoFiles(github, repo) {
+    const root = await github.request(`/repos/${repo.full_name}/contents/`);
+    const rootNames = root.ok && Array.isArray(root.data) ? root.data.map(entry => entry.name) : [];
+
+    let workflowNames = [];
+    if (rootNames.includes('.github')) {
+        const workflows = await github.request(`/repos/${repo.full_name}/contents/.github/workflows`);
+        workflowNames = workflows.ok && Array.isArray(workflows.data) ? workflows.data.map(entry => entry.name) : [];
+    }
+
+    return { root: rootNames, workflows: workflowNames };
+}
+
+export { assessRepoQuality, fetchRepoFiles };
@@ -0,0 +1,212 @@
+import PDFDocument from 'pdfkit';
+
+// --- Report rendering ---
+// Renders an analysis (or a comparison) as JSON, CSV, Markdown or PDF. Every format covers the same
+// content: score breakdown, language table, repository list and review text.
+
+const REPORT_FORMATS = ['json', 'csv', 'md', 'pdf'];
+const MAX_REPORT_REPOS = 25;
+
+const CONTENT_TYPES = {
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    md: 'text/markdown; charset=utf-8',
+    pdf: 'application/pdf',
+};
+
+// Language rows sorted by bytes with their share of the total.
+function languageRows(languagesByBytes) {
+    const total = Object.values(languagesByBytes).reduce((sum, bytes) => sum + bytes, 0);
+    return Object.entries(languagesByBytes)
+        .sort(([, a], [, b]) => b - a)
+        .map(([language, bytes]) => ({ language, bytes, share: total === 0 ? 0 : Math.round(bytes / total * 1000) / 10 }));
+}
+
+const topRepos = (result) => result.repositories.slice(0, MAX_REPORT_REPOS);
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRows = (rows) => rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+
+// Markdown table cells cannot contain pipes or line breaks.
+const mdCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+const mdTable = (headers, rows) => [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(mdCell).join(' | ')} |`),
+].join('\n');
+
+// --- Single analysis ---
+// Forks and repositories beyond the quality assessment cap carry no quality score.
+const missingQuality = (repo) => repo.unassessed ? 'not assessed' : 'fork';
+
+function analysisCsv(result) {
+    const rows = [['section', 'name', 'value', 'detail']];
+    rows.push(['summary', 'username', result.profile.login, result.profile.name]);
+    rows.push(['summary', 'hireabilityScore', result.hireabilityScore, `${result.scoringPreset.label} preset`]);
+    rows.push(['summary', 'followers', result.profile.followers, '']);
+    rows.push(['summary', 'analyzedRepositories', result.repositories.length, `of ${result.totalRepos}`]);
+    for (const factor of result.scoreBreakdown) {
+        rows.push(['score', factor.label, `${factor.points}/${factor.max}`, factor.reason]);
+    }
+    for (const { language, bytes, share } of languageRows(result.languagesByBytes)) {
+        rows.push(['language', language, bytes, `${share}%`]);
+    }
+    for (const repo of topRepos(result)) {
+        rows.push(['repository', repo.name, repo.stargazers_count, [repo.language || 'N/A', repo.quality ? `quality ${repo.quality.score}` : missingQuality(repo), repo.html_url].join('; ')]);
+    }
+    if (result.aiReview) rows.push(['review', 'aiReview', result.aiReview, result.aiReviewProvider.name]);
+    return csvRows(rows);
+}
+
+function analysisMarkdown(result) {
+    const { profile } = result;
+    return [
+        `# GitHub Profile Report: ${profile.name || profile.login} (@${profile.login})`,
+        '',
+        `**Hireability score:** ${result.hireabilityScore} / 100 (${result.scoringPreset.label} preset)  `,
+        `**Followers:** ${profile.followers.toLocaleString()}  `,
+        `**Analyzed repositories:** ${result.repositories.length} of ${result.totalRepos}`,
+        '',
+        '## Score Breakdown',
+        '',
+        mdTable(['Factor', 'Points', 'Reason'], result.scoreBreakdown.map(f => [f.label, `${f.points} / ${f.max}`, f.reason])),
+        '',
+        '## Languages',
+        '',
+        mdTable(['Language', 'Bytes', 'Share'], languageRows(result.languagesByBytes).map(l => [l.language, l.bytes.toLocaleString(), `${l.share}%`])),
+        '',
+        '## Repositories',
+        '',
+        mdTable(['Repository', 'Stars', 'Language', 'Quality'], topRepos(result).map(repo => [
+            `[${repo.name}](${repo.html_url})`, repo.stargazers_count, repo.language || 'N/A', repo.quality ? repo.quality.score : missingQuality(repo),
+        ])),
+        '',
+        // Analyses run without a review (gh-analyze --no-review) omit the section
+        ...(result.aiReview ? ['## Review', '', result.aiReview, ''] : []),
+    ].join('\n');
+}
+
+function heading(doc, text) {
+    doc.moveDown(0.8).font('Helvetica-Bold').fontSize(14).fillColor('#007acc').text(text).fillColor('#000').font('Helvetica').fontSize(10).moveDown(0.3);
+}
+
+function analysisPdf(doc, result) {
+    const { profile } = result;
+    doc.font('Helvetica-Bold').fontSize(20).text(`GitHub Profile Report: ${profile.name || profile.login}`);
+    doc.font('Helvetica').fontSize(10).fillColor('#555').text(`@${profile.login} · ${profile.followers.toLocaleString()} followers · ${result.repositories.length} of ${result.totalRepos} repositories analyzed`).fillColor('#000');
+
+    doc.moveDown().font('Helvetica-Bold').fontSize(16).text(`Hireability Score: ${result.hireabilityScore} / 100`);
+    doc.font('Helvetica').fontSize(10).text(`${result.scoringPreset.label} preset`);
+
+    heading(doc, 'Score Breakdown');
+    for (const factor of result.scoreBreakdown) {
+        doc.font('Helvetica-Bold').text(`${factor.label}: ${factor.points} / ${factor.max}`, { continued: true }).font('Helvetica').text(`  ${factor.reason}`);
+    }
+
+    heading(doc, 'Languages');
+    for (const { language, bytes, share } of languageRows(result.languagesByBytes)) {
+        doc.text(`${language}: ${share}% (${bytes.toLocaleString()} bytes)`);
+    }
+
+    heading(doc, 'Repositories');
+    for (const repo of topRepos(result)) {
+        doc.font('Helvetica-Bold').text(repo.name, { continued: true, link: repo.html_url })
+            .font('Helvetica').text(`  ${repo.stargazers_count} stars · ${repo.language || 'N/A'} · ${repo.quality ? `quality ${repo.quality.score}` : missingQuality(repo)}`, { link: null });
+    }
+
+    if (result.aiReview) {
+        heading(doc, 'Review');
+        doc.text(result.aiReview);
+    }
+}
+
+// --- Comparison ---
+function comparisonCsv(comparison) {
+    const header = ['rank', 'username', 'hireabilityScore', 'deltaFromLeader', ...comparison.metrics.slice(1).map(m => m.key), ...comparison.factors.map(f => `points_${f.key}`), 'topLanguage'];
+    const rows = comparison.candidates.map(c => [
+        c.rank, c.profile.login, c.hireabilityScore, c.deltas.hireabilityScore,
+        ...comparison.metrics.slice(1).map(m => c.metrics[m.key]),
+        ...comparison.factors.map(f => c.factorPoints[f.key] ?? 0),
+        languageRows(c.result.languagesByBytes)[0]?.language || '',
+    ]);
+    return csvRows([header, ...rows]);
+}
+
+function comparisonMarkdown(comparison) {
+    const sections = [
+        `# Candidate Comparison (${comparison.preset.label} preset)`,
+        '',
+        mdTable(
+            ['#', 'Candidate', 'Score', 'Δ Leader', ...comparison.factors.map(f => f.label)],
+            comparison.candidates.map(c => [c.rank, `@${c.profile.login}`, c.hireabilityScore, c.deltas.hireabilityScore, ...comparison.factors.map(f => `${c.factorPoints[f.key] ?? 0} / ${f.max}`)])
+        ),
+        '',
+        mdTable(['Candidate', ...comparison.metrics.slice(1).map(m => m.label)], comparison.candidates.map(c => [`@${c.profile.login}`, ...comparison.metrics.slice(1).map(m => c.metrics[m.key])])),
+    ];
+    for (const failed of comparison.failed) {
+        sections.push('', `_@${failed.username} could not be analyzed: ${failed.error.error}_`);
+    }
+    for (const candidate of comparison.candidates) {
+        sections.push('', analysisMarkdown(candidate.result).replace(/^# /, '## ').replace(/\n## /g, '\n### '));
+    }
+    return sections.join('\n');
+}
+
+function comparisonPdf(doc, comparison) {
+    doc.font('Helvetica-Bold').fontSize(20).text('Candidate Comparison');
+    doc.font('Helvetica').fontSize(10).fillColor('#555').text(`${comparison.preset.label} preset`).fillColor('#000');
+
+    heading(doc, 'Ranking');
+    for (const c of comparison.candidates) {
+        const factors = comparison.factors.map(f => `${f.label} ${c.factorPoints[f.key] ?? 0}/${f.max}`).join(', ');
+        doc.font('Helvetica-Bold').text(`${c.rank}. @${c.profile.login}: ${c.hireabilityScore} / 100`, { continued: true })
+            .font('Helvetica').text(`  (${c.deltas.hireabilityScore === 0 ? 'leader' : `${c.deltas.hireabilityScore} vs. leader`})`);
+        doc.fontSize(9).fillColor('#555').text(factors).fillColor('#000').fontSize(10);
+    }
+    for (const failed of comparison.failed) {
+        doc.fillColor('#c00').text(`@${failed.username} could not be analyzed: ${failed.error.error}`).fillColor('#000');
+    }
+
+    for (const candidate of comparison.candidates) {
+        doc.addPage();
+        analysisPdf(doc, candidate.result);
+    }
+}
+
+function renderPdf(draw) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ margin: 50, size: 'LETTER', info: { Title: 'GitHub Profile Report' } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        draw(doc);
+        doc.end();
+    });
+}
+
+/**
+ * Renders a report for a single analysis or a comparison.
+ * @param {'analysis'|'comparison'} kind - Which kind of data `data` is.
+ * @param {object} data - analyzeProfile() result or /api/compare response.
+ * @param {string} format - One of REPORT_FORMATS.
+ * @returns {Promise<{ contentType: string, body: string|Buffer }>}
+ */
+async function renderReport(kind, data, format) {
+    const renderers = kind === 'comparison'
+        ? { csv: comparisonCsv, md: comparisonMarkdown, pdf: comparisonPdf }
+        : { csv: analysisCsv, md: analysisMarkdown, pdf: analysisPdf };
+
+    let body;
+    if (format === 'json') body = JSON.stringify(data, null, 2);
+    else if (format === 'pdf') body = await renderPdf(doc => renderers.pdf(doc, data));
+    else body = renderers[format](data);
+
+    return { contentType: CONTENT_TYPES[format], body };
+}
+
+export { renderReport, REPORT_FORMATS };
@@ -0,0 +1,215 @@
+// --- Job-description matching ---
+// Extracts the technologies a role asks for, either from free job-description text or from explicit
+// required / nice-to-have lists, and checks each against an analysis: the user's language bytes,
+// repository topics, and repository names and descriptions. Each skill comes back matched, partial or
+// missing with the repositories that evidence it; the fit score weighs required skills double.
+// Frameworks detected from dependency manifests (the `techStack` section) count as evidence too.
+
+// Alias table. `languages` are GitHub linguist names as they appear in languagesByBytes, `topics` are
+// repository topics, and `pattern` finds the skill in job-description text and repository descriptions.
+// `stack` lists the techStack names that evidence the skill when they differ from its label.
+const SKILLS = [
+    { key: 'javascript', label: 'JavaScript', languages: ['JavaScript'], topics: ['javascript', 'js', 'es6'], pattern: /\b(javascript|ecmascript|es6)\b/i },
+    { key: 'typescript', label: 'TypeScript', languages: ['TypeScript'], topics: ['typescript', 'ts'], pattern: /\btypescript\b/i },
+    { key: 'python', label: 'Python', languages: ['Python', 'Jupyter Notebook'], topics: ['python', 'python3'], pattern: /\bpython\d?\b/i },
+    { key: 'java', label: 'Java', languages: ['Java'], topics: ['java', 'jvm'], pattern: /\bjava\b(?!\s*script)/i },
+    { key: 'kotlin', label: 'Kotlin', languages: ['Kotlin'], topics: ['kotlin'], pattern: /\bkotlin\b/i },
+    { key: 'go', label: 'Go', languages: ['Go'], topics: ['go', 'golang'], pattern: /\b[Gg]olang\b|\bGo\b(?![-'])/ },
+    { key: 'rust', label: 'Rust', languages: ['Rust'], topics: ['rust', 'rust-lang'], pattern: /\brust\b/i },
+    { key: 'cpp', label: 'C++', languages: ['C++'], topics: ['cpp', 'cplusplus', 'cpp17', 'cpp20'], pattern: /\bc\+\+|\bcpp\b/i },
+    { key: 'csharp', label: 'C#', languages: ['C#'], topics: ['csharp', 'dotnet'], pattern: /\bc#|\bc-sharp\b|\bcsharp\b/i },
+    { key: 'ruby', label: 'Ruby', languages: ['Ruby'], topics: ['ruby'], pattern: /\bruby\b(?!\s+on\s+rails)/i },
+    { key: 'php', label: 'PHP', languages: ['PHP'], topics: ['php'], pattern: /\bphp\b/i },
+    { key: 'swift', label: 'Swift', languages: ['Swift'], topics: ['swift', 'swiftui'], pattern: /\bswift(ui)?\b/i },
+    { key: 'scala', label: 'Scala', languages: ['Scala'], topics: ['scala'], pattern: /\bscala\b/i },
+    { key: 'elixir', label: 'Elixir', languages: ['Elixir'], topics: ['elixir', 'phoenix'], pattern: /\belixir\b/i },
+    { key: 'haskell', label: 'Haskell', languages: ['Haskell'], topics: ['haskell'], pattern: /\bhaskell\b/i },
+    { key: 'dart', label: 'Dart', languages: ['Dart'], topics: ['dart'], pattern: /\bdart\b/i },
+    { key: 'shell', label: 'Shell scripting', languages: ['Shell', 'PowerShell'], topics: ['bash', 'shell', 'powershell'], pattern: /\b(bash|shell scripting|powershell)\b/i },
+    { key: 'sql', label: 'SQL', languages: ['PLpgSQL', 'TSQL', 'PLSQL'], topics: ['sql'], pattern: /\bsql\b/i },
+    { key: 'html-css', label: 'HTML/CSS', languages: ['HTML', 'CSS', 'SCSS', 'Sass', 'Less'], topics: ['html', 'css', 'sass', 'scss', 'tailwindcss'], pattern: /\b(html5?|css3?|sass|scss|tailwind(css)?)\b/i },
+    { key: 'react', label: 'React', languages: [], topics: ['react', 'reactjs', 'react-hooks', 'redux', 'nextjs'], pattern: /\breact(\.?js)?\b(?!\s+native)/i },
+    { key: 'react-native', label: 'React Native', languages: [], topics: ['react-native', 'expo'], pattern: /\breact\s+native\b/i },
+    { key: 'vue', label: 'Vue', languages: ['Vue'], topics: ['vue', 'vuejs', 'vue3', 'nuxt', 'nuxtjs'], pattern: /\bvue(\.?js)?\b|\bnuxt\b/i },
+    { key: 'angular', label: 'Angular', languages: [], topics: ['angular', 'angularjs'], pattern: /\bangular(js)?\b/i },
+    { key: 'svelte', label: 'Svelte', languages: ['Svelte'], topics: ['svelte', 'sveltekit'], pattern: /\bsvelte(kit)?\b/i },
+    { key: 'nextjs', label: 'Next.js', languages: [], topics: ['nextjs', 'next'], pattern: /\bnext\.?js\b/i },
+    { key: 'nodejs', label: 'Node.js', languages: [], topics: ['nodejs', 'node', 'express', 'nestjs'], pattern: /\bnode(\.?js)?\b/i, stack: ['Express', 'NestJS', 'Fastify', 'Electron'] },
+    { key: 'django', label: 'Django', languages: [], topics: ['django', 'django-rest-framework'], pattern: /\bdjango\b/i },
+    { key: 'flask', label: 'Flask', languages: [], topics: ['flask'], pattern: /\bflask\b/i },
+    { key: 'fastapi', label: 'FastAPI', languages: [], topics: ['fastapi'], pattern: /\bfastapi\b/i },
+    { key: 'spring', label: 'Spring', languages: [], topics: ['spring', 'spring-boot', 'springboot'], pattern: /\bspring(\s*boot)?\b/i },
+    { key: 'rails', label: 'Ruby on Rails', languages: [], topics: ['rails', 'ruby-on-rails'], pattern: /\b(ruby on rails|rails)\b/i },
+    { key: 'laravel', label: 'Laravel', languages: ['Blade'], topics: ['laravel'], pattern: /\blaravel\b/i },
+    { key: 'dotnet', label: '.NET', languages: [], topics: ['dotnet', 'aspnet', 'aspnetcore', 'dotnet-core'], pattern: /\.net\b|\basp\.net\b/i },
+    { key: 'flutter', label: 'Flutter', languages: [], topics: ['flutter'], pattern: /\bflutter\b/i },
+    { key: 'android', label: 'Android', languages: [], topics: ['android'], pattern: /\bandroid\b/i },
+    { key: 'ios', label: 'iOS', languages: ['Objective-C'], topics: ['ios', 'swiftui', 'uikit'], pattern: /\bios\b/i },
+    { key: 'graphql', label: 'GraphQL', languages: [], topics: ['graphql', 'apollo'], pattern: /\bgraphql\b/i },
+    { key: 'docker', label: 'Docker', languages: ['Dockerfile'], topics: ['docker', 'docker-compose', 'containers'], pattern: /\bdocker\b|\bcontaineri[sz]/i },
+    { key: 'kubernetes', label: 'Kubernetes', languages: [], topics: ['kubernetes', 'k8s', 'helm'], pattern: /\bkubernetes\b|\bk8s\b|\bhelm\b/i },
+    { key: 'terraform', label: 'Terraform', languages: ['HCL'], topics: ['terraform', 'infrastructure-as-code'], pattern: /\bterraform\b|\binfrastructure[- ]as[- ]code\b/i },
+    { key: 'aws', label: 'AWS', languages: [], topics: ['aws', 'aws-lambda', 'serverless'], pattern: /\baws\b|\bamazon web services\b/i },
+    { key: 'gcp', label: 'Google Cloud', languages: [], topics: ['gcp', 'google-cloud', 'firebase'], pattern: /\bgcp\b|\bgoogle cloud\b/i },
+    { key: 'azure', label: 'Azure', languages: [], topics: ['azure'], pattern: /\bazure\b/i },
+    { key: 'postgresql', label: 'PostgreSQL', languages: ['PLpgSQL'], topics: ['postgresql', 'postgres'], pattern: /\bpostgres(ql)?\b/i },
+    { key: 'mysql', label: 'MySQL', languages: [], topics: ['mysql', 'mariadb'], pattern: /\bmysql\b|\bmariadb\b/i },
+    { key: 'mongodb', label: 'MongoDB', languages: [], topics: ['mongodb', 'mongoose'], pattern: /\bmongo(db)?\b/i },
+    { key: 'redis', label: 'Redis', languages: [], topics: ['redis'], pattern: /\bredis\b/i },
+    { key: 'machine-learning', label: 'Machine learning', languages: ['Jupyter Notebook'], topics: ['machine-learning', 'deep-learning', 'ml', 'scikit-learn', 'nlp'], pattern: /\bmachine learning\b|\bdeep learning\b|\bml\b|\bscikit-learn\b|\bnlp\b/i, stack: ['scikit-learn', 'TensorFlow', 'PyTorch'] },
+    { key: 'tensorflow', label: 'TensorFlow', languages: [], topics: ['tensorflow', 'keras'], pattern: /\btensorflow\b|\bkeras\b/i },
+    { key: 'pytorch', label: 'PyTorch', languages: [], topics: ['pytorch'], pattern: /\bpytorch\b/i },
+];
+
+// Importance weights in the fit score
+const WEIGHTS = { required: 2, niceToHave: 1 };
+// A language with at least this share of the user's code counts as matched on its own
+const MATCH_SHARE = 5;
+// ...and so do this many evidencing repositories
+const MATCH_REPOS = 2;
+const MAX_EVIDENCE_REPOS = 5;
+
+// Headings or phrases that start a nice-to-have part of a job description, and ones that end it
+const NICE_TO_HAVE_PATTERN = /nice[- ]to[- ]have|bonus|preferred|a plus|desirable|optional/i;
+const REQUIRED_PATTERN = /requirements|required|must[- ]have|you have|qualifications|what you.ll need/i;
+// Only lines this short that name no skill are headings, which switch the section for the lines below
+const MAX_HEADING_WORDS = 8;
+
+const skillForName = (name) => {
+    const text = String(name).trim();
+    return SKILLS.find(skill => skill.label.toLowerCase() === text.toLowerCase() || skill.key === text.toLowerCase() || skill.pattern.test(text));
+};
+
+/**
+ * Extracts the skills a job description asks for. Lines after a nice-to-have heading (until the next
+ * requirements heading) are nice to have, and so are skills on a line with a nice-to-have phrase
+ * ("Python is a plus"), which leaves the following lines alone; a skill mentioned in both places counts
+ * as required.
+ * @param {string} text - Job description.
+ * @returns {Map<string, string>} Skill key -> 'required' | 'niceToHave'.
+ */
+function extractSkills(text) {
+    const found = new Map();
+    let section = 'required';
+
+    for (const line of String(text).split(/\r?\n/)) {
+        let importance = section;
+        if (NICE_TO_HAVE_PATTERN.test(line)) importance = 'niceToHave';
+        else if (REQUIRED_PATTERN.test(line)) importance = 'required';
+
+        const mentioned = SKILLS.filter(skill => skill.pattern.test(line));
+        if (mentioned.length === 0) {
+            if (line.trim().split(/\s+/).length <= MAX_HEADING_WORDS) section = importance;
+            continue;
+        }
+        for (const skill of mentioned) {
+            if (found.get(skill.key) !== 'required') found.set(skill.key, importance);
+        }
+    }
+    return found;
+}
+
+// Explicit skill lists may also be comma-separated strings; anything else but an array is invalid.
+const toSkillList = (value) => typeof value === 'string' ? value.split(',').map(name => name.trim()).filter(Boolean) : (value ?? []);
+
+/**
+ * Resolves the request body to the skills to check.
+ * @param {object} body - `{ description }` with job-description text, or `{ required, niceToHave }` lists
+ * (arrays or comma-separated strings).
+ * @returns {{ skills: Array<{ skill: object, importance: string }>, unrecognized: string[] } | { error: string }}
+ */
+function parseRoleRequest(body = {}) {
+    const unrecognized = [];
+    let importanceByKey;
+
+    if (body.required !== undefined || body.niceToHave !== undefined) {
+        const lists = { required: toSkillList(body.required), niceToHave: toSkillList(body.niceToHave) };
+        if (!Array.isArray(lists.required) || !Array.isArray(lists.niceToHave)) {
+            return { error: '`required` and `niceToHave` must be lists of skill names.' };
+        }
+        importanceByKey = new Map();
+        for (const importance of ['niceToHave', 'required']) {
+            for (const name of lists[importance]) {
+                const skill = skillForName(name);
+                if (skill) importanceByKey.set(skill.key, importance);
+                else unrecognized.push(String(name));
+            }
+        }
+    } else if (typeof body.description === 'string' && body.description.trim()) {
+        importanceByKey = extractSkills(body.description);
+    } else {
+        return { error: 'Provide a job description (`description`) or `required` / `niceToHave` skill lists.' };
+    }
+
+    if (importanceByKey.size === 0) {
+        return { error: 'No recognizable technologies found in the role.' };
+    }
+    const skills = SKILLS.filter(skill => importanceByKey.has(skill.key)).map(skill => ({ skill, importance: importanceByKey.get(skill.key) }));
+    return { skills, unrecognized };
+}
+
+// Repositories that evidence a skill, with the reasons each one counts.
+function findEvidence(skill, repos, stackByRepo) {
+    const stackNames = skill.stack || [skill.label];
+    return repos.map(repo => {
+        const reasons = [];
+        if (stackNames.some(name => stackByRepo.get(repo.name)?.has(name))) reasons.push('dependency');
+        if (skill.languages.includes(repo.language)) reasons.push('language');
+        if ((repo.topics || []).some(topic => skill.topics.includes(topic.toLowerCase()))) reasons.push('topic');
+        if (skill.pattern.test(`${repo.name.replace(/[-_]/g, ' ')} ${repo.description || ''}`)) reasons.push('description');
+        return { name: repo.name, html_url: repo.html_url, stars: repo.stargazers_count, reasons };
+    }).filter(repo => repo.reasons.length > 0);
+}
+
+/**
+ * Checks each skill against an analysis and computes the role fit.
+ * @param {object} result - analyzeProfile() result.
+ * @param {Array<{ skill: object, importance: string }>} skills - From parseRoleRequest().
+ * @returns {object} { fitScore, skills, matched, partial, missing }
+ */
+function matchRole(result, skills) {
+    const totalBytes = Object.values(result.languagesByBytes).reduce((sum, bytes) => sum + bytes, 0);
+    // Repository name -> technologies its manifests declare
+    const stackByRepo = new Map();
+    for (const tech of ['frameworks', 'testing', 'infrastructure'].flatMap(category => result.techStack?.[category] || [])) {
+        for (const repo of tech.repos) {
+            if (!stackByRepo.has(repo.name)) stackByRepo.set(repo.name, new Set());
+            stackByRepo.get(repo.name).add(tech.name);
+        }
+    }
+
+    const checked = skills.map(({ skill, importance }) => {
+        const languageBytes = skill.languages.reduce((sum, lang) => sum + (result.languagesByBytes[lang] || 0), 0);
+        const languageShare = totalBytes === 0 ? 0 : Math.round(languageBytes / totalBytes * 1000) / 10;
+        const repos = findEvidence(skill, result.repositories, stackByRepo);
+
+        let status = 'missing';
+        if (languageShare >= MATCH_SHARE || repos.length >= MATCH_REPOS) status = 'matched';
+        else if (languageShare > 0 || repos.length > 0) status = 'partial';
+
+        return {
+            key: skill.key,
+            label: skill.label,
+            importance,
+            status,
+            languageShare,
+            repos: repos.sort((a, b) => b.reasons.length - a.reasons.length || b.stars - a.stars).slice(0, MAX_EVIDENCE_REPOS),
+            evidencingRepos: repos.length,
+        };
+    });
+
+    const credit = { matched: 1, partial: 0.5, missing: 0 };
+    const possible = checked.reduce((sum, s) => sum + WEIGHTS[s.importance], 0);
+    const earned = checked.reduce((sum, s) => sum + WEIGHTS[s.importance] * credit[s.status], 0);
+    const labels = (status) => checked.filter(s => s.status === status).map(s => s.label);
+
+    return {
+        fitScore: possible === 0 ? 0 : Math.round(earned / possible * 100),
+        skills: checked,
+        matched: labels('matched'),
+        partial: labels('partial'),
+        missing: labels('missing'),
+    };
+}
+
+export { matchRole, parseRoleRequest };
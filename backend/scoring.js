@@ -0,0 +1,63 @@
+import { readFileSync } from 'fs';
+import { describeRule, FACTORS, scoreProfile } from '../shared/scoring.js';
+
+// --- Hireability scoring presets ---
+// Presets come from shared/scoring-presets.json (or the file named by SCORING_CONFIG); the factors and the
+// scoring itself are in shared/scoring.js, which the browser-only analyzer uses as well.
+
+const DEFAULT_CONFIG_URL = new URL('../shared/scoring-presets.json', import.meta.url);
+
+let config;
+
+function loadConfig() {
+    if (!config) {
+        const source = process.env.SCORING_CONFIG || DEFAULT_CONFIG_URL;
+        config = JSON.parse(readFileSync(source, 'utf8'));
+
+        for (const [name, preset] of Object.entries(config.presets)) {
+            for (const key of Object.keys(preset.factors)) {
+                if (!FACTORS[key]) throw new Error(`Scoring preset "${name}" uses unknown factor "${key}".`);
+            }
+        }
+    }
+    return config;
+}
+
+/**
+ * Returns the named preset (or the default one), or null if no preset has that name.
+ * @param {string} [name] - Preset name, e.g. `frontend`.
+ * @returns {{ name: string, label: string, description: string, factors: object } | null}
+ */
+function getPreset(name) {
+    const { presets, defaultPreset } = loadConfig();
+    const presetName = name || process.env.SCORING_PRESET || defaultPreset;
+    // Own keys only, so names such as `constructor` or `__proto__` are unknown presets, not Object members
+    return Object.hasOwn(presets, presetName) ? { name: presetName, ...presets[presetName] } : null;
+}
+
+/**
+ * Lists every preset with the rules of each factor, for the UI and the About page.
+ * @returns {{ defaultPreset: string, presets: object[] }}
+ */
+function listPresets() {
+    const { presets } = loadConfig();
+    return {
+        defaultPreset: getPreset().name,
+        presets: Object.keys(presets).map(name => {
+            const preset = getPreset(name);
+            return {
+                name,
+                label: preset.label,
+                description: preset.description,
+                factors: Object.entries(preset.factors).map(([key, params]) => ({
+                    key,
+                    label: FACTORS[key].label,
+                    max: params.max,
+                    rule: describeRule(FACTORS[key], params),
+                })),
+            };
+        }),
+    };
+}
+
+export { getPreset, listPresets, scoreProfile };
@@ -1,123 +1,335 @@
 import * as dotenv from 'dotenv';
 import express from 'express';
-import fetch from 'node-fetch'; // Correct ES Module import
 import cors from 'cors';
-import OpenAI from 'openai';
+import { ANALYSIS_SECTIONS, AnalysisError, analyzeProfile, describeAnalysisError, parseAnalysisOptions } from './analysis.js';
+import { GitHubRateLimitError } from './github.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { getPreset, listPresets } from './scoring.js';
+import { compareResults } from './comparison.js';
+import { getHistory } from './history.js';
+import { addWatch, DEFAULT_THRESHOLDS, listWatches, parseWatch, removeWatch, runWatch, startWatchScheduler } from './watches.js';
+import { listDeliveries } from './webhooks.js';
+import { renderReport, REPORT_FORMATS } from './reports.js';
+import { matchRole, parseRoleRequest } from './roleMatch.js';
+import { parseSvgOptions, renderBadge, renderCard, renderErrorBadge } from './svgCards.js';
+import { attachBatchWebSocket, createBatchJob, getBatchJob, serializeJob } from './batchJobs.js';
+import { parseUsernameCsv, prepareUsernames } from './usernames.js';
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
 app.use(express.json());
-app.use(cors({ origin: 'http://localhost:3000' })); 
+// Browser origins allowed to call the API: a comma-separated list, or `*` for any origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS }));
 
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN; 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY; 
+// Profiles analyzed in parallel by one batch job, and the most usernames a job accepts
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 2;
+const BATCH_MAX_USERS = Number(process.env.BATCH_MAX_USERS) || 100;
+// Most candidates one /api/compare request accepts
+const COMPARE_MAX_USERS = Number(process.env.COMPARE_MAX_USERS) || 8;
+// How long GitHub's image proxy and browsers may cache embedded cards and badges
+const SVG_CACHE_SECONDS = Number(process.env.SVG_CACHE_SECONDS) || 3600;
 
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+// Load the scoring presets now so an invalid SCORING_CONFIG or SCORING_PRESET fails at startup
+if (!getPreset()) throw new Error(`SCORING_PRESET "${process.env.SCORING_PRESET}" is not defined in the scoring config.`);
 
-// --- Calculate Hireability Score ---
-function calculateHireabilityScore(profile, repos, langTotals) {
-    let score = 0;
+// --- Scoring presets ---
+app.get('/api/scoring/presets', (req, res) => {
+    res.json(listPresets());
+});
+
+function sendAnalysisError(res, err) {
+    const { status, retryAfter, body } = describeAnalysisError(err);
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    res.status(status).json(body);
+}
+
+// --- Analyze GitHub Profile ---
+app.get('/api/analyze/:username', async (req, res) => {
+    const { options, error } = parseAnalysisOptions(req.query);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        res.json(await analyzeProfile(req.params.username, { ...options, sections: ANALYSIS_SECTIONS }));
+    } catch (err) {
+        sendAnalysisError(res, err);
+    }
+});
 
-    const publicReposCount = repos.length;
+// --- Streaming analysis ---
+// GET /api/analyze/:username/stream runs the same analysis as a server-sent event stream so the UI can
+// render each section as soon as it is ready. Events, in order: `profile`, `repositories`, `languages`
+// (one per analyzed repository, with `done` of `total` and the running totals), `score`, `review`, and
+// finally `result` with the complete analysis, or `failed` with the usual error body plus its `status`.
+// Closing the connection (e.g. the user searched for someone else) aborts the pipeline.
+app.get('/api/analyze/:username/stream', async (req, res) => {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 
-    // Followers (max 30)
-    score += Math.min(30, Math.floor(profile.followers / 10));
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
 
-    // Meaningful repos (max 30)
-    score += Math.min(30, Math.floor(publicReposCount / 5) * 2);
+    const { options, error } = parseAnalysisOptions(req.query);
+    if (error) {
+        send('failed', { status: 400, error });
+        return res.end();
+    }
+
+    try {
+        const result = await analyzeProfile(req.params.username, { ...options, sections: ANALYSIS_SECTIONS, onStage: send, signal: controller.signal });
+        send('result', result);
+    } catch (err) {
+        if (controller.signal.aborted) return;
+        const { status, body } = describeAnalysisError(err);
+        send('failed', { status, ...body });
+    }
+    res.end();
+});
 
-    // Language diversity (max 40)
-    const languageCount = Object.keys(langTotals).length;
-    score += Math.min(40, Math.max(0, (languageCount - 1) * 10));
+// --- Role matching ---
+// POST /api/match/:username with `{ description }` (job-description text) or `{ required, niceToHave }`
+// skill lists; the query string takes the same analysis options as /api/analyze.
+app.post('/api/match/:username', async (req, res) => {
+    const { options, error } = parseAnalysisOptions(req.query);
+    if (error) return res.status(400).json({ error });
+    const role = parseRoleRequest(req.body);
+    if (role.error) return res.status(400).json({ error: role.error });
+
+    try {
+        const result = await analyzeProfile(req.params.username, { ...options, review: false, history: false, sections: ['techStack'] });
+        res.json({ username: result.profile.login, scoringPreset: result.scoringPreset, ...matchRole(result, role.skills), unrecognized: role.unrecognized });
+    } catch (err) {
+        sendAnalysisError(res, err);
+    }
+});
 
-    return Math.min(100, Math.max(0, score));
+// --- Analysis history ---
+// GET /api/history/:username?preset=<name> returns the stored snapshots, oldest first.
+app.get('/api/history/:username', async (req, res) => {
+    const { usernames } = prepareUsernames([req.params.username]);
+    if (usernames.length === 0) return res.status(400).json({ error: 'Invalid username.' });
+
+    try {
+        const snapshots = await getHistory(usernames[0], { preset: req.query.preset });
+        res.json({ username: usernames[0], snapshots });
+    } catch (err) {
+        console.error("History read failed:", err);
+        res.status(500).json({ error: `Could not read history: ${err.message}` });
+    }
+});
+
+// --- Watched profiles and webhook deliveries ---
+// Watches store the analysis query string they were created with (filter rules, preset). Runs are
+// diffed on the score, followers, repositories and languages alone, so no optional section is built.
+async function analyzeWatched(username, query) {
+    const { options, error } = parseAnalysisOptions(Object.fromEntries(new URLSearchParams(query)));
+    if (error) throw new AnalysisError(error, 400);
+    return analyzeProfile(username, options);
 }
 
-// --- Filter low-value repos ---
-function filterLowValueRepos(repos) {
-    const minLinesOfCode = 100;
+// Storage failures (an unreadable or corrupt watch file) and GitHub errors answer like the analysis routes.
+app.get('/api/watches', async (req, res) => {
+    try {
+        res.json({ watches: await listWatches(), defaultThresholds: DEFAULT_THRESHOLDS, defaultWebhookUrl: Boolean(process.env.WEBHOOK_URL) });
+    } catch (err) {
+        sendAnalysisError(res, err);
+    }
+});
+
+app.post('/api/watches', async (req, res) => {
+    const { usernames } = prepareUsernames([String(req.body.username || '')]);
+    if (usernames.length === 0) return res.status(400).json({ error: 'Provide a valid GitHub username.' });
 
-    return repos.filter(repo => {
-        if (repo.fork) return false;
-        if (repo.size < minLinesOfCode) return false;
-        if (repo.description && repo.description.toLowerCase().includes('template')) return false;
-        return true;
+    const { watch, error } = parseWatch(req.body);
+    if (error) return res.status(400).json({ error });
+    const queryError = parseAnalysisOptions(Object.fromEntries(new URLSearchParams(watch.query))).error;
+    if (queryError) return res.status(400).json({ error: queryError });
+
+    try {
+        res.status(201).json(await addWatch(usernames[0], watch));
+    } catch (err) {
+        sendAnalysisError(res, err);
+    }
+});
+
+app.delete('/api/watches/:id', async (req, res) => {
+    try {
+        if (!(await removeWatch(req.params.id))) return res.status(404).json({ error: 'Watch not found.' });
+        res.status(204).end();
+    } catch (err) {
+        sendAnalysisError(res, err);
+    }
+});
+
+// Runs a watch immediately instead of waiting for its next scheduled run.
+app.post('/api/watches/:id/run', async (req, res) => {
+    try {
+        const watch = (await listWatches()).find(w => w.id === req.params.id);
+        if (!watch) return res.status(404).json({ error: 'Watch not found.' });
+        res.json(await runWatch(watch, analyzeWatched));
+    } catch (err) {
+        sendAnalysisError(res, err);
+    }
+});
+
+app.get('/api/webhooks/deliveries', async (req, res) => {
+    try {
+        res.json({ deliveries: await listDeliveries() });
+    } catch (err) {
+        sendAnalysisError(res, err);
+    }
+});
+
+// --- Compare candidates ---
+/**
+ * Analyzes every candidate and builds the ranked comparison.
+ * @param {string[]} usernames - Validated GitHub logins.
+ * @param {object} options - From parseAnalysisOptions().
+ * @returns {Promise<object>} The /api/compare response.
+ * @throws {GitHubRateLimitError} A rate limit affects every candidate, so it fails the whole comparison.
+ */
+async function compareProfiles(usernames, options) {
+    const entries = await mapWithConcurrency(usernames, BATCH_CONCURRENCY, async (username) => {
+        try {
+            return { username, result: await analyzeProfile(username, { ...options, sections: ANALYSIS_SECTIONS }) };
+        } catch (err) {
+            if (err instanceof GitHubRateLimitError) throw err;
+            return { username, error: describeAnalysisError(err).body };
+        }
     });
+    return { users: usernames, ...compareResults(entries, options.preset) };
 }
 
-// --- AI Review Mock ---
-async function generateAIReview(profile, langTotals, hireabilityScore) {
-    const languageList = Object.keys(langTotals).join(', ') || 'No main languages detected.';
-    const review = `
-        This profile showcases a strong focus on ${languageList.split(',')[0] || 'core technologies'}, 
-        backed by a Hireability Score of ${hireabilityScore}/100. 
-        The repository filter highlights ${profile.public_repos} public projects, demonstrating consistent activity. 
-        This candidate exhibits high potential for roles requiring expertise in ${languageList.split(',')[0]}. 
-        (This is a mock AI review.)
-    `;
-    return review.trim();
+// Validates the comma-separated `users` parameter of compare requests.
+function parseCompareUsers(users) {
+    const { usernames, rejected } = prepareUsernames(String(users || '').split(','));
+    if (rejected.length) return { error: `Invalid usernames: ${rejected.join(', ')}.` };
+    if (usernames.length < 2 || usernames.length > COMPARE_MAX_USERS) {
+        return { error: `Compare between 2 and ${COMPARE_MAX_USERS} users.` };
+    }
+    return { usernames };
 }
 
-// --- Analyze GitHub Profile ---
-app.get('/api/analyze/:username', async (req, res) => {
-    const username = req.params.username;
-    const shouldFilter = req.query.filter === 'true';
+// GET /api/compare?users=a,b,c takes the same analysis options as /api/analyze.
+app.get('/api/compare', async (req, res) => {
+    const { options, error } = parseAnalysisOptions(req.query);
+    if (error) return res.status(400).json({ error });
+    const users = parseCompareUsers(req.query.users);
+    if (users.error) return res.status(400).json({ error: users.error });
 
-    if (!GITHUB_TOKEN) {
-        return res.status(500).json({ error: 'Server configuration error: GitHub token missing.' });
+    try {
+        res.json(await compareProfiles(users.usernames, options));
+    } catch (err) {
+        sendAnalysisError(res, err);
     }
+});
 
-    const authHeaders = { Authorization: `token ${GITHUB_TOKEN}` }; // <-- Correct format for GitHub API
-
+// --- Reports ---
+// GET /api/report/:username?format=json|csv|md|pdf renders one analysis; GET /api/report?users=a,b,c
+// renders a comparison. Both take the same analysis options as /api/analyze.
+async function sendReport(res, kind, filename, format, produce) {
+    if (!REPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Invalid format: expected one of ${REPORT_FORMATS.join(', ')}.` });
+    }
     try {
-        // 1. Fetch profile
-        const r = await fetch(`https://api.github.com/users/${username}`, { headers: authHeaders });
-        if (r.status === 404) return res.status(404).json({ error: 'User not found' });
-        if (r.status === 401) return res.status(401).json({ error: 'GitHub Token is invalid or expired.' });
-        const profile = await r.json();
-
-        // 2. Fetch repositories
-        const rep = await fetch(`https://api.github.com/users/${username}/repos?per_page=100`, { headers: authHeaders });
-        const fetchedRepos = await rep.json();
-
-        let finalRepos = Array.isArray(fetchedRepos) ? fetchedRepos : [];
-        if (shouldFilter) finalRepos = filterLowValueRepos(finalRepos);
-
-        // 3. Aggregate languages
-        const langTotals = {};
-        if (Array.isArray(finalRepos)) {
-            await Promise.all(finalRepos.map(async (repo) => {
-                try {
-                    const lg = await fetch(`https://api.github.com/repos/${username}/${repo.name}/languages`, { headers: authHeaders });
-                    const langs = await lg.json();
-                    for (const [lang, bytes] of Object.entries(langs || {})) {
-                        langTotals[lang] = (langTotals[lang] || 0) + bytes;
-                    }
-                } catch(e) { /* ignore */ }
-            }));
+        const { contentType, body } = await renderReport(kind, await produce(), format);
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+        res.send(body);
+    } catch (err) {
+        sendAnalysisError(res, err);
+    }
+}
+
+app.get('/api/report/:username', (req, res) => {
+    const { options, error } = parseAnalysisOptions(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const { username } = req.params;
+    sendReport(res, 'analysis', `${username}_GitHub_Analysis`, req.query.format || 'json', () => analyzeProfile(username, { ...options, sections: ANALYSIS_SECTIONS }));
+});
+
+app.get('/api/report', (req, res) => {
+    const { options, error } = parseAnalysisOptions(req.query);
+    if (error) return res.status(400).json({ error });
+    const users = parseCompareUsers(req.query.users);
+    if (users.error) return res.status(400).json({ error: users.error });
+
+    sendReport(res, 'comparison', `${users.usernames.join('_vs_')}_GitHub_Comparison`, req.query.format || 'json', () => compareProfiles(users.usernames, options));
+});
+
+// --- Embeddable SVG card and badge ---
+// GET /api/card/:username.svg and /api/badge/:username.svg take ?theme=light|dark, ?size=small|medium|large
+// and the analysis options of /api/analyze. GitHub's image proxy honours Cache-Control, so embeds refresh
+// at most every SVG_CACHE_SECONDS; errors are rendered as a badge and never cached.
+const SVG_ERROR_LABELS = { 400: 'invalid request', 404: 'user not found', 429: 'rate limited' };
+
+function sendSvg(res, status, svg, cacheControl) {
+    res.status(status);
+    res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.set('Cache-Control', cacheControl);
+    res.send(svg);
+}
+
+for (const [kind, render] of [['card', renderCard], ['badge', renderBadge]]) {
+    app.get(`/api/${kind}/:username.svg`, async (req, res) => {
+        const svgOptions = parseSvgOptions(req.query);
+        const { options, error } = parseAnalysisOptions(req.query);
+        if (svgOptions.error || error) {
+            return sendSvg(res, 400, renderErrorBadge(SVG_ERROR_LABELS[400], svgOptions.error ? { theme: 'light', scale: 1 } : svgOptions), 'no-cache');
         }
 
-        // 4. Calculate hireability
-        const hireabilityScore = calculateHireabilityScore(profile, finalRepos, langTotals);
+        try {
+            // Embeds show the score alone and are fetched by every page view, so they never touch the history.
+            const result = await analyzeProfile(req.params.username, { ...options, review: false, history: false });
+            sendSvg(res, 200, render(result, svgOptions), `public, max-age=${SVG_CACHE_SECONDS}, s-maxage=${SVG_CACHE_SECONDS}, stale-while-revalidate=86400`);
+        } catch (err) {
+            const { status } = describeAnalysisError(err);
+            sendSvg(res, status, renderErrorBadge(SVG_ERROR_LABELS[status] || 'unavailable', svgOptions), 'no-cache');
+        }
+    });
+}
 
-        // 5. Generate AI review
-        const aiReview = await generateAIReview(profile, langTotals, hireabilityScore);
+// --- Batch analysis ---
+// Accepts { usernames: [...] }, { csv: "..." } or a raw text/csv body; analysis options come from the
+// query string exactly as for /api/analyze. Progress streams over /ws/batch?jobId=<id>.
+app.post('/api/batch', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), (req, res) => {
+    const { options, error } = parseAnalysisOptions(req.query);
+    if (error) return res.status(400).json({ error });
 
-        res.json({
-            profile,
-            repositories: finalRepos,
-            languagesByBytes: langTotals,
-            hireabilityScore,
-            aiReview
-        });
+    let values;
+    if (typeof req.body === 'string') values = parseUsernameCsv(req.body);
+    else if (typeof req.body?.csv === 'string') values = parseUsernameCsv(req.body.csv);
+    else if (Array.isArray(req.body?.usernames)) values = req.body.usernames;
+    else return res.status(400).json({ error: 'Provide a "usernames" array, a "csv" string or a text/csv body.' });
 
-    } catch (err) {
-        console.error("Backend error:", err);
-        res.status(500).json({ error: `Internal Server Error: ${err.message}` });
+    const { usernames, rejected } = prepareUsernames(values);
+    if (usernames.length === 0) return res.status(400).json({ error: 'No valid GitHub usernames found.', rejected });
+    if (usernames.length > BATCH_MAX_USERS) {
+        return res.status(400).json({ error: `A batch can analyze at most ${BATCH_MAX_USERS} profiles (got ${usernames.length}).` });
     }
+
+    const job = createBatchJob(usernames, async (username) => {
+        try {
+            return { result: await analyzeProfile(username, { ...options, sections: ANALYSIS_SECTIONS }) };
+        } catch (err) {
+            return { error: describeAnalysisError(err).body };
+        }
+    }, BATCH_CONCURRENCY);
+
+    res.status(202).json({ jobId: job.id, total: usernames.length, rejected, websocket: `/ws/batch?jobId=${job.id}` });
+});
+
+app.get('/api/batch/:id', (req, res) => {
+    const job = getBatchJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Batch job not found or expired.' });
+    res.json(serializeJob(job));
 });
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Backend listening on port ${PORT}`));
+const server = app.listen(PORT, () => console.log(`Backend listening on port ${PORT}`));
+attachBatchWebSocket(server);
+startWatchScheduler(analyzeWatched);
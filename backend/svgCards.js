@@ -0,0 +1,132 @@
+// --- Embeddable SVG card and badge ---
+// Pure SVG (no external fonts or images) so they render inside READMEs through GitHub's image proxy.
+// Language shares use the same data as the frontend doughnut: the top 8 languages by bytes, each as a
+// share of those 8.
+
+const THEMES = {
+    light: { background: '#ffffff', border: '#e4e2e2', title: '#007acc', text: '#333333', muted: '#777777', track: '#eeeeee', badgeLabel: '#555555' },
+    dark: { background: '#0d1117', border: '#30363d', title: '#58a6ff', text: '#c9d1d9', muted: '#8b949e', track: '#21262d', badgeLabel: '#30363d' },
+};
+
+const SIZES = { small: 0.8, medium: 1, large: 1.25 };
+
+// Same palette as the frontend language chart.
+const LANGUAGE_COLORS = ['#ff6384', '#36a2eb', '#ffce56', '#4bc0c0', '#9966ff', '#ff9f40', '#c7c7c7', '#5366ff'];
+
+const CARD_LANGUAGES = 5;
+const FONT = "-apple-system, 'Segoe UI', Helvetica, Arial, sans-serif";
+
+const escapeXml = (value) => String(value).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]));
+
+// Rough text width for 11px sans-serif; close enough to size badge segments without font metrics.
+const textWidth = (text, fontSize = 11) => Math.ceil(String(text).length * fontSize * 0.6);
+
+function scoreColor(score) {
+    if (score >= 70) return '#3CB371';
+    if (score >= 40) return '#dfb317';
+    return '#e05d44';
+}
+
+/**
+ * Resolves the card/badge display options from the query string.
+ * @param {object} query - Express `req.query`.
+ * @returns {{ theme: string, scale: number } | { error: string }}
+ */
+function parseSvgOptions(query) {
+    const theme = query.theme || 'light';
+    const size = query.size || 'medium';
+    // Own keys only: `constructor` and friends exist on every object but are not themes or sizes
+    if (!Object.hasOwn(THEMES, theme)) return { error: `Invalid theme: expected one of ${Object.keys(THEMES).join(', ')}.` };
+    if (!Object.hasOwn(SIZES, size)) return { error: `Invalid size: expected one of ${Object.keys(SIZES).join(', ')}.` };
+    return { theme, scale: SIZES[size] };
+}
+
+function languageShares(languagesByBytes) {
+    const top = Object.entries(languagesByBytes).sort(([, a], [, b]) => b - a).slice(0, 8);
+    const total = top.reduce((sum, [, bytes]) => sum + bytes, 0);
+    return top.map(([language, bytes], index) => ({ language, share: total === 0 ? 0 : bytes / total * 100, color: LANGUAGE_COLORS[index] }));
+}
+
+// Wraps content drawn at 1x in an SVG scaled to the requested size.
+function scaled(width, height, scale, title, content) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(width * scale)}" height="${Math.round(height * scale)}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(title)}">
+<title>${escapeXml(title)}</title>
+${content}
+</svg>
+`;
+}
+
+/**
+ * Renders the profile card: score, stars/followers and top-language share bars.
+ * @param {object} result - analyzeProfile() result.
+ * @param {{ theme: string, scale: number }} options - From parseSvgOptions().
+ * @returns {string} SVG document.
+ */
+function renderCard(result, { theme, scale }) {
+    const colors = THEMES[theme];
+    const { profile } = result;
+    const stars = result.repositories.reduce((sum, repo) => sum + (repo.stargazers_count || 0), 0);
+    const languages = languageShares(result.languagesByBytes).slice(0, CARD_LANGUAGES);
+    const width = 420;
+    const height = 120 + Math.max(1, languages.length) * 22;
+
+    const languageRows = languages.length === 0
+        ? `<text x="25" y="140" font-size="12" fill="${colors.muted}">No language data</text>`
+        : languages.map(({ language, share, color }, index) => {
+            const y = 130 + index * 22;
+            return `<text x="25" y="${y + 9}" font-size="12" fill="${colors.text}">${escapeXml(language)}</text>
+<rect x="130" y="${y}" width="210" height="10" rx="5" fill="${colors.track}"/>
+<rect x="130" y="${y}" width="${Math.max(2, share / 100 * 210).toFixed(1)}" height="10" rx="5" fill="${color}"/>
+<text x="395" y="${y + 9}" font-size="11" fill="${colors.muted}" text-anchor="end">${share.toFixed(1)}%</text>`;
+        }).join('\n');
+
+    return scaled(width, height, scale, `${profile.login}: hireability score ${result.hireabilityScore}/100`, `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="6" fill="${colors.background}" stroke="${colors.border}"/>
+<g font-family="${FONT}">
+<text x="25" y="35" font-size="17" font-weight="600" fill="${colors.title}">${escapeXml(profile.name || profile.login)}</text>
+<text x="25" y="55" font-size="12" fill="${colors.muted}">@${escapeXml(profile.login)}</text>
+<text x="25" y="85" font-size="12" fill="${colors.text}">★ ${stars.toLocaleString('en-US')} stars · ${profile.followers.toLocaleString('en-US')} followers · ${result.repositories.length} repos</text>
+<circle cx="360" cy="55" r="32" fill="none" stroke="${colors.track}" stroke-width="6"/>
+<circle cx="360" cy="55" r="32" fill="none" stroke="${scoreColor(result.hireabilityScore)}" stroke-width="6" stroke-linecap="round" stroke-dasharray="${(result.hireabilityScore / 100 * 2 * Math.PI * 32).toFixed(1)} 1000" transform="rotate(-90 360 55)"/>
+<text x="360" y="61" font-size="18" font-weight="700" fill="${colors.text}" text-anchor="middle">${result.hireabilityScore}</text>
+<text x="360" y="102" font-size="10" fill="${colors.muted}" text-anchor="middle">hireability</text>
+${languageRows}
+</g>`);
+}
+
+/**
+ * Renders a shields-style badge: "hireability | 72/100".
+ * @param {object} result - analyzeProfile() result.
+ * @param {{ theme: string, scale: number }} options - From parseSvgOptions().
+ * @returns {string} SVG document.
+ */
+function renderBadge(result, { theme, scale }) {
+    return badge('hireability', `${result.hireabilityScore}/100`, scoreColor(result.hireabilityScore), theme, scale);
+}
+
+/**
+ * Renders an error badge so a broken embed still says what went wrong.
+ * @param {string} message - Short error text.
+ * @param {{ theme: string, scale: number }} options - From parseSvgOptions().
+ * @returns {string} SVG document.
+ */
+function renderErrorBadge(message, { theme, scale }) {
+    return badge('hireability', message, '#9f9f9f', theme, scale);
+}
+
+function badge(label, value, valueColor, theme, scale) {
+    const labelWidth = textWidth(label) + 12;
+    const valueWidth = textWidth(value) + 12;
+    const width = labelWidth + valueWidth;
+
+    return scaled(width, 20, scale, `${label}: ${value}`, `<clipPath id="r"><rect width="${width}" height="20" rx="3"/></clipPath>
+<g clip-path="url(#r)">
+<rect width="${labelWidth}" height="20" fill="${THEMES[theme].badgeLabel}"/>
+<rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${valueColor}"/>
+</g>
+<g fill="#fff" text-anchor="middle" font-family="${FONT}" font-size="11">
+<text x="${labelWidth / 2}" y="14">${escapeXml(label)}</text>
+<text x="${labelWidth + valueWidth / 2}" y="14">${escapeXml(value)}</text>
+</g>`);
+}
+
+export { parseSvgOptions, renderBadge, renderCard, renderErrorBadge };
@@ -0,0 +1,267 @@
+import { GitHubRateLimitError } from './github.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+// --- Tech-stack detection ---
+// languagesByBytes says "JavaScript 80%"; the dependency manifests say React or Express. For the top
+// non-fork repositories this reads package.json, requirements.txt / pyproject.toml, go.mod, Cargo.toml,
+// pom.xml / build.gradle, Gemfile and Dockerfiles, and maps their dependencies to frameworks, test tools
+// and infrastructure, keeping the repositories (and manifest) that evidence each one.
+
+const CATEGORIES = ['frameworks', 'testing', 'infrastructure'];
+
+// Names match the role-matching skill labels where both exist. Dependency patterns ending in `*` are prefixes.
+const TECHNOLOGIES = [
+    // Frameworks
+    { name: 'React', category: 'frameworks', deps: { npm: ['react', 'react-dom'] } },
+    { name: 'React Native', category: 'frameworks', deps: { npm: ['react-native', 'expo'] } },
+    { name: 'Next.js', category: 'frameworks', deps: { npm: ['next'] } },
+    { name: 'Vue', category: 'frameworks', deps: { npm: ['vue', 'nuxt'] } },
+    { name: 'Angular', category: 'frameworks', deps: { npm: ['@angular/core'] } },
+    { name: 'Svelte', category: 'frameworks', deps: { npm: ['svelte', '@sveltejs/kit'] } },
+    { name: 'Express', category: 'frameworks', deps: { npm: ['express'] } },
+    { name: 'NestJS', category: 'frameworks', deps: { npm: ['@nestjs/core'] } },
+    { name: 'Fastify', category: 'frameworks', deps: { npm: ['fastify'] } },
+    { name: 'Electron', category: 'frameworks', deps: { npm: ['electron'] } },
+    { name: 'GraphQL', category: 'frameworks', deps: { npm: ['graphql', '@apollo/client', 'apollo-server'], pypi: ['graphene', 'strawberry-graphql'], go: ['github.com/99designs/gqlgen*'] } },
+    { name: 'Django', category: 'frameworks', deps: { pypi: ['django', 'djangorestframework'] } },
+    { name: 'Flask', category: 'frameworks', deps: { pypi: ['flask'] } },
+    { name: 'FastAPI', category: 'frameworks', deps: { pypi: ['fastapi'] } },
+    { name: 'TensorFlow', category: 'frameworks', deps: { pypi: ['tensorflow', 'keras'] } },
+    { name: 'PyTorch', category: 'frameworks', deps: { pypi: ['torch', 'pytorch-lightning'] } },
+    { name: 'scikit-learn', category: 'frameworks', deps: { pypi: ['scikit-learn', 'sklearn'] } },
+    { name: 'pandas', category: 'frameworks', deps: { pypi: ['pandas'] } },
+    { name: 'Gin', category: 'frameworks', deps: { go: ['github.com/gin-gonic/gin'] } },
+    { name: 'Echo', category: 'frameworks', deps: { go: ['github.com/labstack/echo*'] } },
+    { name: 'Fiber', category: 'frameworks', deps: { go: ['github.com/gofiber/fiber*'] } },
+    { name: 'Actix', category: 'frameworks', deps: { cargo: ['actix-web'] } },
+    { name: 'Axum', category: 'frameworks', deps: { cargo: ['axum'] } },
+    { name: 'Tokio', category: 'frameworks', deps: { cargo: ['tokio'] } },
+    { name: 'Spring', category: 'frameworks', deps: { maven: ['org.springframework*'] } },
+    { name: 'Ruby on Rails', category: 'frameworks', deps: { gem: ['rails'] } },
+    { name: 'Sinatra', category: 'frameworks', deps: { gem: ['sinatra'] } },
+    // Test tools
+    { name: 'Jest', category: 'testing', deps: { npm: ['jest'] } },
+    { name: 'Vitest', category: 'testing', deps: { npm: ['vitest'] } },
+    { name: 'Mocha', category: 'testing', deps: { npm: ['mocha'] } },
+    { name: 'Cypress', category: 'testing', deps: { npm: ['cypress'] } },
+    { name: 'Playwright', category: 'testing', deps: { npm: ['@playwright/test', 'playwright'], pypi: ['playwright'] } },
+    { name: 'Testing Library', category: 'testing', deps: { npm: ['@testing-library/*'] } },
+    { name: 'pytest', category: 'testing', deps: { pypi: ['pytest'] } },
+    { name: 'Testify', category: 'testing', deps: { go: ['github.com/stretchr/testify'] } },
+    { name: 'JUnit', category: 'testing', deps: { maven: ['junit:junit', 'org.junit*'] } },
+    { name: 'RSpec', category: 'testing', deps: { gem: ['rspec', 'rspec-rails'] } },
+    // Infrastructure
+    { name: 'Docker', category: 'infrastructure', files: ['Dockerfile'] },
+    { name: 'Docker Compose', category: 'infrastructure', files: ['docker-compose.yml', 'docker-compose.yaml', 'compose.yml', 'compose.yaml'] },
+    { name: 'PostgreSQL', category: 'infrastructure', deps: { npm: ['pg', 'postgres'], pypi: ['psycopg2', 'psycopg2-binary', 'psycopg', 'asyncpg'], go: ['github.com/lib/pq', 'github.com/jackc/pgx*'], gem: ['pg'], cargo: ['tokio-postgres'], maven: ['org.postgresql:postgresql'] } },
+    { name: 'MySQL', category: 'infrastructure', deps: { npm: ['mysql', 'mysql2'], pypi: ['mysqlclient', 'pymysql'], go: ['github.com/go-sql-driver/mysql'], gem: ['mysql2'], maven: ['mysql:mysql-connector-java', 'com.mysql:mysql-connector-j'] } },
+    { name: 'MongoDB', category: 'infrastructure', deps: { npm: ['mongodb', 'mongoose'], pypi: ['pymongo', 'motor'], go: ['go.mongodb.org/mongo-driver*'], gem: ['mongoid'], cargo: ['mongodb'] } },
+    { name: 'Redis', category: 'infrastructure', deps: { npm: ['redis', 'ioredis'], pypi: ['redis'], go: ['github.com/redis/go-redis*', 'github.com/go-redis/redis*'], gem: ['redis'], cargo: ['redis'] } },
+    { name: 'Prisma', category: 'infrastructure', deps: { npm: ['prisma', '@prisma/client'] } },
+    { name: 'SQLAlchemy', category: 'infrastructure', deps: { pypi: ['sqlalchemy'] } },
+    { name: 'Kafka', category: 'infrastructure', deps: { npm: ['kafkajs'], pypi: ['kafka-python', 'confluent-kafka'], go: ['github.com/segmentio/kafka-go', 'github.com/confluentinc/confluent-kafka-go*'], maven: ['org.apache.kafka*'] } },
+    { name: 'AWS', category: 'infrastructure', deps: { npm: ['aws-sdk', '@aws-sdk/*'], pypi: ['boto3'], go: ['github.com/aws/aws-sdk-go*'], gem: ['aws-sdk*'], maven: ['software.amazon.awssdk*', 'com.amazonaws*'] } },
+    { name: 'Google Cloud', category: 'infrastructure', deps: { npm: ['@google-cloud/*', 'firebase', 'firebase-admin'], pypi: ['google-cloud-*', 'firebase-admin'], go: ['cloud.google.com/go*'] } },
+];
+
+// Manifest file -> dependency ecosystem and parser
+const MANIFESTS = {
+    'package.json': { ecosystem: 'npm', parse: parsePackageJson },
+    'requirements.txt': { ecosystem: 'pypi', parse: parseRequirements },
+    'pyproject.toml': { ecosystem: 'pypi', parse: parsePyproject },
+    'go.mod': { ecosystem: 'go', parse: parseGoMod },
+    'Cargo.toml': { ecosystem: 'cargo', parse: parseCargoToml },
+    'pom.xml': { ecosystem: 'maven', parse: parsePom },
+    'build.gradle': { ecosystem: 'maven', parse: parseGradle },
+    'build.gradle.kts': { ecosystem: 'maven', parse: parseGradle },
+    'Gemfile': { ecosystem: 'gem', parse: parseGemfile },
+};
+
+// --- Manifest parsers ---
+// Each returns the dependency names declared in the file; malformed files yield what could be read.
+function parsePackageJson(text) {
+    try {
+        const pkg = JSON.parse(text);
+        return Object.keys({ ...pkg.dependencies, ...pkg.devDependencies, ...pkg.peerDependencies });
+    } catch {
+        return [];
+    }
+}
+
+// PEP 508 requirement -> normalized project name
+const pythonName = (requirement) => requirement.trim().split(/[\s;[<>=!~@]/)[0].toLowerCase().replace(/_/g, '-');
+
+function parseRequirements(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(line => line && !line.startsWith('-'))
+        .map(pythonName);
+}
+
+// Reads `[section]` tables and `key = ...` lines; enough for dependency tables without a TOML parser.
+function tomlSections(text) {
+    const sections = [];
+    let current = { name: '', lines: [] };
+    for (const line of text.split(/\r?\n/)) {
+        const header = line.match(/^\s*\[{1,2}([^\]]+)\]{1,2}\s*$/);
+        if (header) {
+            sections.push(current);
+            current = { name: header[1].trim(), lines: [] };
+        } else {
+            current.lines.push(line.replace(/#.*/, ''));
+        }
+    }
+    sections.push(current);
+    return sections;
+}
+
+const tomlKeys = (lines) => lines.map(line => line.match(/^\s*([\w.-]+)\s*=/)?.[1]).filter(Boolean);
+
+function parsePyproject(text) {
+    const names = [];
+    for (const { name, lines } of tomlSections(text)) {
+        if (/dependencies$/.test(name) && name !== 'project') {
+            // [tool.poetry.dependencies], [tool.poetry.group.dev.dependencies], [project.optional-dependencies]
+            if (name === 'project.optional-dependencies') names.push(...[...lines.join('\n').matchAll(/["']([^"']+)["']/g)].map(m => pythonName(m[1])));
+            else names.push(...tomlKeys(lines).filter(key => key !== 'python').map(pythonName));
+        }
+        if (name === 'project') {
+            // Quoted entries may contain brackets themselves ("sqlalchemy[asyncio]")
+            const list = lines.join('\n').match(/dependencies\s*=\s*\[((?:"[^"]*"|'[^']*'|[^\]"'])*)\]/);
+            if (list) names.push(...[...list[1].matchAll(/["']([^"']+)["']/g)].map(m => pythonName(m[1])));
+        }
+    }
+    return names;
+}
+
+function parseGoMod(text) {
+    const names = [];
+    let inBlock = false;
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.replace(/\/\/.*/, '').trim();
+        if (/^require\s*\($/.test(trimmed)) inBlock = true;
+        else if (inBlock && trimmed === ')') inBlock = false;
+        else if (inBlock && trimmed) names.push(trimmed.split(/\s+/)[0]);
+        else if (trimmed.startsWith('require ')) names.push(trimmed.split(/\s+/)[1]);
+    }
+    return names;
+}
+
+function parseCargoToml(text) {
+    return tomlSections(text).flatMap(({ name, lines }) => {
+        if (/(^|\.)(dev-|build-)?dependencies$/.test(name)) return tomlKeys(lines);
+        // [dependencies.serde] tables name a single dependency
+        const table = name.match(/^(?:dev-|build-)?dependencies\.([\w-]+)$/);
+        return table ? [table[1]] : [];
+    });
+}
+
+function parsePom(text) {
+    return [...text.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)].map(([, block]) => {
+        const groupId = block.match(/<groupId>\s*([^<]+?)\s*<\/groupId>/)?.[1] || '';
+        const artifactId = block.match(/<artifactId>\s*([^<]+?)\s*<\/artifactId>/)?.[1] || '';
+        return `${groupId}:${artifactId}`;
+    });
+}
+
+function parseGradle(text) {
+    return [...text.matchAll(/["']([\w.-]+):([\w.-]+)(?::[^"']*)?["']/g)].map(([, group, artifact]) => `${group}:${artifact}`);
+}
+
+function parseGemfile(text) {
+    return [...text.matchAll(/^\s*gem\s+["']([^"']+)["']/gm)].map(m => m[1]);
+}
+
+/**
+ * Lists the dependencies a manifest declares.
+ * @param {string} file - Manifest file name, e.g. `Cargo.toml`.
+ * @param {string} text - File content.
+ * @returns {{ ecosystem: string, dependencies: string[] } | null} Null for files that are not dependency manifests.
+ */
+function parseManifest(file, text) {
+    if (!MANIFESTS[file]) return null;
+    const { ecosystem, parse } = MANIFESTS[file];
+    return { ecosystem, dependencies: parse(text) };
+}
+
+// --- Detection ---
+const matchesDependency = (dep, pattern) =>
+    pattern.endsWith('*') ? dep.startsWith(pattern.slice(0, -1)) : dep === pattern;
+
+/**
+ * Maps one repository's manifests to technologies.
+ * @param {Array<{ file: string, ecosystem?: string, dependencies?: string[] }>} manifests - Manifests found in the repo root.
+ * @returns {Array<{ name: string, category: string, manifest: string }>}
+ */
+function detectInManifests(manifests) {
+    const found = new Map();
+    for (const tech of TECHNOLOGIES) {
+        for (const { file, ecosystem, dependencies } of manifests) {
+            const byFile = tech.files?.includes(file);
+            const byDependency = dependencies && tech.deps?.[ecosystem]?.some(pattern => dependencies.some(dep => matchesDependency(dep, pattern)));
+            if ((byFile || byDependency) && !found.has(tech.name)) {
+                found.set(tech.name, { name: tech.name, category: tech.category, manifest: file });
+            }
+        }
+    }
+    return [...found.values()];
+}
+
+const decodeContent = (data) => Buffer.from(data.content || '', data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+
+async function readRepoManifests(github, repo) {
+    const root = await github.request(`/repos/${repo.full_name}/contents/`);
+    if (!root.ok || !Array.isArray(root.data)) return [];
+    const names = root.data.filter(entry => entry.type !== 'dir').map(entry => entry.name);
+
+    const manifests = names.filter(name => /^Dockerfile(\..+)?$/.test(name) || /^(docker-)?compose\.ya?ml$/.test(name))
+        .map(name => ({ file: name.startsWith('Dockerfile') ? 'Dockerfile' : name }));
+
+    for (const file of names.filter(name => MANIFESTS[name])) {
+        const r = await github.request(`/repos/${repo.full_name}/contents/${encodeURIComponent(file)}`);
+        if (!r.ok || !r.data?.content) continue;
+        manifests.push({ file, ...parseManifest(file, decodeContent(r.data)) });
+    }
+    return manifests;
+}
+
+/**
+ * Detects the tech stack of the top non-fork repositories.
+ * @param {object} github - Client from createGitHubClient.
+ * @param {object[]} repos - Analyzed repositories, best first; forks are skipped.
+ * @param {{ maxRepos: number, concurrency: number, signal?: AbortSignal }} options
+ * @returns {Promise<object>} The `techStack` section: `frameworks`, `testing` and `infrastructure` lists of
+ * `{ name, repos: [{ name, html_url, manifest }] }` (most-used first), and `analyzedRepos`.
+ */
+async function detectTechStack(github, repos, { maxRepos, concurrency, signal }) {
+    const candidates = repos.filter(repo => !repo.fork).slice(0, maxRepos);
+    const byRepo = await mapWithConcurrency(candidates, concurrency, async (repo) => {
+        signal?.throwIfAborted();
+        try {
+            return detectInManifests(await readRepoManifests(github, repo));
+        } catch (e) {
+            // One unreadable repository is tolerable; an exhausted quota is not.
+            if (e instanceof GitHubRateLimitError) throw e;
+            return [];
+        }
+    });
+
+    const techStack = Object.fromEntries(CATEGORIES.map(category => [category, []]));
+    const entries = new Map();
+    byRepo.forEach((found, index) => {
+        const repo = candidates[index];
+        for (const { name, category, manifest } of found) {
+            if (!entries.has(name)) {
+                entries.set(name, { name, repos: [] });
+                techStack[category].push(entries.get(name));
+            }
+            entries.get(name).repos.push({ name: repo.name, html_url: repo.html_url, manifest });
+        }
+    });
+    for (const category of CATEGORIES) {
+        techStack[category].sort((a, b) => b.repos.length - a.repos.length || a.name.localeCompare(b.name));
+    }
+    return { ...techStack, analyzedRepos: candidates.length };
+}
+
+export { detectTechStack, parseManifest };
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchActivityTimestamps, summarizeActivityPatterns, timeZoneForLocation } from '../activityPatterns.js';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+test('guesses time zones from locations', () => {
+    assert.equal(timeZoneForLocation('Berlin, Germany'), 'Europe/Berlin');
+    assert.equal(timeZoneForLocation('São Paulo'), 'America/Sao_Paulo');
+    assert.equal(timeZoneForLocation('Vancouver, Canada'), 'America/Vancouver');
+    assert.equal(timeZoneForLocation('Indianapolis, Indiana'), null);
+    assert.equal(timeZoneForLocation(''), null);
+});
+
+test('computes streaks and the heatmap', () => {
+    const commits = [0, 1, 2, 5, 6, 7, 8].map(daysAgo);
+    const patterns = summarizeActivityPatterns({ commits, events: [daysAgo(1)] }, { location: null, weeks: new Array(52).fill(1) });
+    assert.deepEqual(patterns.streaks, { longest: 4, current: 3 });
+    assert.equal(patterns.activeDays, 7);
+    assert.equal(patterns.heatmap.flat().reduce((sum, count) => sum + count, 0), 8);
+    assert.deepEqual(patterns.timeZone, { name: 'UTC', source: 'default' });
+    assert.deepEqual(patterns.sampled, { commits: 7, events: 1 });
+});
+
+test('measures consistency from the weekly series', () => {
+    const empty = { commits: [], events: [] };
+    const steady = summarizeActivityPatterns(empty, { location: null, weeks: new Array(52).fill(3) });
+    assert.equal(steady.burstiness, -1);
+    assert.equal(steady.consistency, 'steady');
+    assert.equal(steady.activeWeeks, 52);
+
+    const bursty = summarizeActivityPatterns(empty, { location: null, weeks: [...new Array(51).fill(0), 50] });
+    assert.equal(bursty.consistency, 'bursty');
+    assert.equal(bursty.activeWeeks, 1);
+
+    const inactive = summarizeActivityPatterns(empty, { location: null, weeks: new Array(52).fill(0) });
+    assert.equal(inactive.burstiness, null);
+    assert.equal(inactive.consistency, 'inactive');
+    assert.equal(inactive.peak, null);
+    assert.deepEqual(inactive.streaks, { longest: 0, current: 0 });
+});
+
+test('only contribution events are counted', async () => {
+    const event = (type, repo = 'alice/tool') => ({ type, repo: { name: repo }, created_at: '2026-10-01T10:00:00Z' });
+    const events = [
+        event('PushEvent', 'alice/elsewhere'), event('PullRequestEvent'), event('IssuesEvent'), event('IssueCommentEvent'),
+        event('PullRequestReviewEvent'), event('CreateEvent'), event('WatchEvent'), event('ForkEvent'), event('MemberEvent'),
+        // Already counted per commit from the sampled repository
+        event('PushEvent'),
+    ];
+    const github = {
+        request: async (url) => ({ ok: true, data: url.includes('/events/public') && url.endsWith('page=1') ? events : [] }),
+    };
+    const repos = [{ name: 'tool', full_name: 'alice/tool', fork: false, pushed_at: daysAgo(1) }];
+    const timestamps = await fetchActivityTimestamps(github, 'alice', repos, { concurrency: 1 });
+    assert.equal(timestamps.events.length, 6);
+});
@@ -0,0 +1,85 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createProvider, generateAIReview } from '../aiReview.js';
+import { templateReview } from '../../shared/templateReview.js';
+
+const context = {
+    profile: { login: 'alice', name: 'Alice', followers: 12, public_repos: 3, bio: null, created_at: '2020-01-01T00:00:00Z' },
+    repos: [{ name: 'tool', language: 'Go', stargazers_count: 4, pushed_at: '2026-09-01T00:00:00Z', description: 'A tool' }],
+    langTotals: { Go: 1000 },
+    hireabilityScore: 42,
+    scoreBreakdown: [{ label: 'Followers', points: 1, max: 20 }],
+};
+
+// --- Provider selection ---
+const selected = (env) => {
+    const provider = createProvider(env);
+    return provider && { name: provider.name, model: provider.model };
+};
+
+test('picks the first provider with credentials when AI_PROVIDER is unset', () => {
+    assert.equal(selected({}), null);
+    assert.deepEqual(selected({ GEMINI_API_KEY: 'g' }), { name: 'gemini', model: 'gemini-2.5-flash' });
+    assert.deepEqual(selected({ GEMINI_API_KEY: 'g', OPENAI_API_KEY: 'o' }), { name: 'openai', model: 'gpt-4o-mini' });
+    assert.deepEqual(selected({ LOCAL_LLM_BASE_URL: 'http://localhost:11434/v1', LOCAL_LLM_MODEL: 'qwen' }), { name: 'local', model: 'qwen' });
+});
+
+test('AI_PROVIDER picks a provider, or the template when it is unknown or lacks credentials', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.deepEqual(selected({ AI_PROVIDER: 'Gemini', GEMINI_API_KEY: 'g', OPENAI_API_KEY: 'o', GEMINI_MODEL: 'gemini-pro' }), { name: 'gemini', model: 'gemini-pro' });
+    assert.equal(selected({ AI_PROVIDER: 'template', OPENAI_API_KEY: 'o' }), null);
+    assert.equal(selected({ AI_PROVIDER: 'openai', GEMINI_API_KEY: 'g' }), null);
+    assert.equal(selected({ AI_PROVIDER: 'claude', OPENAI_API_KEY: 'o' }), null);
+    assert.equal(console.warn.mock.callCount(), 2);
+});
+
+// --- Fallback to the template ---
+// A stand-in OpenAI-compatible endpoint whose next answer each test chooses. generateAIReview creates its
+// provider once, so every test shares this server.
+let respond;
+const llm = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => respond(res));
+});
+const completion = (content) => (res) => res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+    id: 'chatcmpl-1', object: 'chat.completion', created: 0, model: 'test-model',
+    choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }],
+}));
+
+before(async () => {
+    await new Promise(resolve => llm.listen(0, '127.0.0.1', resolve));
+    Object.assign(process.env, {
+        AI_PROVIDER: 'local',
+        LOCAL_LLM_BASE_URL: `http://127.0.0.1:${llm.address().port}/v1`,
+        LOCAL_LLM_MODEL: 'test-model',
+        AI_REVIEW_TIMEOUT_MS: '200',
+    });
+});
+after(() => {
+    for (const name of ['AI_PROVIDER', 'LOCAL_LLM_BASE_URL', 'LOCAL_LLM_MODEL', 'AI_REVIEW_TIMEOUT_MS']) delete process.env[name];
+    llm.closeAllConnections();
+    llm.close();
+});
+
+test('returns the provider review when it answers', async () => {
+    respond = completion('  A focused Go developer.  ');
+    assert.deepEqual(await generateAIReview(context), { text: 'A focused Go developer.', provider: 'local', model: 'test-model' });
+});
+
+test('falls back to the template on errors, empty output and timeouts', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const fallback = { text: templateReview(context), provider: 'template', model: null };
+
+    respond = (res) => res.writeHead(500, { 'Content-Type': 'application/json' }).end('{"error":{"message":"model crashed"}}');
+    const failed = await generateAIReview(context);
+    assert.deepEqual({ ...failed, fallbackReason: undefined }, { ...fallback, fallbackReason: undefined });
+    assert.match(failed.fallbackReason, /500/);
+
+    respond = completion('   ');
+    assert.deepEqual(await generateAIReview(context), { ...fallback, fallbackReason: 'Empty response' });
+
+    // Never answers within AI_REVIEW_TIMEOUT_MS
+    respond = (res) => setTimeout(() => completion('Too late.')(res), 1000);
+    assert.deepEqual(await generateAIReview(context), { ...fallback, fallbackReason: 'Timed out after 200ms' });
+});
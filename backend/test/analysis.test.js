@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAnnualActivity } from '../analysis.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+// Sunday 00:00 UTC of the current week, where GitHub's stats weeks start
+const today = new Date();
+const currentWeekStart = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()) - today.getUTCDay() * DAY_MS;
+const weeksAgo = (n) => currentWeekStart - n * WEEK_MS;
+
+const repo = (name) => ({ name, full_name: `alice/${name}`, fork: false, pushed_at: new Date().toISOString() });
+
+// Contributor stats per repository (null answers 202, still computing) and the public events.
+function fakeGitHub({ stats, events = [] }) {
+    return {
+        async request(url) {
+            const statsMatch = url.match(/^\/repos\/(.+)\/stats\/contributors$/);
+            if (statsMatch) {
+                const weeks = stats[statsMatch[1]];
+                return weeks === null ? { status: 202, ok: true, data: {} } : { status: 200, ok: true, data: [{ author: { login: 'Alice' }, weeks }] };
+            }
+            return { status: 200, ok: true, data: url.endsWith('page=1') ? events : [] };
+        },
+    };
+}
+
+test('buckets commits into 52 weeks, a year ago at index 0 and the current week last', async () => {
+    const github = fakeGitHub({
+        stats: {
+            'alice/api': [
+                { w: weeksAgo(52) / 1000, c: 99 },
+                { w: weeksAgo(51) / 1000, c: 3 },
+                { w: weeksAgo(1) / 1000, c: 4 },
+                { w: weeksAgo(0) / 1000, c: 5 },
+            ],
+            'alice/web': [{ w: weeksAgo(0) / 1000, c: 2 }],
+        },
+    });
+    const { weeks, source } = await buildAnnualActivity('alice', [repo('api'), repo('web')], github);
+
+    assert.equal(weeks.length, 52);
+    assert.equal(weeks[0], 3);
+    assert.equal(weeks[50], 4);
+    assert.equal(weeks[51], 7);
+    // The week 52 weeks ago falls outside the series
+    assert.equal(weeks.reduce((sum, commits) => sum + commits, 0), 14);
+    assert.equal(source, 'stats');
+});
+
+test('falls back to push events for repositories whose stats are not ready', async () => {
+    const push = (repoName, at, size) => ({ type: 'PushEvent', repo: { name: repoName }, created_at: new Date(at).toISOString(), payload: { distinct_size: size } });
+    const github = fakeGitHub({
+        stats: { 'alice/api': null, 'alice/web': [{ w: weeksAgo(2) / 1000, c: 1 }] },
+        events: [
+            push('alice/api', weeksAgo(0) + DAY_MS, 2),
+            push('alice/api', weeksAgo(3) + 2 * DAY_MS, 6),
+            // Already counted from the web repository's stats
+            push('alice/web', weeksAgo(2) + DAY_MS, 1),
+        ],
+    });
+    const { weeks, source } = await buildAnnualActivity('alice', [repo('api'), repo('web')], github);
+
+    assert.equal(weeks[51], 2);
+    assert.equal(weeks[49], 1);
+    assert.equal(weeks[48], 6);
+    assert.equal(source, 'mixed');
+});
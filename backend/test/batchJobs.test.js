@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { once } from 'events';
+import WebSocket from 'ws';
+import { attachBatchWebSocket, createBatchJob, getBatchJob, serializeJob } from '../batchJobs.js';
+
+// Analyses that finish only when the test releases them, so progress can be observed step by step.
+function controlledAnalyze() {
+    const pending = new Map();
+    let running = 0;
+    let maxRunning = 0;
+    const analyze = (username) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        return new Promise(resolve => pending.set(username, (outcome) => {
+            running--;
+            resolve(outcome);
+        }));
+    };
+    const release = async (username, outcome) => {
+        while (!pending.has(username)) await new Promise(resolve => setImmediate(resolve));
+        pending.get(username)(outcome);
+    };
+    return { analyze, release, maxRunning: () => maxRunning };
+}
+
+test('a job runs every username and records results and errors', async () => {
+    const { analyze, release } = controlledAnalyze();
+    const job = createBatchJob(['alice', 'bob'], analyze, 2);
+    assert.equal(getBatchJob(job.id), job);
+    assert.equal(job.status, 'running');
+    assert.deepEqual(job.items.map(item => item.status), ['running', 'running']);
+
+    const done = once(job.events, 'done');
+    await release('alice', { result: { hireabilityScore: 70 } });
+    await release('bob', { error: { error: 'User not found' } });
+    const [snapshot] = await done;
+
+    assert.equal(job.status, 'done');
+    assert.ok(job.finishedAt);
+    assert.deepEqual(snapshot, serializeJob(job));
+    assert.equal(snapshot.completed, 2);
+    assert.deepEqual(snapshot.items.map(({ username, status }) => [username, status]), [['alice', 'done'], ['bob', 'error']]);
+    assert.deepEqual(snapshot.items[1].error, { error: 'User not found' });
+    assert.equal(getBatchJob('unknown'), null);
+});
+
+test('no more analyses than the concurrency limit run at once', async () => {
+    const { analyze, release, maxRunning } = controlledAnalyze();
+    const usernames = ['a', 'b', 'c', 'd', 'e'];
+    const job = createBatchJob(usernames, analyze, 2);
+    const done = once(job.events, 'done');
+
+    assert.deepEqual(job.items.map(item => item.status), ['running', 'running', 'queued', 'queued', 'queued']);
+    for (const username of usernames) await release(username, { result: {} });
+    await done;
+    assert.equal(maxRunning(), 2);
+});
+
+test('WebSocket subscribers get a snapshot, progress, results and the final state', async (t) => {
+    const server = http.createServer();
+    attachBatchWebSocket(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const url = (jobId) => `ws://127.0.0.1:${server.address().port}/ws/batch?jobId=${jobId}`;
+
+    const { analyze, release } = controlledAnalyze();
+    const job = createBatchJob(['alice', 'bob'], analyze, 1);
+
+    const socket = new WebSocket(url(job.id));
+    const messages = [];
+    socket.on('message', (data) => messages.push(JSON.parse(data)));
+    await once(socket, 'open');
+    while (messages.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+
+    await release('alice', { result: { hireabilityScore: 70 } });
+    await release('bob', { result: { hireabilityScore: 40 } });
+    await once(socket, 'close');
+
+    assert.deepEqual(messages.map(message => message.type), ['snapshot', 'result', 'progress', 'result', 'done']);
+    assert.equal(messages[0].job.items[0].status, 'running');
+    assert.deepEqual(messages[1], { type: 'result', index: 0, username: 'alice', status: 'done', result: { hireabilityScore: 70 }, error: null });
+    assert.deepEqual(messages[2], { type: 'progress', index: 1, username: 'bob', status: 'running' });
+    assert.equal(messages[4].job.completed, 2);
+
+    const unknown = new WebSocket(url('missing'));
+    const [data] = await once(unknown, 'message');
+    assert.deepEqual(JSON.parse(data), { type: 'error', error: 'Unknown batch job "missing".' });
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCommandLine } from '../cliArgs.js';
+
+test('maps flags to analysis options', () => {
+    const parsed = parseCommandLine(['octocat', '--filter', '--min-stars', '5', '--no-review', '--format', 'md']);
+    assert.deepEqual(parsed.usernames, ['octocat']);
+    assert.equal(parsed.format, 'md');
+    assert.equal(parsed.options.filterRules.enabled, true);
+    assert.equal(parsed.options.filterRules.minStars, 5);
+    assert.equal(parsed.options.review, false);
+    assert.equal(parsed.options.history, false);
+});
+
+test('defaults to the table format and deduplicates usernames', () => {
+    const parsed = parseCommandLine(['octocat', 'OctoCat', 'torvalds']);
+    assert.equal(parsed.format, 'table');
+    assert.deepEqual(parsed.usernames, ['octocat', 'torvalds']);
+    assert.equal(parsed.options.review, true);
+});
+
+test('reports help', () => {
+    assert.deepEqual(parseCommandLine(['-h']), { help: true });
+});
+
+test('reports usage errors', () => {
+    assert.match(parseCommandLine([]).error, /at least one/);
+    assert.match(parseCommandLine(['octocat', '--format', 'xml']).error, /Invalid format/);
+    assert.match(parseCommandLine(['bad user!']).error, /Invalid usernames/);
+    assert.match(parseCommandLine(['octocat', '--min-quality=-3']).error, /minQuality/);
+    assert.match(parseCommandLine(['octocat', '--preset', 'nope']).error, /Unknown scoring preset/);
+    assert.ok(parseCommandLine(['octocat', '--unknown']).error);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareResults } from '../comparison.js';
+
+const preset = { name: 'balanced', label: 'Balanced', factors: { followers: { max: 20 }, stars: { max: 15 } } };
+
+const result = (login, { score, followers, stars, languages = { Go: 100 }, weeks = [1, 0, 2] }) => ({
+    profile: { login, name: login.toUpperCase(), avatar_url: `https://avatars.example/${login}`, html_url: `https://github.com/${login}`, followers },
+    hireabilityScore: score,
+    repositories: [{ stargazers_count: stars, quality: { score: 60 } }, { stargazers_count: 0, quality: null }],
+    languagesByBytes: languages,
+    annualActivity: weeks,
+    scoreBreakdown: [
+        { key: 'followers', label: 'Followers', points: Math.floor(followers / 10) },
+        { key: 'stars', label: 'Stars', points: Math.floor(stars / 10) },
+    ],
+});
+
+test('ranks candidates by score and measures deltas from the leader', () => {
+    const comparison = compareResults([
+        { username: 'bob', result: result('bob', { score: 40, followers: 10, stars: 5 }) },
+        { username: 'alice', result: result('alice', { score: 70, followers: 40, stars: 30, languages: { Go: 300, Rust: 100 } }) },
+    ], preset);
+
+    assert.deepEqual(comparison.candidates.map(c => [c.username, c.rank]), [['alice', 1], ['bob', 2]]);
+    const [alice, bob] = comparison.candidates;
+    assert.deepEqual(alice.deltas, { hireabilityScore: 0, followers: 0, repositories: 0, stars: 0, languages: 0, activeWeeks: 0, averageQuality: 0 });
+    assert.equal(bob.deltas.hireabilityScore, -30);
+    assert.equal(bob.deltas.followers, -30);
+    assert.equal(bob.deltas.languages, -1);
+    assert.equal(bob.normalized.followers, 25);
+    assert.equal(alice.normalized.followers, 100);
+    assert.equal(alice.metrics.averageQuality, 60);
+    assert.deepEqual(alice.factorPoints, { followers: 4, stars: 3 });
+    assert.deepEqual(alice.languageShares, { Go: 75, Rust: 25 });
+    assert.deepEqual(comparison.scoreDeltas, [[0, 30], [-30, 0]]);
+    assert.deepEqual(comparison.factors, [{ key: 'followers', label: 'Followers', max: 20 }, { key: 'stars', label: 'Stars', max: 15 }]);
+    assert.deepEqual(comparison.languages, ['Go', 'Rust']);
+});
+
+test('breaks score ties on the raw metrics, then the username', () => {
+    const tied = compareResults([
+        { username: 'carol', result: result('carol', { score: 50, followers: 10, stars: 5 }) },
+        { username: 'dave', result: result('dave', { score: 50, followers: 20, stars: 5 }) },
+        { username: 'bea', result: result('bea', { score: 50, followers: 10, stars: 5 }) },
+    ], preset);
+    assert.deepEqual(tied.candidates.map(c => c.username), ['dave', 'bea', 'carol']);
+});
+
+test('lists failed candidates separately and still ranks the rest', () => {
+    const comparison = compareResults([
+        { username: 'ghost', error: { error: 'User not found' } },
+        { username: 'alice', result: result('alice', { score: 70, followers: 40, stars: 30 }) },
+    ], preset);
+    assert.deepEqual(comparison.candidates.map(c => c.username), ['alice']);
+    assert.deepEqual(comparison.failed, [{ username: 'ghost', error: { error: 'User not found' } }]);
+    assert.deepEqual(comparison.scoreDeltas, [[0]]);
+});
+
+test('reports every candidate as failed when none could be analyzed', () => {
+    const comparison = compareResults([{ username: 'ghost', error: { error: 'User not found' } }], preset);
+    assert.deepEqual(comparison.candidates, []);
+    assert.equal(comparison.failed.length, 1);
+    assert.deepEqual(comparison.factors.map(f => f.label), ['followers', 'stars']);
+});
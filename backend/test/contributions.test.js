@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchContributions } from '../contributions.js';
+import { GitHubRateLimitError } from '../github.js';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+const item = (repo, { state = 'closed', merged = false, created = daysAgo(10) } = {}) => ({
+    repository_url: `https://api.github.com/repos/${repo}`,
+    state,
+    created_at: created,
+    pull_request: merged ? { merged_at: created } : {},
+});
+
+// A GitHub client answering the two searches and the repository lookups from fixtures.
+// `totals` overrides the searches' total_count, as for users with more than one page of results.
+function fakeGitHub({ pulls, issues, stars = {}, totals = {}, searchError }) {
+    const requested = [];
+    return {
+        requested,
+        async request(url) {
+            requested.push(url);
+            if (url.startsWith('/search/issues')) {
+                if (searchError) throw searchError;
+                const kind = decodeURIComponent(url).includes('is:pr') ? 'pr' : 'issue';
+                const items = kind === 'pr' ? pulls : issues;
+                return { ok: true, data: { total_count: totals[kind] ?? items.length, items } };
+            }
+            const fullName = url.replace('/repos/', '');
+            return fullName in stars ? { ok: true, data: { stargazers_count: stars[fullName] } } : { ok: false, status: 404, data: null };
+        },
+    };
+}
+
+test('counts pull requests and issues by state and groups them by target repository', async () => {
+    const github = fakeGitHub({
+        pulls: [
+            item('nodejs/node', { merged: true }),
+            item('nodejs/node', { merged: true, created: daysAgo(500) }),
+            item('expressjs/express', { state: 'open', created: daysAgo(2) }),
+            item('expressjs/express'),
+        ],
+        issues: [item('vercel/next.js', { state: 'open' }), item('nodejs/node')],
+        stars: { 'nodejs/node': 100000, 'expressjs/express': 60000 },
+    });
+    const contributions = await fetchContributions(github, 'alice', { concurrency: 2 });
+
+    assert.deepEqual(contributions.pullRequests, { total: 4, merged: 2, open: 1, closed: 1 });
+    assert.deepEqual(contributions.issues, { total: 2, open: 1, closed: 1 });
+    assert.equal(contributions.sampled, false);
+    assert.deepEqual(contributions.repositories.map(repo => [repo.fullName, repo.mergedPullRequests, repo.pullRequests, repo.issues, repo.stars]), [
+        ['nodejs/node', 2, 2, 1, 100000],
+        ['expressjs/express', 0, 2, 0, 60000],
+        ['vercel/next.js', 0, 0, 1, null],
+    ]);
+    assert.equal(contributions.repositories[0].htmlUrl, 'https://github.com/nodejs/node');
+    assert.equal(contributions.lastContributionAt, contributions.repositories[1].lastContributionAt);
+    // Everything except the merged pull request from 500 days ago
+    assert.equal(contributions.recentContributions, 5);
+    assert.ok(github.requested[0].includes(encodeURIComponent('author:alice -user:alice is:pr')));
+});
+
+test('marks the counts as sampled when the search found more than one page', async () => {
+    const contributions = await fetchContributions(fakeGitHub({ pulls: [item('nodejs/node', { merged: true })], issues: [], totals: { pr: 250 } }), 'alice', { concurrency: 1 });
+    assert.equal(contributions.pullRequests.total, 250);
+    assert.equal(contributions.pullRequests.merged, 1);
+    assert.equal(contributions.sampled, true);
+});
+
+test('a failed search leaves the section unavailable instead of failing', async () => {
+    const unavailable = await fetchContributions(fakeGitHub({ searchError: new GitHubRateLimitError('limited', Date.now()) }), 'alice', { concurrency: 1 });
+    assert.deepEqual(unavailable, { unavailable: 'GitHub search rate limit reached.' });
+});
+
+test('stops looking up repositories once the signal aborts', async () => {
+    const controller = new AbortController();
+    const github = fakeGitHub({ pulls: [item('nodejs/node'), item('expressjs/express')], issues: [], stars: { 'nodejs/node': 1 } });
+    controller.abort();
+    await assert.rejects(fetchContributions(github, 'alice', { concurrency: 1, signal: controller.signal }), { name: 'AbortError' });
+    assert.equal(github.requested.filter(url => url.startsWith('/repos/')).length, 0);
+});
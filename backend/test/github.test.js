@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createGitHubClient, GitHubRateLimitError } from '../github.js';
+
+// A stand-in GitHub API that answers every request with 429 and the given Retry-After header.
+async function rateLimitedApi(t, retryAfter) {
+    const server = http.createServer((req, res) => res.writeHead(429, { 'Retry-After': retryAfter }).end('{}'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+    t.after(() => { delete process.env.GITHUB_API_URL; });
+}
+
+test('Retry-After in seconds sets when the rate limit resets', async (t) => {
+    await rateLimitedApi(t, '120');
+    const error = await createGitHubClient({ token: 'x', refresh: true }).request('/users/seconds').catch(e => e);
+    assert.ok(error instanceof GitHubRateLimitError);
+    assert.ok(Math.abs(error.resetAt - (Date.now() + 120 * 1000)) < 5000);
+});
+
+test('Retry-After as an HTTP date sets when the rate limit resets', async (t) => {
+    const retryAt = Date.now() + 90 * 1000;
+    await rateLimitedApi(t, new Date(retryAt).toUTCString());
+    const error = await createGitHubClient({ token: 'x', refresh: true }).request('/users/date').catch(e => e);
+    assert.ok(error instanceof GitHubRateLimitError);
+    assert.ok(Math.abs(error.resetAt - retryAt) < 5000);
+});
+
+// A stand-in GitHub API that serves `{ path }` with an ETag, answers a matching If-None-Match with 304
+// and counts the requests it receives per path.
+async function cachingApi(t, { delayMs = 0 } = {}) {
+    const hits = {};
+    const revalidations = [];
+    const server = http.createServer((req, res) => {
+        hits[req.url] = (hits[req.url] || 0) + 1;
+        if (req.headers['if-none-match'] === '"v1"') {
+            revalidations.push(req.url);
+            return res.writeHead(304, { ETag: '"v1"' }).end();
+        }
+        setTimeout(() => res.writeHead(200, { 'Content-Type': 'application/json', ETag: '"v1"' }).end(JSON.stringify({ path: req.url })), delayMs);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+    t.after(() => { delete process.env.GITHUB_API_URL; });
+    return { hits, revalidations };
+}
+
+const waitForTtl = () => new Promise(resolve => setTimeout(resolve, 80));
+
+test('cached responses are served without a request until the TTL expires, then revalidated', async (t) => {
+    const { hits, revalidations } = await cachingApi(t);
+    process.env.GITHUB_CACHE_TTL_SECONDS = '0.05';
+    t.after(() => { delete process.env.GITHUB_CACHE_TTL_SECONDS; });
+
+    const first = createGitHubClient({ token: 'x' });
+    assert.deepEqual((await first.request('/users/ttl')).data, { path: '/users/ttl' });
+    assert.deepEqual((await first.request('/users/ttl')).data, { path: '/users/ttl' });
+    assert.equal(hits['/users/ttl'], 1);
+    assert.equal(first.requests, 1);
+    assert.notEqual(first.cachedAt, null);
+
+    // Expired: revalidated with the ETag, and the 304 renews the entry with the cached body.
+    await waitForTtl();
+    const second = createGitHubClient({ token: 'x' });
+    const revalidated = await second.request('/users/ttl');
+    assert.deepEqual(revalidated, { status: 200, ok: true, data: { path: '/users/ttl' }, headers: {} });
+    assert.deepEqual(revalidations, ['/users/ttl']);
+
+    // Renewed, so fresh again without another request
+    await second.request('/users/ttl');
+    assert.equal(hits['/users/ttl'], 2);
+});
+
+test('refresh skips the cache and refetches the full response', async (t) => {
+    const { hits, revalidations } = await cachingApi(t);
+    await createGitHubClient({ token: 'x' }).request('/users/refresh');
+    const refreshed = createGitHubClient({ token: 'x', refresh: true });
+    assert.deepEqual((await refreshed.request('/users/refresh')).data, { path: '/users/refresh' });
+    assert.equal(hits['/users/refresh'], 2);
+    assert.equal(refreshed.cachedAt, null);
+    assert.deepEqual(revalidations, []);
+});
+
+test('the least recently used entry is evicted beyond GITHUB_CACHE_MAX_ENTRIES', async (t) => {
+    const { hits } = await cachingApi(t);
+    // Earlier tests' entries are the least recently used, so they go first.
+    process.env.GITHUB_CACHE_MAX_ENTRIES = '2';
+    t.after(() => { delete process.env.GITHUB_CACHE_MAX_ENTRIES; });
+
+    const github = createGitHubClient({ token: 'x' });
+    await github.request('/users/a');
+    await github.request('/users/b');
+    await github.request('/users/a');
+    await github.request('/users/c');
+    assert.equal(github.requests, 3);
+
+    // b was used least recently and was evicted; a is still cached.
+    await github.request('/users/a');
+    await github.request('/users/b');
+    assert.deepEqual(hits, { '/users/a': 1, '/users/b': 2, '/users/c': 1 });
+});
+
+test('identical concurrent requests share one network request', async (t) => {
+    const { hits } = await cachingApi(t, { delayMs: 50 });
+    const github = createGitHubClient({ token: 'x', refresh: true });
+    const [a, b] = await Promise.all([github.request('/users/events'), github.request('/users/events')]);
+    assert.deepEqual(a.data, b.data);
+    assert.equal(hits['/users/events'], 1);
+    assert.equal(github.requests, 1);
+});
+
+// A stand-in GitHub API listing `total` items, `perPage` to a page, linked with rel="next". Pages listed
+// in `failing` answer 500.
+async function pagedApi(t, { total, perPage, failing = [] }) {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const page = Number(url.searchParams.get('page') || 1);
+        if (failing.includes(page)) return res.writeHead(500, { 'Content-Type': 'application/json' }).end('{"message":"Server Error"}');
+
+        const items = Array.from({ length: total }, (_, i) => ({ id: i + 1 })).slice((page - 1) * perPage, page * perPage);
+        const headers = { 'Content-Type': 'application/json' };
+        if (page * perPage < total) {
+            headers.Link = `<http://${req.headers.host}/items?per_page=${perPage}&page=${page + 1}>; rel="next", <http://${req.headers.host}/items?page=1>; rel="first"`;
+        }
+        res.writeHead(200, headers).end(JSON.stringify(items));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+    t.after(() => { delete process.env.GITHUB_API_URL; });
+}
+
+test('requestAllPages follows the Link header to the last page', async (t) => {
+    await pagedApi(t, { total: 7, perPage: 3 });
+    const github = createGitHubClient({ token: 'x', refresh: true });
+    const result = await github.requestAllPages('/items?per_page=3');
+    assert.deepEqual(result.data.map(item => item.id), [1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(result.truncated, false);
+    assert.equal(github.requests, 3);
+});
+
+test('requestAllPages stops at maxItems and reports whether more were left', async (t) => {
+    await pagedApi(t, { total: 7, perPage: 3 });
+    const capped = await createGitHubClient({ token: 'x', refresh: true }).requestAllPages('/items?per_page=3', 5);
+    assert.deepEqual(capped.data.map(item => item.id), [1, 2, 3, 4, 5]);
+    assert.equal(capped.truncated, true);
+
+    // Exactly the last item: nothing was left out
+    const exact = await createGitHubClient({ token: 'x', refresh: true }).requestAllPages('/items?per_page=3', 7);
+    assert.equal(exact.data.length, 7);
+    assert.equal(exact.truncated, false);
+});
+
+test('requestAllPages keeps the pages it has when a later one fails', async (t) => {
+    await pagedApi(t, { total: 7, perPage: 3, failing: [2] });
+    const partial = await createGitHubClient({ token: 'x', refresh: true }).requestAllPages('/items?per_page=3');
+    assert.deepEqual(partial, { status: 200, ok: true, data: [{ id: 1 }, { id: 2 }, { id: 3 }], truncated: true });
+});
+
+test('requestAllPages reports a failing first page as an error', async (t) => {
+    await pagedApi(t, { total: 7, perPage: 3, failing: [1] });
+    const failed = await createGitHubClient({ token: 'x', refresh: true }).requestAllPages('/items?per_page=3');
+    assert.equal(failed.ok, false);
+    assert.equal(failed.status, 500);
+    assert.equal(failed.truncated, false);
+});
@@ -0,0 +1,95 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createGitHubClient } from '../github.js';
+import { fetchUserGraphQL } from '../githubGraphql.js';
+import { AnalysisError, analyzeProfile } from '../analysis.js';
+
+const recordingsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'recordings-'));
+after(() => fs.rm(recordingsDir, { recursive: true, force: true }));
+
+const restProfile = {
+    id: 7, login: 'alice', name: 'Alice', avatar_url: 'https://avatars.example/7', html_url: 'https://github.com/alice',
+    bio: 'Builds things', company: null, location: 'Berlin', email: null, blog: 'https://alice.dev', twitter_username: null,
+    created_at: '2015-03-01T00:00:00Z', updated_at: '2024-05-01T00:00:00Z', followers: 42, following: 3, public_repos: 1,
+};
+const restRepo = {
+    id: 70, name: 'tool', full_name: 'alice/tool', owner: { login: 'alice' }, description: 'A tool', html_url: 'https://github.com/alice/tool',
+    homepage: null, fork: false, archived: false, stargazers_count: 5, forks_count: 1, size: 120, created_at: '2020-01-01T00:00:00Z',
+    updated_at: '2024-04-01T00:00:00Z', pushed_at: '2024-04-01T00:00:00Z', language: 'Go',
+    license: { key: 'mit', name: 'MIT License', spdx_id: 'MIT' }, topics: ['cli'],
+};
+
+// The same account as the GraphQL API describes it.
+const graphqlUser = {
+    databaseId: 7, login: 'alice', name: 'Alice', avatarUrl: 'https://avatars.example/7', url: 'https://github.com/alice',
+    bio: 'Builds things', company: null, location: 'Berlin', email: null, websiteUrl: 'https://alice.dev', twitterUsername: null,
+    createdAt: '2015-03-01T00:00:00Z', updatedAt: '2024-05-01T00:00:00Z',
+    followers: { totalCount: 42 }, following: { totalCount: 3 }, publicRepos: { totalCount: 1 },
+    repositories: {
+        pageInfo: { hasNextPage: false, endCursor: null },
+        nodes: [{
+            databaseId: 70, name: 'tool', nameWithOwner: 'alice/tool', description: 'A tool', url: 'https://github.com/alice/tool',
+            homepageUrl: null, isFork: false, isArchived: false, stargazerCount: 5, forkCount: 1, diskUsage: 120,
+            createdAt: '2020-01-01T00:00:00Z', updatedAt: '2024-04-01T00:00:00Z', pushedAt: '2024-04-01T00:00:00Z',
+            owner: { login: 'alice' }, primaryLanguage: { name: 'Go' }, licenseInfo: { key: 'mit', name: 'MIT License', spdxId: 'MIT' },
+            rootTree: { entries: [{ name: 'README.md' }, { name: 'go.mod' }] }, workflows: null,
+            repositoryTopics: { nodes: [{ topic: { name: 'cli' } }] },
+            languages: { edges: [{ size: 900, node: { name: 'Go' } }] },
+        }],
+    },
+};
+
+async function githubStub(t, graphqlResponse) {
+    const server = http.createServer((req, res) => {
+        const json = (status, body) => res.writeHead(status, { 'content-type': 'application/json' }).end(JSON.stringify(body));
+        if (req.method === 'POST' && req.url === '/graphql') return json(200, graphqlResponse);
+        if (req.url === '/users/alice') return json(200, restProfile);
+        if (req.url === '/users/alice/repos?per_page=100') return json(200, [restRepo]);
+        json(404, { message: 'Not Found' });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+    t.after(() => { delete process.env.GITHUB_API_URL; });
+    return server;
+}
+
+async function fetchBothPaths() {
+    const github = createGitHubClient({ token: 'x', refresh: true });
+    const rest = { profile: (await github.request('/users/alice')).data, repos: (await github.requestAllPages('/users/alice/repos?per_page=100')).data };
+    return { rest, graphql: await fetchUserGraphQL(github, 'alice', 100) };
+}
+
+test('a recorded session replays the same profile and repositories through REST and GraphQL', async (t) => {
+    t.after(() => { delete process.env.GITHUB_RECORDINGS_DIR; delete process.env.GITHUB_RECORDINGS_MODE; });
+    process.env.GITHUB_RECORDINGS_DIR = recordingsDir;
+
+    const server = await githubStub(t, { data: { user: graphqlUser } });
+    process.env.GITHUB_RECORDINGS_MODE = 'record';
+    await fetchBothPaths();
+    await new Promise(resolve => server.close(resolve));
+
+    // The stub is gone, so everything below is served from the recordings.
+    process.env.GITHUB_RECORDINGS_MODE = 'replay';
+    const { rest, graphql } = await fetchBothPaths();
+    assert.deepEqual(graphql.profile, rest.profile);
+    assert.deepEqual(graphql.repos, rest.repos);
+    assert.deepEqual(graphql.languagesByRepo.get('tool'), { Go: 900 });
+    assert.deepEqual(graphql.filesByRepo.get('tool'), { root: ['README.md', 'go.mod'], workflows: [] });
+    assert.equal(graphql.truncated, false);
+});
+
+test('GraphQL errors fail the analysis with a 502', async (t) => {
+    const server = await githubStub(t, { errors: [{ message: 'Something went wrong' }] });
+    t.after(() => server.close());
+    process.env.GITHUB_TOKEN = 'x';
+    t.after(() => { delete process.env.GITHUB_TOKEN; });
+
+    const error = await analyzeProfile('alice', { filterRules: { enabled: false }, fetchMode: 'graphql', refresh: true, review: false, history: false }).catch(e => e);
+    assert.ok(error instanceof AnalysisError);
+    assert.equal(error.status, 502);
+    assert.match(error.message, /Something went wrong/);
+});
@@ -0,0 +1,68 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+process.env.HISTORY_DIR = dir;
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const { getHistory, recordSnapshot } = await import('../history.js');
+
+const result = (login, { score = 50, preset = 'balanced', followers = 10 } = {}) => ({
+    profile: { login, followers },
+    hireabilityScore: score,
+    scoringPreset: { name: preset, label: preset },
+    filterRules: { enabled: true },
+    scoreBreakdown: [{ key: 'followers', label: 'Followers', value: followers, points: 1, max: 20 }],
+    languagesByBytes: { Go: 100 },
+    repositories: [{ name: 'tool' }],
+});
+
+test('stores one compact snapshot per analysis in a file per user', async () => {
+    await recordSnapshot(result('Alice', { score: 50 }));
+    await recordSnapshot(result('alice', { score: 55 }));
+
+    const snapshots = await getHistory('ALICE');
+    assert.deepEqual(snapshots.map(s => s.hireabilityScore), [50, 55]);
+    const { analyzedAt, ...stored } = snapshots[0];
+    assert.ok(Date.parse(analyzedAt));
+    assert.deepEqual(stored, {
+        hireabilityScore: 50,
+        scoringPreset: 'balanced',
+        filtered: true,
+        factors: { followers: { value: 10, points: 1, max: 20 } },
+        languagesByBytes: { Go: 100 },
+        repoCount: 1,
+        followers: 10,
+    });
+    assert.deepEqual(await fs.readdir(dir), ['alice.json']);
+});
+
+test('skips a snapshot identical to the previous one', async () => {
+    await recordSnapshot(result('bob'));
+    await recordSnapshot(result('bob'));
+    await recordSnapshot(result('bob', { followers: 11 }));
+    assert.equal((await getHistory('bob')).length, 2);
+});
+
+test('reads back the snapshots of one preset', async () => {
+    await recordSnapshot(result('carol', { preset: 'balanced', score: 40 }));
+    await recordSnapshot(result('carol', { preset: 'frontend', score: 65 }));
+    await recordSnapshot(result('carol', { preset: 'balanced', score: 45 }));
+
+    assert.deepEqual((await getHistory('carol', { preset: 'balanced' })).map(s => s.hireabilityScore), [40, 45]);
+    assert.deepEqual((await getHistory('carol', { preset: 'frontend' })).map(s => s.hireabilityScore), [65]);
+    assert.deepEqual(await getHistory('carol', { preset: 'oss-maintainer' }), []);
+    assert.deepEqual(await getHistory('nobody'), []);
+});
+
+test('keeps only the newest HISTORY_MAX_SNAPSHOTS, even for concurrent writes', async (t) => {
+    process.env.HISTORY_MAX_SNAPSHOTS = '3';
+    t.after(() => { delete process.env.HISTORY_MAX_SNAPSHOTS; });
+
+    // Not awaited one by one: getHistory waits for the chained writes.
+    for (let score = 1; score <= 5; score++) recordSnapshot(result('dave', { score }));
+    assert.deepEqual((await getHistory('dave')).map(s => s.hireabilityScore), [3, 4, 5]);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLanguageTimeline } from '../languageTimeline.js';
+
+const NOW = Date.parse('2026-10-19T00:00:00Z');
+
+test('buckets by year and labels languages by their recent share', () => {
+    const repos = [
+        { name: 'old', created_at: '2019-03-01T00:00:00Z', pushed_at: '2021-06-01T00:00:00Z' },
+        { name: 'new', created_at: '2022-01-01T00:00:00Z', pushed_at: '2026-10-01T00:00:00Z' },
+        { name: 'side', created_at: '2025-05-01T00:00:00Z', pushed_at: '2026-09-01T00:00:00Z' },
+    ];
+    const languages = new Map([['old', { Java: 9000 }], ['new', { Rust: 5000, Java: 100 }], ['side', { Rust: 3000, Python: 700 }]]);
+    const timeline = buildLanguageTimeline(repos, languages, NOW);
+
+    assert.equal(timeline.granularity, 'year');
+    assert.deepEqual(timeline.periods, ['2019', '2020', '2021', '2022', '2023', '2024', '2025', '2026']);
+    const byName = Object.fromEntries(timeline.languages.map(language => [language.language, language]));
+    assert.deepEqual(byName.Java.bytes.slice(0, 3), [3000, 3000, 3000]);
+    assert.equal(byName.Java.status, 'legacy');
+    assert.equal(byName.Rust.status, 'focus');
+    assert.equal(byName.Rust.firstPeriod, '2022');
+    assert.equal(byName.Python.status, 'active');
+});
+
+test('buckets by quarter for young accounts', () => {
+    const repos = [{ name: 'a', created_at: '2025-05-01T00:00:00Z', pushed_at: '2026-09-01T00:00:00Z' }];
+    const timeline = buildLanguageTimeline(repos, new Map([['a', { Go: 600 }]]), NOW);
+    assert.equal(timeline.granularity, 'quarter');
+    assert.equal(timeline.periods[0], '2025 Q2');
+    assert.equal(timeline.periods.at(-1), '2026 Q4');
+    assert.equal(timeline.languages[0].lastPeriod, '2026 Q3');
+});
+
+test('returns an empty timeline without language data', () => {
+    assert.deepEqual(buildLanguageTimeline([{ name: 'a', created_at: '2025-01-01T00:00:00Z' }], new Map(), NOW), { granularity: 'year', periods: [], languages: [] });
+});
+
+test('uses the whole timeline as the recent window when every repository is under a year old', () => {
+    const repos = [
+        { name: 'java', created_at: '2026-01-10T00:00:00Z', pushed_at: '2026-02-15T00:00:00Z' },
+        { name: 'rust', created_at: '2026-10-01T00:00:00Z', pushed_at: '2026-10-10T00:00:00Z' },
+    ];
+    const timeline = buildLanguageTimeline(repos, new Map([['java', { Java: 5000 }], ['rust', { Rust: 5000 }]]), NOW);
+    const byName = Object.fromEntries(timeline.languages.map(language => [language.language, language]));
+    assert.deepEqual(timeline.periods, ['2026 Q1', '2026 Q2', '2026 Q3', '2026 Q4']);
+    assert.equal(byName.Java.recentShare, 0.5);
+    assert.equal(byName.Java.status, 'focus');
+    assert.equal(byName.Rust.status, 'focus');
+});
+
+test('a language that only just appeared is active, not legacy', () => {
+    const repos = [
+        { name: 'main', created_at: '2020-01-01T00:00:00Z', pushed_at: '2026-10-01T00:00:00Z' },
+        { name: 'tryout', created_at: '2026-08-01T00:00:00Z', pushed_at: '2026-09-01T00:00:00Z' },
+    ];
+    const timeline = buildLanguageTimeline(repos, new Map([['main', { Go: 70000 }], ['tryout', { Zig: 200 }]]), NOW);
+    const zig = timeline.languages.find(language => language.language === 'Zig');
+    assert.ok(zig.recentShare < 0.05);
+    assert.equal(zig.status, 'active');
+    assert.equal(zig.firstPeriod, '2026');
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildNetwork } from '../network.js';
+
+const user = (login, extra = {}) => ({ login, avatar_url: `https://avatars.example/${login}`, html_url: `https://github.com/${login}`, ...extra });
+
+// A GitHub client serving contributor lists per repository and the follow lists.
+function fakeGitHub({ contributors, followers = [], following = [] }) {
+    return {
+        async request(url) {
+            const fullName = url.match(/^\/repos\/(.+)\/contributors/)[1];
+            return { ok: true, data: contributors[fullName] || [] };
+        },
+        async requestAllPages(url) {
+            return { ok: true, data: url.includes('/followers') ? followers : following, truncated: false };
+        },
+    };
+}
+
+const repos = [
+    { name: 'api', full_name: 'Alice/api' },
+    { name: 'web', full_name: 'Alice/web' },
+    { name: 'fork', full_name: 'Alice/fork', fork: true },
+    { name: 'notes', full_name: 'Alice/notes' },
+];
+
+test('builds collaborators and links from shared repositories and mutual follows', async () => {
+    const github = fakeGitHub({
+        contributors: {
+            'Alice/api': [user('ALICE', { contributions: 50 }), user('Bob', { contributions: 40 }), user('carol', { contributions: 10 })],
+            'Alice/web': [user('alice', { contributions: 30 }), user('bob', { contributions: 30 }), user('dependabot[bot]', { contributions: 5, type: 'Bot' })],
+            'Alice/fork': [user('mallory', { contributions: 99 })],
+            'Alice/notes': [user('Alice', { contributions: 12 })],
+        },
+        followers: [user('Dave'), user('erin'), user('CAROL')],
+        following: [user('dave'), user('carol')],
+    });
+    const network = await buildNetwork(github, 'Alice', repos, { concurrency: 2 });
+
+    // The user never appears as their own collaborator, whatever the case of their login.
+    assert.deepEqual(network.collaborators.map(c => [c.login, c.sharedRepos, c.contributions, c.mutualFollow]), [
+        ['Bob', ['api', 'web'], 70, false],
+        ['carol', ['api'], 10, true],
+        ['Dave', [], 0, true],
+    ]);
+    assert.deepEqual(network.links, [
+        { source: 'Alice', target: 'Bob', weight: 2 },
+        { source: 'Alice', target: 'carol', weight: 1 },
+        { source: 'Alice', target: 'Dave', weight: 1 },
+        { source: 'Bob', target: 'carol', weight: 1 },
+    ]);
+    assert.equal(network.mutualFollows, 2);
+    assert.deepEqual(network.follows, { followers: 3, following: 2, sampled: false });
+    // api and web have others writing 20%+ of the commits; notes is the user's alone
+    assert.equal(network.analyzedRepos, 3);
+    assert.equal(network.teamRepos, 2);
+    assert.equal(network.workingStyle, 'mixed');
+});
+
+test('a user without collaborators works solo', async () => {
+    const github = fakeGitHub({ contributors: { 'Alice/api': [user('alice', { contributions: 5 })], 'Alice/web': [] } });
+    const network = await buildNetwork(github, 'alice', repos.slice(0, 2), { concurrency: 1 });
+    assert.deepEqual(network.collaborators, []);
+    assert.deepEqual(network.links, []);
+    assert.equal(network.analyzedRepos, 1);
+    assert.equal(network.workingStyle, 'solo');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFilterRules, parseFilterRules } from '../repoFilter.js';
+
+const repo = (overrides) => ({
+    name: 'project', description: '', fork: false, archived: false, size: 500, stargazers_count: 0,
+    topics: [], pushed_at: '2024-06-01T00:00:00Z', quality: { score: 60 }, ...overrides,
+});
+
+test('includes everything without a filter', () => {
+    const { rules } = parseFilterRules({});
+    assert.equal(rules.enabled, false);
+    const repos = [repo({ fork: true }), repo({ quality: { score: 0 } })];
+    assert.equal(applyFilterRules(repos, rules).length, 2);
+});
+
+test('filter=true drops forks, templates and low-quality repositories', () => {
+    const { rules } = parseFilterRules({ filter: 'true' });
+    const kept = applyFilterRules([
+        repo({ name: 'keep' }),
+        repo({ name: 'fork', fork: true }),
+        repo({ name: 'starter', description: 'A template' }),
+        repo({ name: 'weak', quality: { score: 10 } }),
+    ], rules);
+    assert.deepEqual(kept.map(r => r.name), ['keep']);
+});
+
+test('single rules override the defaults', () => {
+    const { rules } = parseFilterRules({ filter: 'true', includeForks: 'true', minQuality: '0', topics: 'CLI, web' });
+    assert.equal(rules.includeForks, true);
+    assert.equal(rules.minQuality, 0);
+    assert.deepEqual(rules.topics, ['cli', 'web']);
+    const kept = applyFilterRules([repo({ name: 'a', topics: ['cli'] }), repo({ name: 'b' })], rules);
+    assert.deepEqual(kept.map(r => r.name), ['a']);
+});
+
+test('pushedSince keeps recently pushed repositories', () => {
+    const { rules } = parseFilterRules({ pushedSince: '2024-01-01' });
+    assert.equal(rules.enabled, true);
+    const kept = applyFilterRules([repo({ name: 'new' }), repo({ name: 'old', pushed_at: '2023-05-01T00:00:00Z' })], rules);
+    assert.deepEqual(kept.map(r => r.name), ['new']);
+});
+
+test('rejects invalid values', () => {
+    assert.ok(parseFilterRules({ minStars: 'many' }).error);
+    assert.ok(parseFilterRules({ minSize: '-1' }).error);
+    assert.ok(parseFilterRules({ includeForks: 'yes' }).error);
+    assert.ok(parseFilterRules({ pushedSince: 'someday' }).error);
+});
+
+test('an invalid REPO_QUALITY_THRESHOLD falls back to the default', (t) => {
+    t.after(() => { delete process.env.REPO_QUALITY_THRESHOLD; });
+    for (const value of ['forty', '-5', 'Infinity']) {
+        process.env.REPO_QUALITY_THRESHOLD = value;
+        assert.equal(parseFilterRules({ filter: 'true' }).rules.minQuality, 40);
+    }
+    process.env.REPO_QUALITY_THRESHOLD = '55';
+    assert.equal(parseFilterRules({ filter: 'true' }).rules.minQuality, 55);
+});
+
+test('the quality threshold skips repositories left unassessed', () => {
+    const { rules } = parseFilterRules({ filter: 'true' });
+    const kept = applyFilterRules([
+        repo({ name: 'unassessed', quality: null, unassessed: true }),
+        repo({ name: 'weak', quality: { score: 10 } }),
+    ], rules);
+    assert.deepEqual(kept.map(r => r.name), ['unassessed']);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessRepoQuality } from '../repoQuality.js';
+
+const recently = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+const repo = (overrides) => ({
+    license: { key: 'mit' }, topics: ['cli'], size: 500, pushed_at: recently, archived: false, ...overrides,
+});
+
+test('file listings add the readme, CI and test signals', () => {
+    const quality = assessRepoQuality(repo(), { root: ['README.md', 'tests'], workflows: ['ci.yml'] });
+    assert.deepEqual(quality, {
+        score: 100,
+        signals: ['readme', 'license', 'ci', 'tests', 'recent', 'topics', 'substantial'],
+        basis: 'files',
+    });
+});
+
+test('metadata-only assessments are rescaled to the 0-100 range', () => {
+    assert.deepEqual(assessRepoQuality(repo()), { score: 100, signals: ['license', 'recent', 'topics', 'substantial'], basis: 'metadata' });
+    // License and recent push: 30 of the 50 metadata points
+    assert.equal(assessRepoQuality(repo({ topics: [], size: 10 })).score, 60);
+});
+
+test('archived repositories lose points on either basis', () => {
+    assert.equal(assessRepoQuality(repo({ archived: true }), { root: [], workflows: [] }).score, 30);
+    assert.equal(assessRepoQuality(repo({ archived: true })).signals.at(-1), 'archived');
+    assert.equal(assessRepoQuality(repo({ archived: true })).score, 80);
+});
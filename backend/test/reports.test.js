@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderReport, REPORT_FORMATS } from '../reports.js';
+import { compareResults } from '../comparison.js';
+
+const analysis = (login, score) => ({
+    profile: { login, name: login === 'alice' ? 'Alice, "Al"' : null, followers: 1200 },
+    hireabilityScore: score,
+    scoringPreset: { name: 'balanced', label: 'Balanced' },
+    totalRepos: 4,
+    scoreBreakdown: [{ key: 'followers', label: 'Followers', points: 20, max: 20, reason: '1200 followers' }],
+    languagesByBytes: { Go: 300, Rust: 100 },
+    repositories: [
+        { name: 'tool', html_url: 'https://github.com/alice/tool', stargazers_count: 9, language: 'Go', quality: { score: 80 } },
+        { name: 'fork', html_url: 'https://github.com/alice/fork', stargazers_count: 0, language: null, quality: null, fork: true },
+        { name: 'old', html_url: 'https://github.com/alice/old', stargazers_count: 1, language: 'Go', quality: null, unassessed: true },
+    ],
+    annualActivity: [1, 0, 3],
+    aiReview: 'Strong | steady\ncontributor.',
+    aiReviewProvider: { name: 'template' },
+});
+
+const pageCount = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+test('renders an analysis as JSON', async () => {
+    const { contentType, body } = await renderReport('analysis', analysis('alice', 70), 'json');
+    assert.equal(contentType, 'application/json; charset=utf-8');
+    assert.deepEqual(JSON.parse(body), analysis('alice', 70));
+    assert.deepEqual(REPORT_FORMATS, ['json', 'csv', 'md', 'pdf']);
+});
+
+test('renders an analysis as CSV with quoted fields', async () => {
+    const { contentType, body } = await renderReport('analysis', analysis('alice', 70), 'csv');
+    assert.equal(contentType, 'text/csv; charset=utf-8');
+    const lines = body.trimEnd().split('\n');
+    assert.equal(lines[0], 'section,name,value,detail');
+    assert.equal(lines[1], 'summary,username,alice,"Alice, ""Al"""');
+    assert.ok(lines.includes('score,Followers,20/20,1200 followers'));
+    assert.ok(lines.includes('language,Go,300,75%'));
+    assert.ok(lines.includes('repository,tool,9,Go; quality 80; https://github.com/alice/tool'));
+    assert.ok(lines.includes('repository,fork,0,N/A; fork; https://github.com/alice/fork'));
+    assert.ok(lines.includes('repository,old,1,Go; not assessed; https://github.com/alice/old'));
+    assert.ok(body.includes('review,aiReview,"Strong | steady\ncontributor.",template'));
+});
+
+test('renders an analysis as Markdown', async () => {
+    const { contentType, body } = await renderReport('analysis', analysis('alice', 70), 'md');
+    assert.equal(contentType, 'text/markdown; charset=utf-8');
+    assert.ok(body.startsWith('# GitHub Profile Report: Alice, "Al" (@alice)'));
+    assert.ok(body.includes('**Hireability score:** 70 / 100 (Balanced preset)'));
+    assert.ok(body.includes('| Go | 300 | 75% |'));
+    assert.ok(body.includes('| [tool](https://github.com/alice/tool) | 9 | Go | 80 |'));
+    assert.ok(body.includes('| [old](https://github.com/alice/old) | 1 | Go | not assessed |'));
+    assert.ok(body.includes('## Review\n\nStrong | steady\ncontributor.'));
+
+    const { body: withoutReview } = await renderReport('analysis', { ...analysis('alice', 70), aiReview: null }, 'md');
+    assert.ok(!withoutReview.includes('## Review'));
+});
+
+test('renders an analysis as a PDF', async () => {
+    const { contentType, body } = await renderReport('analysis', analysis('alice', 70), 'pdf');
+    assert.equal(contentType, 'application/pdf');
+    assert.ok(Buffer.isBuffer(body));
+    assert.equal(body.subarray(0, 5).toString(), '%PDF-');
+    assert.equal(pageCount(body), 1);
+});
+
+test('renders a comparison in every format', async () => {
+    const comparison = compareResults([
+        { username: 'bob', result: analysis('bob', 40) },
+        { username: 'alice', result: analysis('alice', 70) },
+        { username: 'ghost', error: { error: 'User not found' } },
+    ], { name: 'balanced', label: 'Balanced', factors: { followers: { max: 20 } } });
+
+    const csv = (await renderReport('comparison', comparison, 'csv')).body.trimEnd().split('\n');
+    assert.equal(csv[0], 'rank,username,hireabilityScore,deltaFromLeader,followers,repositories,stars,languages,activeWeeks,averageQuality,points_followers,topLanguage');
+    assert.equal(csv[1], '1,alice,70,0,1200,3,10,2,2,80,20,Go');
+    assert.equal(csv[2], '2,bob,40,-30,1200,3,10,2,2,80,20,Go');
+
+    const md = (await renderReport('comparison', comparison, 'md')).body;
+    assert.ok(md.startsWith('# Candidate Comparison (Balanced preset)'));
+    assert.ok(md.includes('| 2 | @bob | 40 | -30 | 20 / 20 |'));
+    assert.ok(md.includes('_@ghost could not be analyzed: User not found_'));
+    // Each candidate's own report, one heading level down
+    assert.ok(md.includes('\n## GitHub Profile Report: Alice, "Al" (@alice)'));
+    assert.ok(md.includes('\n### Score Breakdown'));
+
+    const pdf = (await renderReport('comparison', comparison, 'pdf')).body;
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    // The ranking page plus one page per analyzed candidate
+    assert.equal(pageCount(pdf), 3);
+
+    assert.deepEqual(JSON.parse((await renderReport('comparison', comparison, 'json')).body).failed, comparison.failed);
+});
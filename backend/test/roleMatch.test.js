@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchRole, parseRoleRequest } from '../roleMatch.js';
+
+const importances = (parsed) => Object.fromEntries(parsed.skills.map(({ skill, importance }) => [skill.label, importance]));
+
+test('splits a job description into required and nice-to-have skills', () => {
+    const parsed = parseRoleRequest({ description: 'Requirements:\n- React and TypeScript\n\nNice to have:\n- Docker\n- Kubernetes' });
+    assert.deepEqual(importances(parsed), { React: 'required', TypeScript: 'required', Docker: 'niceToHave', Kubernetes: 'niceToHave' });
+});
+
+test('a nice-to-have phrase next to a skill only applies to its own line', () => {
+    const parsed = parseRoleRequest({ description: 'About the role\nPython is a plus.\nYou will build services in Go.\nSolid PostgreSQL skills.' });
+    assert.deepEqual(importances(parsed), { Python: 'niceToHave', Go: 'required', PostgreSQL: 'required' });
+});
+
+test('accepts explicit skill lists and reports unknown names', () => {
+    const parsed = parseRoleRequest({ required: ['React'], niceToHave: ['Docker', 'Cobol++'] });
+    assert.deepEqual(importances(parsed), { React: 'required', Docker: 'niceToHave' });
+    assert.deepEqual(parsed.unrecognized, ['Cobol++']);
+});
+
+test('accepts comma-separated skill lists and rejects other types', () => {
+    assert.deepEqual(importances(parseRoleRequest({ required: 'React, Go', niceToHave: ['Docker'] })), { React: 'required', Go: 'required', Docker: 'niceToHave' });
+    assert.ok(parseRoleRequest({ required: { name: 'React' } }).error);
+    assert.ok(parseRoleRequest({ required: ['React'], niceToHave: 5 }).error);
+});
+
+test('rejects empty and unrecognizable roles', () => {
+    assert.ok(parseRoleRequest({}).error);
+    assert.ok(parseRoleRequest({ description: 'We value kindness.' }).error);
+});
+
+test('matches skills against repositories', () => {
+    const { skills } = parseRoleRequest({ required: ['TypeScript', 'Docker'] });
+    const result = {
+        languagesByBytes: { TypeScript: 9000, CSS: 1000 },
+        repositories: [{ name: 'web', html_url: 'x', stargazers_count: 3, language: 'TypeScript', topics: [], description: '' }],
+        techStack: null,
+    };
+    const match = matchRole(result, skills);
+    const byLabel = Object.fromEntries(match.skills.map(skill => [skill.label, skill]));
+    assert.notEqual(byLabel.TypeScript.status, 'missing');
+    assert.equal(byLabel.Docker.status, 'missing');
+    assert.ok(match.fitScore > 0 && match.fitScore < 100);
+});
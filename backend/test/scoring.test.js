@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAnalysisOptions } from '../analysis.js';
+import { getPreset, listPresets } from '../scoring.js';
+
+test('resolves the default and named presets', () => {
+    const { defaultPreset, presets } = listPresets();
+    assert.equal(getPreset().name, defaultPreset);
+    for (const preset of presets) assert.equal(getPreset(preset.name).name, preset.name);
+});
+
+test('returns null for unknown presets', () => {
+    assert.equal(getPreset('no-such-preset'), null);
+    for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) assert.equal(getPreset(name), null);
+});
+
+test('rejects Object member names as presets before any analysis runs', () => {
+    assert.match(parseAnalysisOptions({ preset: 'constructor' }).error, /Unknown scoring preset/);
+});
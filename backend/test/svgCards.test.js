@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSvgOptions, renderBadge } from '../svgCards.js';
+
+test('parses theme and size', () => {
+    assert.deepEqual(parseSvgOptions({}), { theme: 'light', scale: 1 });
+    assert.deepEqual(parseSvgOptions({ theme: 'dark', size: 'large' }), { theme: 'dark', scale: 1.25 });
+    assert.match(parseSvgOptions({ theme: 'neon' }).error, /Invalid theme/);
+    assert.match(parseSvgOptions({ size: 'huge' }).error, /Invalid size/);
+});
+
+test('rejects Object member names as themes and sizes', () => {
+    for (const name of ['constructor', 'toString', '__proto__']) {
+        assert.match(parseSvgOptions({ theme: name }).error, /Invalid theme/);
+        assert.match(parseSvgOptions({ size: name }).error, /Invalid size/);
+    }
+});
+
+test('renders the score badge', () => {
+    const svg = renderBadge({ hireabilityScore: 72 }, parseSvgOptions({}));
+    assert.match(svg, /^<svg /);
+    assert.match(svg, /72\/100/);
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectTechStack, parseManifest } from '../techStack.js';
+
+const PYPROJECT = `
+[project]
+name = "service"
+dependencies = [
+    "fastapi>=0.110",
+    "SQLAlchemy[asyncio]~=2.0",  # ORM
+]
+
+[project.optional-dependencies]
+test = ["pytest>=8", 'httpx']
+
+[tool.poetry.dependencies]
+python = "^3.12"
+Django_Ninja = "^1.1"
+
+[tool.poetry.group.dev.dependencies]
+ruff = "*"
+`;
+
+const CARGO_TOML = `
+[package]
+name = "server"
+version = "0.1.0"
+
+[dependencies]
+axum = "0.7"
+tokio = { version = "1", features = ["full"] }  # runtime
+
+[dev-dependencies]
+insta = "1"
+
+[target.'cfg(unix)'.dependencies]
+nix = "0.28"
+
+[dependencies.serde]
+version = "1"
+`;
+
+const GO_MOD = `
+module github.com/alice/api
+
+go 1.22
+
+require github.com/gin-gonic/gin v1.9.1
+
+require (
+	github.com/jackc/pgx/v5 v5.5.0
+	github.com/stretchr/testify v1.9.0 // indirect
+)
+`;
+
+const POM_XML = `
+<project>
+  <parent><groupId>org.springframework.boot</groupId><artifactId>spring-boot-starter-parent</artifactId></parent>
+  <dependencies>
+    <dependency>
+      <groupId>org.springframework.boot</groupId>
+      <artifactId>spring-boot-starter-web</artifactId>
+    </dependency>
+    <dependency>
+      <groupId> org.postgresql </groupId>
+      <artifactId>postgresql</artifactId>
+      <scope>runtime</scope>
+    </dependency>
+  </dependencies>
+</project>
+`;
+
+const BUILD_GRADLE = `
+plugins { id 'java' }
+dependencies {
+    implementation 'org.springframework.boot:spring-boot-starter-web:3.2.0'
+    implementation("org.apache.kafka:kafka-clients:3.6.1")
+    testImplementation "org.junit.jupiter:junit-jupiter"
+}
+`;
+
+test('reads pyproject.toml project, optional and Poetry dependencies', () => {
+    assert.deepEqual(parseManifest('pyproject.toml', PYPROJECT), {
+        ecosystem: 'pypi',
+        dependencies: ['fastapi', 'sqlalchemy', 'pytest', 'httpx', 'django-ninja', 'ruff'],
+    });
+});
+
+test('reads Cargo.toml dependency tables, including target and single-dependency tables', () => {
+    assert.deepEqual(parseManifest('Cargo.toml', CARGO_TOML), { ecosystem: 'cargo', dependencies: ['axum', 'tokio', 'insta', 'nix', 'serde'] });
+});
+
+test('reads go.mod single and block requires', () => {
+    assert.deepEqual(parseManifest('go.mod', GO_MOD), {
+        ecosystem: 'go',
+        dependencies: ['github.com/gin-gonic/gin', 'github.com/jackc/pgx/v5', 'github.com/stretchr/testify'],
+    });
+});
+
+test('reads pom.xml dependencies but not the parent', () => {
+    assert.deepEqual(parseManifest('pom.xml', POM_XML), {
+        ecosystem: 'maven',
+        dependencies: ['org.springframework.boot:spring-boot-starter-web', 'org.postgresql:postgresql'],
+    });
+});
+
+test('reads build.gradle coordinates in either quote style', () => {
+    const expected = {
+        ecosystem: 'maven',
+        dependencies: ['org.springframework.boot:spring-boot-starter-web', 'org.apache.kafka:kafka-clients', 'org.junit.jupiter:junit-jupiter'],
+    };
+    assert.deepEqual(parseManifest('build.gradle', BUILD_GRADLE), expected);
+    assert.deepEqual(parseManifest('build.gradle.kts', BUILD_GRADLE), expected);
+    assert.equal(parseManifest('README.md', '# readme'), null);
+});
+
+test('maps the manifests of the top repositories to technologies', async () => {
+    const files = { 'alice/api': { 'go.mod': GO_MOD, Dockerfile: 'FROM golang' }, 'alice/web': { 'Cargo.toml': CARGO_TOML } };
+    const github = {
+        async request(url) {
+            const [, fullName, file] = url.match(/^\/repos\/([^/]+\/[^/]+)\/contents\/(.*)$/);
+            if (!file) return { ok: true, data: Object.keys(files[fullName]).map(name => ({ name, type: 'file' })) };
+            return { ok: true, data: { content: Buffer.from(files[fullName][decodeURIComponent(file)]).toString('base64'), encoding: 'base64' } };
+        },
+    };
+    const repos = [
+        { name: 'api', full_name: 'alice/api', html_url: 'https://github.com/alice/api' },
+        { name: 'fork', full_name: 'alice/fork', fork: true },
+        { name: 'web', full_name: 'alice/web', html_url: 'https://github.com/alice/web' },
+    ];
+    const techStack = await detectTechStack(github, repos, { maxRepos: 5, concurrency: 2 });
+
+    assert.equal(techStack.analyzedRepos, 2);
+    assert.deepEqual(techStack.frameworks.map(tech => tech.name), ['Axum', 'Gin', 'Tokio']);
+    assert.deepEqual(techStack.testing.map(tech => tech.name), ['Testify']);
+    assert.deepEqual(techStack.frameworks[1].repos, [{ name: 'api', html_url: 'https://github.com/alice/api', manifest: 'go.mod' }]);
+    assert.ok(techStack.infrastructure.some(tech => tech.name === 'PostgreSQL'));
+    assert.ok(techStack.infrastructure.some(tech => tech.name === 'Docker'));
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUsernameCsv, prepareUsernames } from '../usernames.js';
+
+test('normalizes, de-duplicates and validates usernames', () => {
+    const { usernames, rejected } = prepareUsernames(['@alice', 'https://github.com/Bob/repo', 'ALICE', ' ', 'not valid!']);
+    assert.deepEqual(usernames, ['alice', 'Bob']);
+    assert.deepEqual(rejected, ['not valid!']);
+});
+
+test('reads the username column of a CSV file, or the first column without a header', () => {
+    assert.deepEqual(parseUsernameCsv('name,GitHub\nAlice,alice\nBob,"bob"'), ['alice', 'bob']);
+    assert.deepEqual(parseUsernameCsv('alice\nbob,extra'), ['alice', 'bob']);
+});
+
+test('skips blank lines and reads Windows line endings and a later username column', () => {
+    assert.deepEqual(parseUsernameCsv('Name,Email,Login\r\nAlice,a@example.com,alice\r\n\r\nBob,b@example.com,\r\n'), ['alice', '']);
+    assert.deepEqual(parseUsernameCsv(''), []);
+    assert.deepEqual(prepareUsernames(parseUsernameCsv('username\n@alice\nhttps://github.com/bob\n')).usernames, ['alice', 'bob']);
+});
@@ -0,0 +1,65 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'watches-'));
+process.env.WATCH_FILE = path.join(dir, 'watches.json');
+const { addWatch, listWatches, parseWatch, runWatch } = await import('../watches.js');
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test('a corrupt watch file is reported, never overwritten', async () => {
+    await fs.writeFile(process.env.WATCH_FILE, '{ not json');
+    await assert.rejects(listWatches(), SyntaxError);
+    await assert.rejects(addWatch('alice', parseWatch({}).watch), SyntaxError);
+    assert.equal(await fs.readFile(process.env.WATCH_FILE, 'utf8'), '{ not json');
+
+    // Once the file is readable again, watches load and save as usual
+    await fs.writeFile(process.env.WATCH_FILE, '[]');
+    await addWatch('alice', parseWatch({}).watch);
+    assert.equal(JSON.parse(await fs.readFile(process.env.WATCH_FILE, 'utf8')).length, 1);
+});
+
+test('runs are diffed against the previous one and notify when a threshold is crossed', async (t) => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.writeHead(204).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const { watch } = parseWatch({ webhookUrl: `http://127.0.0.1:${server.address().port}/hook`, thresholds: { scoreDelta: 10, followerJump: 0 } });
+    const added = await addWatch('bob', watch);
+    const result = (score, followers, repos, languages) => ({
+        hireabilityScore: score,
+        profile: { followers },
+        repositories: repos.map(name => ({ name })),
+        languagesByBytes: Object.fromEntries(languages.map(lang => [lang, 1])),
+    });
+    const runs = [
+        result(50, 10, ['a'], ['Go']),
+        // Small changes below every threshold; a follower jump with its trigger disabled
+        result(55, 500, ['a'], ['Go']),
+        result(70, 500, ['a', 'b'], ['Go', 'Rust']),
+    ];
+    const analyze = async () => runs.shift();
+
+    const baseline = await runWatch(added, analyze);
+    assert.equal(baseline.lastDiff, null);
+    assert.deepEqual((await runWatch(added, analyze)).lastDiff.triggered, []);
+    assert.equal(received.length, 0);
+
+    const changed = await runWatch(added, analyze);
+    assert.deepEqual(changed.lastDiff.triggered, ['scoreDelta', 'newRepos', 'newLanguages']);
+    assert.deepEqual(changed.lastDiff.newRepos, ['b']);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].event, 'profile.changed');
+    assert.equal(received[0].diff.scoreDelta, 15);
+});
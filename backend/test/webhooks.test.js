@@ -0,0 +1,60 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhooks-'));
+process.env.WEBHOOK_LOG_FILE = path.join(dir, 'deliveries.json');
+const { deliverWebhook, listDeliveries } = await import('../webhooks.js');
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+// A webhook target answering with the given status codes in turn (the last one repeats).
+async function webhookTarget(t, statuses) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        received.push({ headers: req.headers, at: Date.now() });
+        req.resume();
+        res.writeHead(statuses[Math.min(received.length, statuses.length) - 1]).end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+test('a corrupt delivery log is reported, never overwritten', async (t) => {
+    const { url } = await webhookTarget(t, [204]);
+    await fs.writeFile(process.env.WEBHOOK_LOG_FILE, '[{ broken');
+    await assert.rejects(listDeliveries(), SyntaxError);
+    const delivery = await deliverWebhook(url, { event: 'test' }, {});
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(await fs.readFile(process.env.WEBHOOK_LOG_FILE, 'utf8'), '[{ broken');
+});
+
+test('failed deliveries are retried with exponential backoff', async (t) => {
+    const { url, received } = await webhookTarget(t, [500, 502, 204]);
+    process.env.WEBHOOK_SECRET = 'shh';
+    t.after(() => { delete process.env.WEBHOOK_SECRET; });
+
+    const delivery = await deliverWebhook(url, { event: 'profile.changed' }, { watchId: 'w1', username: 'alice' });
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 502, 204]);
+    // 1 s before the second attempt, 2 s before the third
+    assert.ok(received[1].at - received[0].at >= 950);
+    assert.ok(received[2].at - received[1].at >= 1950);
+    assert.match(received[0].headers['x-analyzer-signature'], /^sha256=[0-9a-f]{64}$/);
+});
+
+test('a delivery fails after WEBHOOK_MAX_ATTEMPTS and is logged newest first', async (t) => {
+    const { url, received } = await webhookTarget(t, [500]);
+    process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+    t.after(() => { delete process.env.WEBHOOK_MAX_ATTEMPTS; });
+    await fs.writeFile(process.env.WEBHOOK_LOG_FILE, '[]');
+
+    const delivery = await deliverWebhook(url, { event: 'profile.changed' }, { watchId: 'w2', username: 'bob' });
+    assert.equal(delivery.status, 'failed');
+    assert.equal(received.length, 1);
+    const log = JSON.parse(await fs.readFile(process.env.WEBHOOK_LOG_FILE, 'utf8'));
+    assert.equal(log[0].id, delivery.id);
+});
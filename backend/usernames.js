@@ -0,0 +1,56 @@
+// --- Username input ---
+// Normalizes and validates the usernames the server routes (single profiles, comparison lists, batch CSV
+// uploads) and the gh-analyze CLI receive.
+
+const USERNAME_PATTERN = /^[a-z\d](?:[a-z\d-]{0,38})$/i;
+const USERNAME_COLUMNS = ['username', 'login', 'github', 'handle', 'github username'];
+
+// Accepts plain logins, @logins and github.com profile URLs.
+function normalizeUsername(value) {
+    return value.trim()
+        .replace(/^["']|["']$/g, '')
+        .replace(/^https?:\/\/(www\.)?github\.com\//i, '')
+        .replace(/^@/, '')
+        .replace(/\/.*$/, '');
+}
+
+/**
+ * Extracts usernames from CSV text. Uses the username/login/github column when the first row is a
+ * header, otherwise the first column.
+ * @param {string} csv - CSV or newline-separated text.
+ * @returns {string[]} Raw username cells.
+ */
+function parseUsernameCsv(csv) {
+    const rows = csv.split(/\r?\n/).map(line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''))).filter(row => row[0]);
+    if (rows.length === 0) return [];
+
+    const headerIndex = rows[0].findIndex(cell => USERNAME_COLUMNS.includes(cell.toLowerCase()));
+    if (headerIndex === -1) return rows.map(row => row[0]);
+    return rows.slice(1).map(row => row[headerIndex] || '');
+}
+
+/**
+ * Normalizes, de-duplicates and validates a username list.
+ * @param {string[]} values - Raw usernames.
+ * @returns {{ usernames: string[], rejected: string[] }}
+ */
+function prepareUsernames(values) {
+    const seen = new Set();
+    const usernames = [];
+    const rejected = [];
+
+    for (const value of values) {
+        const username = normalizeUsername(String(value));
+        if (!username) continue;
+        if (!USERNAME_PATTERN.test(username)) {
+            rejected.push(String(value));
+            continue;
+        }
+        if (seen.has(username.toLowerCase())) continue;
+        seen.add(username.toLowerCase());
+        usernames.push(username);
+    }
+    return { usernames, rejected };
+}
+
+export { parseUsernameCsv, prepareUsernames };
@@ -0,0 +1,202 @@
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { deliverWebhook } from './webhooks.js';
+
+// --- Watched profiles ---
+// Watches are re-analyzed on their own interval by a scheduler that checks every WATCH_TICK_SECONDS.
+// Each run is diffed against the previous one; when the diff crosses any of the watch's thresholds a
+// `profile.changed` payload is sent to the watch's webhook (or WEBHOOK_URL). Watches persist to WATCH_FILE.
+
+const DEFAULT_WATCH_FILE = fileURLToPath(new URL('./data/watches.json', import.meta.url));
+const DEFAULT_TICK_SECONDS = 60;
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+const MIN_INTERVAL_MINUTES = 5;
+
+// A threshold of 0 or null disables that trigger.
+const DEFAULT_THRESHOLDS = { scoreDelta: 5, newRepos: 1, newLanguages: 1, followerJump: 50 };
+
+let watches = null;
+let running = false;
+
+const watchFile = () => process.env.WATCH_FILE || DEFAULT_WATCH_FILE;
+
+// A missing file is an empty list; any other read or parse failure is thrown, and retried on the next
+// call, so a corrupt file is never replaced by an empty list.
+async function loadWatches() {
+    if (!watches) {
+        try {
+            watches = JSON.parse(await fs.readFile(watchFile(), 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+            watches = [];
+        }
+    }
+    return watches;
+}
+
+async function saveWatches() {
+    if (!watches) throw new Error('Watches were never loaded; refusing to overwrite the watch file.');
+    await fs.mkdir(path.dirname(watchFile()), { recursive: true });
+    await fs.writeFile(watchFile(), JSON.stringify(watches, null, 2));
+}
+
+// The parts of a result the next run is diffed against.
+function summarize(result) {
+    return {
+        hireabilityScore: result.hireabilityScore,
+        followers: result.profile.followers,
+        repos: result.repositories.map(repo => repo.name),
+        languages: Object.keys(result.languagesByBytes),
+    };
+}
+
+/**
+ * Diffs two run summaries and lists the thresholds the change crosses.
+ * @param {object} previous - Summary of the last run.
+ * @param {object} current - Summary of this run.
+ * @param {object} thresholds - { scoreDelta, newRepos, newLanguages, followerJump }.
+ * @returns {{ scoreDelta, followerDelta, newRepos, newLanguages, triggered: string[] }}
+ */
+function diffRuns(previous, current, thresholds) {
+    const diff = {
+        scoreDelta: current.hireabilityScore - previous.hireabilityScore,
+        followerDelta: current.followers - previous.followers,
+        newRepos: current.repos.filter(name => !previous.repos.includes(name)),
+        newLanguages: current.languages.filter(lang => !previous.languages.includes(lang)),
+    };
+
+    const triggered = [];
+    if (thresholds.scoreDelta && Math.abs(diff.scoreDelta) >= thresholds.scoreDelta) triggered.push('scoreDelta');
+    if (thresholds.newRepos && diff.newRepos.length >= thresholds.newRepos) triggered.push('newRepos');
+    if (thresholds.newLanguages && diff.newLanguages.length >= thresholds.newLanguages) triggered.push('newLanguages');
+    if (thresholds.followerJump && diff.followerDelta >= thresholds.followerJump) triggered.push('followerJump');
+    return { ...diff, triggered };
+}
+
+/**
+ * Validates a watch definition from a request body.
+ * @param {object} body - { username, intervalMinutes, thresholds, webhookUrl, query }.
+ * @returns {{ watch: object } | { error: string }}
+ */
+function parseWatch(body) {
+    const intervalMinutes = body.intervalMinutes === undefined ? DEFAULT_INTERVAL_MINUTES : Number(body.intervalMinutes);
+    if (!Number.isFinite(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES) {
+        return { error: `intervalMinutes must be at least ${MIN_INTERVAL_MINUTES}.` };
+    }
+
+    const thresholds = { ...DEFAULT_THRESHOLDS };
+    for (const key of Object.keys(DEFAULT_THRESHOLDS)) {
+        const value = body.thresholds?.[key];
+        if (value === undefined || value === null || value === '') continue;
+        if (!Number.isFinite(Number(value)) || Number(value) < 0) return { error: `Invalid threshold ${key}: expected a non-negative number.` };
+        thresholds[key] = Number(value);
+    }
+
+    const webhookUrl = body.webhookUrl || null;
+    if (webhookUrl && !/^https?:\/\//.test(webhookUrl)) return { error: 'webhookUrl must be an http(s) URL.' };
+
+    return { watch: { intervalMinutes, thresholds, webhookUrl, query: String(body.query || '') } };
+}
+
+/**
+ * Adds a watch. The first run records the baseline; later runs are diffed against it.
+ * @param {string} username - Validated GitHub login.
+ * @param {object} definition - From parseWatch().
+ * @returns {Promise<object>} The new watch.
+ */
+async function addWatch(username, definition) {
+    const list = await loadWatches();
+    const watch = {
+        id: randomUUID(),
+        username,
+        ...definition,
+        createdAt: new Date().toISOString(),
+        lastRunAt: null,
+        lastSummary: null,
+        lastDiff: null,
+        lastError: null,
+    };
+    list.push(watch);
+    await saveWatches();
+    return watch;
+}
+
+async function listWatches() {
+    return loadWatches();
+}
+
+async function removeWatch(id) {
+    const list = await loadWatches();
+    const index = list.findIndex(watch => watch.id === id);
+    if (index === -1) return false;
+    list.splice(index, 1);
+    await saveWatches();
+    return true;
+}
+
+/**
+ * Re-analyzes one watch, diffs it against the last run and notifies the webhook when thresholds are crossed.
+ * @param {object} watch - Watch from the store.
+ * @param {Function} analyze - async (username, query) => analysis result.
+ * @returns {Promise<object>} The updated watch.
+ */
+async function runWatch(watch, analyze) {
+    try {
+        const summary = summarize(await analyze(watch.username, watch.query));
+        const diff = watch.lastSummary ? diffRuns(watch.lastSummary, summary, watch.thresholds) : null;
+        watch.lastSummary = summary;
+        watch.lastDiff = diff;
+        watch.lastError = null;
+
+        const webhookUrl = watch.webhookUrl || process.env.WEBHOOK_URL;
+        if (diff?.triggered.length && webhookUrl) {
+            await deliverWebhook(webhookUrl, {
+                event: 'profile.changed',
+                watch: { id: watch.id, username: watch.username },
+                analyzedAt: new Date().toISOString(),
+                hireabilityScore: summary.hireabilityScore,
+                diff,
+            }, { watchId: watch.id, username: watch.username });
+        }
+    } catch (err) {
+        watch.lastError = err.message;
+    }
+
+    watch.lastRunAt = new Date().toISOString();
+    await saveWatches();
+    return watch;
+}
+
+function isDue(watch) {
+    return !watch.lastRunAt || Date.now() - new Date(watch.lastRunAt).getTime() >= watch.intervalMinutes * 60 * 1000;
+}
+
+/**
+ * Starts the scheduler. Due watches run one at a time so scheduled runs never compete with each
+ * other for the GitHub quota; a tick is skipped while the previous one is still running.
+ * @param {Function} analyze - async (username, query) => analysis result.
+ */
+function startWatchScheduler(analyze) {
+    const tickMs = (Number(process.env.WATCH_TICK_SECONDS) || DEFAULT_TICK_SECONDS) * 1000;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            for (const watch of (await loadWatches()).filter(isDue)) {
+                await runWatch(watch, analyze);
+            }
+        } catch (err) {
+            console.error('Watch scheduler error:', err);
+        } finally {
+            running = false;
+        }
+    };
+
+    setInterval(tick, tickMs).unref();
+    tick();
+}
+
+export { addWatch, DEFAULT_THRESHOLDS, listWatches, parseWatch, removeWatch, runWatch, startWatchScheduler };
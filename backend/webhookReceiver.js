@@ -0,0 +1,52 @@
+import * as dotenv from 'dotenv';
+import http from 'http';
+import { createHmac } from 'crypto';
+
+// --- Local webhook receiver ---
+// A stand-in webhook target for testing watches: `npm run webhook-receiver`, then set WEBHOOK_URL (or a
+// watch's webhook URL) to http://localhost:5001/webhook. Prints every payload and checks the signature
+// when WEBHOOK_SECRET is set. WEBHOOK_RECEIVER_FAIL=<n> answers the first n requests with 500 to
+// exercise retries.
+
+dotenv.config();
+
+const PORT = Number(process.env.WEBHOOK_RECEIVER_PORT) || 5001;
+let failuresLeft = Number(process.env.WEBHOOK_RECEIVER_FAIL) || 0;
+
+http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const signature = req.headers['x-analyzer-signature'];
+        const expected = process.env.WEBHOOK_SECRET
+            ? `sha256=${createHmac('sha256', process.env.WEBHOOK_SECRET).update(body).digest('hex')}`
+            : null;
+        const verified = expected ? (signature === expected ? 'valid signature' : 'INVALID signature') : 'unsigned';
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`[${new Date().toISOString()}] ${req.url} -> simulated 500 (${verified})`);
+            res.writeHead(500).end();
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body || '{}');
+        } catch (err) {
+            console.log(`[${new Date().toISOString()}] ${req.url} -> 400, body is not JSON (${verified}): ${err.message}`);
+            console.log(body);
+            res.writeHead(400).end();
+            return;
+        }
+
+        console.log(`[${new Date().toISOString()}] ${req.url} (${verified})`);
+        console.log(JSON.stringify(payload, null, 2));
+        res.writeHead(204).end();
+    });
+}).listen(PORT, () => console.log(`Webhook receiver listening on http://localhost:${PORT}/webhook`));
@@ -0,0 +1,100 @@
+import fetch from 'node-fetch';
+import { createHmac, randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// --- Webhook delivery ---
+// Payloads are POSTed as JSON and retried with exponential backoff. Every delivery, with each
+// attempt's outcome, is kept in a capped log persisted to WEBHOOK_LOG_FILE.
+// When WEBHOOK_SECRET is set, the body is signed: `X-Analyzer-Signature: sha256=<hmac hex>`.
+
+const DEFAULT_LOG_FILE = fileURLToPath(new URL('./data/webhook-deliveries.json', import.meta.url));
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_TIMEOUT_MS = 10000;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_LOG_ENTRIES = 200;
+
+let deliveries = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const logFile = () => process.env.WEBHOOK_LOG_FILE || DEFAULT_LOG_FILE;
+
+// Like the watch file: a missing log is empty, any other failure is thrown rather than starting over.
+async function loadDeliveries() {
+    if (!deliveries) {
+        try {
+            deliveries = JSON.parse(await fs.readFile(logFile(), 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+            deliveries = [];
+        }
+    }
+    return deliveries;
+}
+
+async function saveDeliveries() {
+    if (!deliveries) throw new Error('The webhook log was never loaded; refusing to overwrite it.');
+    await fs.mkdir(path.dirname(logFile()), { recursive: true });
+    await fs.writeFile(logFile(), JSON.stringify(deliveries));
+}
+
+async function attemptDelivery(url, body) {
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'github-profile-analyzer-webhook' };
+    if (process.env.WEBHOOK_SECRET) {
+        headers['X-Analyzer-Signature'] = `sha256=${createHmac('sha256', process.env.WEBHOOK_SECRET).update(body).digest('hex')}`;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), Number(process.env.WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS);
+    try {
+        const r = await fetch(url, { method: 'POST', headers, body, signal: controller.signal });
+        return { at: new Date().toISOString(), statusCode: r.status, ok: r.ok };
+    } catch (err) {
+        return { at: new Date().toISOString(), error: err.name === 'AbortError' ? 'Timed out' : err.message, ok: false };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * POSTs a payload to a webhook, retrying failed attempts, and records the delivery.
+ * @param {string} url - Webhook URL.
+ * @param {object} payload - JSON payload.
+ * @param {object} meta - { watchId, username } stored with the log entry.
+ * @returns {Promise<object>} The delivery log entry.
+ */
+async function deliverWebhook(url, payload, meta) {
+    const maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    const body = JSON.stringify(payload);
+    const delivery = { id: randomUUID(), ...meta, url, event: payload.event, createdAt: new Date().toISOString(), status: 'pending', attempts: [], payload };
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const result = await attemptDelivery(url, body);
+        delivery.attempts.push(result);
+        if (result.ok) break;
+        if (attempt < maxAttempts) await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    }
+    delivery.status = delivery.attempts[delivery.attempts.length - 1].ok ? 'delivered' : 'failed';
+
+    // The delivery has happened either way; an unreadable or unwritable log only loses its record
+    try {
+        const log = await loadDeliveries();
+        log.unshift(delivery);
+        log.splice(MAX_LOG_ENTRIES);
+        await saveDeliveries();
+    } catch (err) {
+        console.error('Webhook delivery not logged:', err.message);
+    }
+    return delivery;
+}
+
+/**
+ * Returns the delivery log, newest first.
+ * @returns {Promise<object[]>}
+ */
+async function listDeliveries() {
+    return loadDeliveries();
+}
+
+export { deliverWebhook, listDeliveries };
@@ -0,0 +1,9 @@
+// Runtime configuration, read by the app at startup. Edit this file on the web server to point a built
+// site at another backend without rebuilding; unset values fall back to the build-time settings
+// (REACT_APP_API_URL, REACT_APP_MODE).
+//   apiUrl: backend base URL, e.g. 'https://analyzer.example.com' ('' = same origin as the site)
+//   mode:   'server' (default) or 'client' to analyze in the browser against the GitHub API, without a backend
+window.ANALYZER_CONFIG = {
+    // apiUrl: 'http://localhost:5000',
+    // mode: 'client',
+};
@@ -0,0 +1,12 @@
+// frontend/scripts/copyShared.js
+// Copies the analysis logic shared with the backend (../shared: scoring, filter rules, repository quality,
+// template review and the scoring presets) into src/shared, because Create React App only compiles files
+// inside src. Runs before start, build and test; src/shared is generated, so edit ../shared instead.
+const fs = require('fs');
+const path = require('path');
+
+const source = path.join(__dirname, '..', '..', 'shared');
+const target = path.join(__dirname, '..', 'src', 'shared');
+
+fs.rmSync(target, { recursive: true, force: true });
+fs.cpSync(source, target, { recursive: true });
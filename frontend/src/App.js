@@ -1,47 +1,54 @@
 // frontend/src/App.js
 // This file contains the complete, self-contained React application.
 
-// Dependency Note: This requires 'html2pdf.js', 'axios', and 'chart.js' to be installed via npm/yarn.
-import html2pdf from 'html2pdf.js'; 
-
-import React, { useState } from 'react';
+// Dependency Note: This requires 'axios' and 'chart.js' to be installed via npm/yarn.
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import axios from 'axios';
+import { analyzeInBrowser, ClientRateLimitError } from './clientAnalyzer';
+import { layoutForceGraph } from './forceLayout';
+import { getAnnualActivityChartData } from './activityChart';
 
 // CHART IMPORTS 
-import { Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement } from 'chart.js';
-import { Doughnut, Bar } from 'react-chartjs-2';
+import { Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement, RadialLinearScale, PointElement, LineElement, Filler } from 'chart.js';
+import { Doughnut, Bar, Radar, Line } from 'react-chartjs-2';
 
 // Register all necessary Chart.js components
-ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement);
+ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement, RadialLinearScale, PointElement, LineElement, Filler);
+
+// --- Backend Configuration ---
+// public/config.js (runtime) takes precedence over REACT_APP_API_URL / REACT_APP_MODE (build time).
+const RUNTIME_CONFIG = window.ANALYZER_CONFIG || {};
+// Backend base URL without a trailing slash; '' means the same origin as the site
+const API_BASE_URL = (RUNTIME_CONFIG.apiUrl ?? process.env.REACT_APP_API_URL ?? 'http://localhost:5000').replace(/\/$/, '');
+// 'client' analyzes in the browser against the GitHub API and skips the backend entirely
+const CLIENT_ONLY_MODE = (RUNTIME_CONFIG.mode ?? process.env.REACT_APP_MODE) === 'client';
 
-// --- Global Utility Functions for Charts ---
 /**
- * Prepares the data structure for the Annual Commit Activity Bar Chart.
- * @param {number[]} annualActivity - Array of commit counts for the last 52 weeks (Mock Data).
- * @returns {object} Chart.js data object.
+ * Resolves a backend path such as '/api/analyze/octocat' against the configured API URL.
+ * @param {string} path - Path starting with '/'.
+ * @returns {string} URL for axios or links.
  */
-const getAnnualActivityChartData = (annualActivity) => {
-    if (!annualActivity || annualActivity.length === 0) return null;
+const apiUrl = (path) => `${API_BASE_URL}${path}`;
 
-    // Create labels for 52 weeks
-    const labels = Array.from({ length: 52 }, (_, i) => `Week ${52 - i}`);
-    labels[0] = 'Current Week';
-    labels[51] = 'Year Ago';
-
-    return {
-        labels: labels,
-        datasets: [
-            {
-                label: 'Commits/Pushes (Mock Data)',
-                data: annualActivity,
-                backgroundColor: 'rgba(75, 192, 192, 0.6)',
-                borderColor: 'rgba(75, 192, 192, 1)',
-                borderWidth: 1,
-            },
-        ],
-    };
+/**
+ * Resolves a backend WebSocket path against the configured API URL (ws:// or wss:// to match it).
+ * @param {string} path - Path starting with '/', e.g. the `websocket` field of a batch job.
+ * @returns {string} WebSocket URL.
+ */
+const getWebSocketUrl = (path) => {
+    const url = new URL(apiUrl(path), window.location.href);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    return url.toString();
 };
 
+// --- Global Utility Functions for Charts ---
+// Palette for the language charts, most used language first
+const LANGUAGE_COLORS = [
+    'rgba(255, 99, 132, 0.8)', 'rgba(54, 162, 235, 0.8)', 'rgba(255, 206, 86, 0.8)', 
+    'rgba(75, 192, 192, 0.8)', 'rgba(153, 102, 255, 0.8)', 'rgba(255, 159, 64, 0.8)', 
+    'rgba(199, 199, 199, 0.8)', 'rgba(83, 102, 255, 0.8)', 
+];
+
 /**
  * Prepares the data structure for the Language Breakdown Doughnut Chart.
  * @param {object} result - The analysis result object containing languagesByBytes.
@@ -61,22 +68,351 @@ const getLanguageChartData = (result) => {
     const totalBytes = data.reduce((sum, bytes) => sum + bytes, 0);
     const percentages = data.map(bytes => ((bytes / totalBytes) * 100).toFixed(1) + '%');
 
-    const colors = [
-        'rgba(255, 99, 132, 0.8)', 'rgba(54, 162, 235, 0.8)', 'rgba(255, 206, 86, 0.8)', 
-        'rgba(75, 192, 192, 0.8)', 'rgba(153, 102, 255, 0.8)', 'rgba(255, 159, 64, 0.8)', 
-        'rgba(199, 199, 199, 0.8)', 'rgba(83, 102, 255, 0.8)', 
-    ];
-
     return {
         labels: labels.map((label, index) => `${label} (${percentages[index]})`),
         datasets: [{
                 data: data,
-                backgroundColor: colors.slice(0, data.length),
-                borderColor: colors.slice(0, data.length).map(c => c.replace('0.8', '1')),
+                backgroundColor: LANGUAGE_COLORS.slice(0, data.length),
+                borderColor: LANGUAGE_COLORS.slice(0, data.length).map(c => c.replace('0.8', '1')),
                 borderWidth: 1,
             }],
     };
 };
+
+// Labels for the language timeline statuses
+const LANGUAGE_STATUS_LABELS = { focus: 'current focus', active: 'active', legacy: 'legacy' };
+
+/**
+ * Prepares the stacked-area Language Timeline chart for the top languages.
+ * @param {object} timeline - The `languageTimeline` section: periods and per-language bytes per period.
+ * @returns {object|null} Chart.js data object, or null with fewer than two periods to plot.
+ */
+const getLanguageTimelineChartData = (timeline) => {
+    if (!timeline || timeline.periods.length < 2) return null;
+
+    return {
+        labels: timeline.periods,
+        datasets: timeline.languages.slice(0, 6).map((language, index) => ({
+            label: `${language.language} (${LANGUAGE_STATUS_LABELS[language.status]})`,
+            data: language.bytes,
+            fill: index === 0 ? 'origin' : '-1',
+            backgroundColor: LANGUAGE_COLORS[index].replace('0.8', '0.5'),
+            borderColor: LANGUAGE_COLORS[index].replace('0.8', '1'),
+            borderWidth: 1,
+            pointRadius: 0,
+            tension: 0.3,
+        })),
+    };
+};
+/**
+ * Prepares the History line chart: score and the share of the current top language per snapshot.
+ * @param {object[]} snapshots - Snapshots from /api/history, oldest first.
+ * @returns {object} Chart.js data object.
+ */
+const getHistoryChartData = (snapshots) => {
+    const latest = snapshots[snapshots.length - 1].languagesByBytes;
+    const topLanguage = Object.keys(latest).sort((a, b) => latest[b] - latest[a])[0];
+    const languageShare = (languagesByBytes) => {
+        const total = Object.values(languagesByBytes).reduce((sum, bytes) => sum + bytes, 0);
+        return total === 0 ? 0 : Math.round((languagesByBytes[topLanguage] || 0) / total * 100);
+    };
+
+    const datasets = [{
+        label: 'Hireability Score',
+        data: snapshots.map((snapshot) => snapshot.hireabilityScore),
+        borderColor: '#007acc',
+        backgroundColor: '#007acc',
+        tension: 0.2,
+    }];
+    if (topLanguage) {
+        datasets.push({
+            label: `${topLanguage} share (%)`,
+            data: snapshots.map((snapshot) => languageShare(snapshot.languagesByBytes)),
+            borderColor: '#ff9f40',
+            backgroundColor: '#ff9f40',
+            tension: 0.2,
+        });
+    }
+
+    return { labels: snapshots.map((snapshot) => new Date(snapshot.analyzedAt).toLocaleDateString()), datasets };
+};
+
+// Pages reachable by URL. Routes live in the hash (#/analyze/torvalds?filter=true) so deep links and the
+// back button work on static hosting such as the GitHub Pages build in docs/, which has no server rewrites.
+const ROUTE_PAGES = ['analyze', 'compare', 'batch', 'watches', 'about', 'contact'];
+
+/**
+ * Parses a hash route such as '#/analyze/torvalds?filter=true' or '#/compare/a/b/c'.
+ * @param {string} hash - window.location.hash.
+ * @returns {{ key: string, page: string, usernames: string[], params: URLSearchParams }}
+ */
+const parseRoute = (hash) => {
+    const [path, search = ''] = hash.replace(/^#\/?/, '').split('?');
+    const [page, ...usernames] = path.split('/').filter(Boolean).map(decodeURIComponent);
+    const params = new URLSearchParams(search);
+    const resolvedPage = ROUTE_PAGES.includes(page) ? page : 'analyze';
+    return { key: `${resolvedPage}/${usernames.join('/')}?${params}`, page: resolvedPage, usernames, params };
+};
+
+/**
+ * Builds a hash route.
+ * @param {string} page - One of ROUTE_PAGES.
+ * @param {string[]} [usernames] - Path segments after the page.
+ * @param {string} [query] - Query string without the leading '?'.
+ * @returns {string} Hash starting with '#/'.
+ */
+const buildRoute = (page, usernames = [], query = '') =>
+    `#/${[page, ...usernames.map(encodeURIComponent)].join('/')}${query ? `?${query}` : ''}`;
+
+/**
+ * Reads the filter and scoring settings carried by a route's query string (see buildAnalysisQuery).
+ * Settings missing from the link fall back to the defaults.
+ * @param {URLSearchParams} params - Route query.
+ * @returns {{ showFilteredRepos: boolean, filterOverrides: object, scoringPreset: string }}
+ */
+const parseRouteSettings = (params) => ({
+    showFilteredRepos: params.get('filter') !== 'false',
+    filterOverrides: Object.fromEntries(Object.keys(DEFAULT_FILTER_OVERRIDES).map((key) => [key, params.get(key) ?? ''])),
+    scoringPreset: params.get('preset') || '',
+});
+
+// Formats offered by /api/report
+const REPORT_FORMATS = [
+    { format: 'pdf', label: 'PDF' },
+    { format: 'md', label: 'Markdown' },
+    { format: 'csv', label: 'CSV' },
+    { format: 'json', label: 'JSON' },
+];
+
+/**
+ * Builds the backend report URL for a single analysis or a comparison.
+ * @param {string} reportPath - '/api/report/<username>' or '/api/report?users=a,b'.
+ * @param {string} analysisQuery - Current filter and scoring query string.
+ * @param {string} format - One of REPORT_FORMATS.
+ * @returns {string} Absolute URL that downloads the report.
+ */
+const getReportUrl = (reportPath, analysisQuery, format) =>
+    `${apiUrl(reportPath)}${reportPath.includes('?') ? '&' : '?'}${analysisQuery}&format=${format}`;
+
+// Line colors for compared candidates, in rank order
+const CANDIDATE_COLORS = ['#007acc', '#3CB371', '#ff6384', '#ff9f40', '#9966ff', '#4bc0c0', '#c9a400', '#8c564b'];
+// Matches COMPARE_MAX_USERS on the backend
+const MAX_COMPARE_CANDIDATES = 8;
+
+/**
+ * Prepares the radar chart overlaying each candidate's score, factor points and language shares.
+ * Factor points are scaled to a percentage of the factor's maximum so every axis runs 0-100.
+ * @param {object} comparison - The /api/compare response.
+ * @returns {object} Chart.js data object.
+ */
+const getComparisonRadarData = (comparison) => ({
+    labels: ['Score', ...comparison.factors.map((factor) => factor.label), ...comparison.languages],
+    datasets: comparison.candidates.map((candidate, index) => {
+        const color = CANDIDATE_COLORS[index % CANDIDATE_COLORS.length];
+        return {
+            label: `@${candidate.profile.login}`,
+            data: [
+                candidate.hireabilityScore,
+                ...comparison.factors.map((factor) => Math.round((candidate.factorPoints[factor.key] ?? 0) / factor.max * 100)),
+                ...comparison.languages.map((lang) => candidate.languageShares[lang] || 0),
+            ],
+            borderColor: color,
+            backgroundColor: `${color}22`,
+            pointBackgroundColor: color,
+            borderWidth: 2,
+        };
+    }),
+});
+
+// Colors for the hireability factors in the score breakdown bar
+const FACTOR_COLORS = {
+    followers: '#007acc',
+    repositories: '#3CB371',
+    languages: '#ff9f40',
+    stars: '#ffcd56',
+    recentActivity: '#9966ff',
+    repoQuality: '#4bc0c0',
+    targetLanguages: '#ff6384',
+    upstreamContributions: '#8c564b',
+};
+
+// Labels for the repository quality signals reported by the backend
+const QUALITY_SIGNAL_LABELS = {
+    readme: 'README',
+    license: 'License',
+    ci: 'CI',
+    tests: 'Tests',
+    recent: 'Active',
+    topics: 'Topics',
+    substantial: '100+ KB',
+    archived: 'Archived',
+};
+
+// Day names for the activity heatmap, in the backend's order (0 = Sunday)
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Summarizes the `activityPatterns` section in one line: streaks, active weeks, consistency and peak time.
+ * @param {object} patterns - The `activityPatterns` section.
+ * @returns {string} e.g. "Longest streak 12 days (current 3) · 40/52 active weeks · steady · peak Tue 14:00".
+ */
+const describeActivityPatterns = (patterns) => {
+    const parts = [
+        `Longest streak ${patterns.streaks.longest} day${patterns.streaks.longest === 1 ? '' : 's'} (current ${patterns.streaks.current})`,
+        `${patterns.activeWeeks}/52 active weeks`,
+        patterns.consistency,
+    ];
+    if (patterns.peak) parts.push(`peak ${WEEKDAY_NAMES[patterns.peak.day]} ${String(patterns.peak.hour).padStart(2, '0')}:00`);
+    return parts.join(' · ');
+};
+
+// Categories of the detected tech stack, in display order, with their tag colors
+const TECH_STACK_CATEGORIES = [
+    { key: 'frameworks', label: 'Frameworks', color: '#007acc' },
+    { key: 'testing', label: 'Testing', color: '#3CB371' },
+    { key: 'infrastructure', label: 'Infrastructure', color: '#9966ff' },
+];
+
+/**
+ * Sorts repositories for the Top Repositories list.
+ * @param {object[]} repositories - Repositories from the analysis result (already ordered by quality).
+ * @param {string} sortBy - 'quality', 'stars' or 'pushed'.
+ * @returns {object[]} Sorted copy.
+ */
+const sortRepositories = (repositories, sortBy) => {
+    if (sortBy === 'stars') return [...repositories].sort((a, b) => b.stargazers_count - a.stargazers_count);
+    if (sortBy === 'pushed') return [...repositories].sort((a, b) => new Date(b.pushed_at) - new Date(a.pushed_at));
+    return repositories;
+};
+
+// Per-rule filter overrides sent to the backend; '' keeps the server's default for that rule
+const DEFAULT_FILTER_OVERRIDES = {
+    minSize: '',
+    minStars: '',
+    minQuality: '',
+    includeForks: '',
+    includeArchived: '',
+    exclude: '',
+    include: '',
+    topics: '',
+    pushedSince: '',
+};
+
+/**
+ * Builds the query string shared by analyze and compare requests.
+ * @param {boolean} showFilteredRepos - Whether the default low-value filter is on.
+ * @param {object} filterOverrides - Per-rule overrides (see DEFAULT_FILTER_OVERRIDES).
+ * @param {string} scoringPreset - Selected scoring preset ('' = server default).
+ * @returns {string} Query string without the leading '?'.
+ */
+const buildAnalysisQuery = (showFilteredRepos, filterOverrides, scoringPreset) => {
+    const params = new URLSearchParams({ filter: String(showFilteredRepos) });
+    Object.entries(filterOverrides).forEach(([key, value]) => {
+        if (value !== '') params.set(key, value);
+    });
+    if (scoringPreset) params.set('preset', scoringPreset);
+    return params.toString();
+};
+
+/**
+ * Summarizes the filter rules echoed by the backend.
+ * @param {object} filterRules - The `filterRules` object from an analysis result.
+ * @returns {string} Human-readable rule list.
+ */
+const describeFilterRules = (filterRules) => {
+    if (!filterRules || !filterRules.enabled) return 'All repositories (no filter).';
+
+    const rules = [];
+    if (!filterRules.includeForks) rules.push('no forks');
+    if (!filterRules.includeArchived) rules.push('no archived repos');
+    if (filterRules.minSizeKb) rules.push(`size ≥ ${filterRules.minSizeKb} KB`);
+    if (filterRules.minStars) rules.push(`stars ≥ ${filterRules.minStars}`);
+    if (filterRules.minQuality) rules.push(`quality ≥ ${filterRules.minQuality}`);
+    if (filterRules.excludeKeywords.length) rules.push(`excluding "${filterRules.excludeKeywords.join('", "')}"`);
+    if (filterRules.includeKeywords.length) rules.push(`matching "${filterRules.includeKeywords.join('", "')}"`);
+    if (filterRules.topics.length) rules.push(`topics: ${filterRules.topics.join(', ')}`);
+    if (filterRules.pushedSince) rules.push(`pushed since ${filterRules.pushedSince}`);
+    return `Filtered: ${rules.join('; ')}.`;
+};
+
+/**
+ * Describes which provider produced the AI review.
+ * @param {object} aiReviewProvider - { name, model, fallbackReason } from the analysis result.
+ * @returns {string} Attribution line shown under the review.
+ */
+const getReviewAttribution = (aiReviewProvider) => {
+    const providerNames = { openai: 'OpenAI', gemini: 'Google Gemini', local: 'a local LLM' };
+    if (aiReviewProvider.name === 'template') {
+        return aiReviewProvider.fallbackReason
+            ? `Template-based summary (the LLM provider was unavailable: ${aiReviewProvider.fallbackReason}).`
+            : 'Template-based summary (no LLM provider configured).';
+    }
+    return `Generated by ${providerNames[aiReviewProvider.name] || aiReviewProvider.name} (${aiReviewProvider.model}).`;
+};
+
+/**
+ * Applies a batch WebSocket `progress` or `result` message to the job snapshot.
+ * @param {object} job - Current job snapshot from the backend.
+ * @param {object} message - { index, username, status, result?, error? }.
+ * @returns {object} Updated copy of the job.
+ */
+const applyBatchMessage = (job, message) => {
+    const items = job.items.map((item, index) => index === message.index
+        ? { ...item, status: message.status, result: message.result ?? item.result, error: message.error ?? item.error }
+        : item);
+    return { ...job, items, completed: items.filter((item) => item.status === 'done' || item.status === 'error').length };
+};
+
+// Sections streamed by /api/analyze/:username/stream, in the order they arrive
+const ANALYSIS_STAGES = [
+    { stage: 'profile', label: 'Profile' },
+    { stage: 'repositories', label: 'Repositories' },
+    { stage: 'languages', label: 'Languages' },
+    { stage: 'score', label: 'Score' },
+    { stage: 'review', label: 'Review' },
+];
+
+/**
+ * Merges one streamed analysis event into the partial result shown while the analysis runs.
+ * The partial result carries `stream: { stage, languages: { done, total } }` until the final result replaces it.
+ * @param {object|null} partial - The partial result so far.
+ * @param {string} stage - Event name (one of ANALYSIS_STAGES).
+ * @param {object} data - Event payload.
+ * @returns {object} New partial result.
+ */
+const applyAnalysisEvent = (partial, stage, data) => {
+    const stream = { ...partial?.stream, stage };
+    if (stage === 'languages') {
+        const { done, total, ...section } = data;
+        return { ...partial, ...section, stream: { ...stream, languages: { done, total } } };
+    }
+    return { ...partial, ...data, stream };
+};
+
+/**
+ * Returns the language with the most bytes in an analysis result, or null.
+ */
+const getTopLanguage = (result) => {
+    const entries = Object.entries(result?.languagesByBytes || {});
+    if (entries.length === 0) return null;
+    return entries.reduce((top, entry) => (entry[1] > top[1] ? entry : top))[0];
+};
+
+/**
+ * Sorts batch items by hireability score; pending and failed items always go last.
+ * @param {object[]} items - Job items.
+ * @param {string} direction - 'desc' or 'asc'.
+ * @returns {object[]} Sorted copy, each item tagged with its original `index`.
+ */
+const sortBatchItems = (items, direction) => {
+    const indexed = items.map((item, index) => ({ ...item, index }));
+    return indexed.sort((a, b) => {
+        const scoreA = a.result?.hireabilityScore;
+        const scoreB = b.result?.hireabilityScore;
+        if (scoreA === undefined || scoreB === undefined) return (scoreA === undefined) - (scoreB === undefined) || a.index - b.index;
+        return direction === 'asc' ? scoreA - scoreB : scoreB - scoreA;
+    });
+};
 // --- End Global Utility Functions ---
 
 
@@ -85,14 +421,76 @@ const getLanguageChartData = (result) => {
 // =========================================================
 
 /**
- * Renders the main analysis card with charts and repository list.
+ * Renders the per-factor score breakdown as a stacked bar with the reasoning for each factor.
+ */
+function ScoreBreakdown({ breakdown }) {
+    const totalMax = breakdown.reduce((sum, factor) => sum + factor.max, 0);
+
+    return (
+        <div style={{ marginTop: 15, textAlign: 'left' }}>
+            <div style={{ display: 'flex', height: 18, borderRadius: 4, overflow: 'hidden', backgroundColor: '#e6e6e6' }}>
+                {breakdown.map((factor) => (
+                    <div
+                        key={factor.key}
+                        title={`${factor.label}: ${factor.points} / ${factor.max}`}
+                        style={{ width: `${(factor.points / totalMax) * 100}%`, backgroundColor: FACTOR_COLORS[factor.key] || '#999' }}
+                    />
+                ))}
+            </div>
+            <ul style={{ listStyleType: 'none', padding: 0, margin: '10px 0 0 0', fontSize: '0.85em' }}>
+                {breakdown.map((factor) => (
+                    <li key={factor.key} style={{ marginBottom: 4 }}>
+                        <span style={{ display: 'inline-block', width: 10, height: 10, marginRight: 6, borderRadius: 2, backgroundColor: FACTOR_COLORS[factor.key] || '#999' }} />
+                        <strong>{factor.label}</strong>: {factor.points} / {factor.max}
+                        <span style={{ color: '#777' }}> — {factor.reason}</span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+/**
+ * Renders the progress of a streamed analysis: finished stages and the per-repository language fetch.
+ */
+function AnalysisProgress({ stream }) {
+    const current = ANALYSIS_STAGES.findIndex(({ stage }) => stage === stream.stage);
+    const languages = stream.languages;
+
+    return (
+        <div style={{ marginBottom: 20, padding: '10px 15px', border: '1px solid #b3d7f0', borderRadius: 8, backgroundColor: '#eef7fd', fontSize: '0.85em' }}>
+            <div style={{ display: 'flex', gap: 15, flexWrap: 'wrap' }}>
+                {ANALYSIS_STAGES.map(({ stage, label }, index) => (
+                    <span key={stage} style={{ color: index <= current ? '#2e7d32' : '#999', fontWeight: index === current + 1 ? 'bold' : 'normal' }}>
+                        {index <= current ? '✓' : '…'} {label}
+                    </span>
+                ))}
+            </div>
+            {languages && languages.done < languages.total && (
+                <div style={{ marginTop: 8 }}>
+                    <div style={{ height: 6, borderRadius: 3, backgroundColor: '#d6e9f8', overflow: 'hidden' }}>
+                        <div style={{ width: `${(languages.done / languages.total) * 100}%`, height: '100%', backgroundColor: '#007acc', transition: 'width 0.2s' }} />
+                    </div>
+                    <p style={{ margin: '4px 0 0 0', color: '#555' }}>Fetching languages: {languages.done} of {languages.total} repositories</p>
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Renders the main analysis card with charts and repository list. While an analysis is streaming,
+ * `result` is partial and each section appears once its data has arrived.
  */
 function AnalysisCard({ result, showFilteredRepos }) {
+    const [repoSort, setRepoSort] = useState('quality');
     const languageChartData = getLanguageChartData(result);
     const annualActivityChartData = result?.annualActivity ? getAnnualActivityChartData(result.annualActivity) : null;
+    const languageTimelineChartData = getLanguageTimelineChartData(result?.languageTimeline);
     
     return (
         <div id="analyzer-results" style={{ marginTop: 20, border: '1px solid #eee', padding: 20, borderRadius: 8, boxShadow: '0 4px 12px rgba(0,0,0,0.05)', backgroundColor: '#fff' }}>
+            {result.stream && <AnalysisProgress stream={result.stream} />}
             
             {/* HIREABILITY SCORE DISPLAY */}
             {result.hireabilityScore !== undefined && (
@@ -108,6 +506,10 @@ function AnalysisCard({ result, showFilteredRepos }) {
                     <p style={{ fontSize: '3em', fontWeight: 'bold', margin: 0, color: '#333' }}>
                         {result.hireabilityScore} / 100
                     </p>
+                    {result.scoringPreset && (
+                        <p style={{ margin: '5px 0 0 0', fontSize: '0.85em', color: '#555' }}>Scored with the "{result.scoringPreset.label}" preset</p>
+                    )}
+                    {result.scoreBreakdown && <ScoreBreakdown breakdown={result.scoreBreakdown} />}
                 </div>
             )}
 
@@ -124,6 +526,11 @@ function AnalysisCard({ result, showFilteredRepos }) {
                     <p style={{ margin: 0, lineHeight: '1.4em' }}>
                         {result.aiReview}
                     </p>
+                    {result.aiReviewProvider && (
+                        <p style={{ margin: '10px 0 0 0', fontSize: '0.8em', color: '#777' }}>
+                            {getReviewAttribution(result.aiReviewProvider)}
+                        </p>
+                    )}
                 </div>
             )}
             
@@ -156,11 +563,23 @@ function AnalysisCard({ result, showFilteredRepos }) {
                         />
                     </div>
                     <p style={{ fontSize: '0.8em', textAlign: 'center', marginTop: '10px', color: '#777' }}>
-                        Weekly contribution frequency over the last year. (Data is currently mocked for demonstration).
+                        Weekly commits across non-fork repositories over the last year
+                        {result.annualActivitySource === 'events' && ' (estimated from recent public push events)'}
+                        {result.annualActivitySource === 'mixed' && ' (some repositories estimated from recent public push events)'}.
                     </p>
                 </div>
             )}
 
+            {/* ACTIVITY PATTERNS */}
+            {result.activityPatterns && (
+                <div style={{ marginBottom: 30 }}>
+                    <h3 style={{ borderBottom: '1px solid #ccc', paddingBottom: 5, marginBottom: 15 }}>Working Cadence</h3>
+                    <ActivityHeatmap patterns={result.activityPatterns} />
+                </div>
+            )}
+
+            {/* SCORE HISTORY */}
+            {!result.clientOnly && !result.stream && <AnalysisHistory result={result} />}
 
             <div style={{ display: 'flex', gap: 40, alignItems: 'flex-start' }}>
 
@@ -173,29 +592,592 @@ function AnalysisCard({ result, showFilteredRepos }) {
                             <Doughnut data={languageChartData} />
                         </div>
                         <p style={{ fontSize: '0.8em', textAlign: 'center', marginTop: '10px', color: '#777' }}>
-                            {showFilteredRepos ? 'Based on curated, high-value repositories.' : 'Based on ALL repositories (unfiltered).'}
+                            {result.filterRules ? describeFilterRules(result.filterRules) : (showFilteredRepos ? 'Based on curated, high-value repositories.' : 'Based on ALL repositories (unfiltered).')}
                         </p>
+
+                        {/* TECH STACK (TAG CLOUD) */}
+                        {result.techStack && (
+                            <>
+                                <h3 style={{ borderBottom: '1px solid #ccc', paddingBottom: 5, margin: '25px 0 15px 0' }}>Tech Stack</h3>
+                                <TechStackCloud techStack={result.techStack} />
+                            </>
+                        )}
                     </div>
                 )}
                 
                 {/* TOP REPOSITORIES (FILTERED LIST) */}
-                <div style={{ flex: 2, minWidth: '400px' }}>
-                    <h3 style={{ borderBottom: '1px solid #ccc', paddingBottom: 5 }}>
-                        Top Repositories ({result.repositories.length} shown)
+                {result.repositories && <div style={{ flex: 2, minWidth: '400px' }}>
+                    <h3 style={{ borderBottom: '1px solid #ccc', paddingBottom: 5, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <span>Top Repositories ({result.repositories.length} shown)</span>
+                        <select value={repoSort} onChange={(e) => setRepoSort(e.target.value)} style={{ padding: 4, fontSize: '0.7em', border: '1px solid #ccc', borderRadius: 4 }}>
+                            <option value="quality">Sort by quality</option>
+                            <option value="stars">Sort by stars</option>
+                            <option value="pushed">Sort by last push</option>
+                        </select>
                     </h3>
+                    {result.truncated && (
+                        <p style={{ fontSize: '0.8em', color: '#b36b00', margin: '0 0 10px 0' }}>
+                            This account has {result.totalRepos.toLocaleString()} repositories; only the first batch up to the server's safety cap was analyzed.
+                        </p>
+                    )}
                     <ul style={{ listStyleType: 'none', padding: 0 }}>
-                        {result.repositories.slice(0, 10).map((r) => (
+                        {sortRepositories(result.repositories, repoSort).slice(0, 10).map((r) => (
                             <li key={r.id} style={{ marginBottom: 10, padding: 10, borderLeft: '4px solid #3CB371', backgroundColor: '#f9fff9', borderRadius: 4 }}>
                                 <a href={r.html_url} target="_blank" rel="noreferrer" style={{ textDecoration: 'none', color: '#007acc', fontWeight: 'bold' }}>{r.name}</a> 
                                 <span style={{ float: 'right', color: '#555', fontSize: '0.9em' }}>
                                     ⭐{r.stargazers_count.toLocaleString()} &nbsp; • &nbsp; **{r.language || 'N/A'}**
                                 </span>
+                                {r.unassessed && (
+                                    <div style={{ marginTop: 6, fontSize: '0.75em' }}>
+                                        <span style={{ padding: '1px 6px', borderRadius: 10, backgroundColor: '#eee', color: '#555' }}>Quality not assessed</span>
+                                    </div>
+                                )}
+                                {r.quality && (
+                                    <div style={{ marginTop: 6, display: 'flex', flexWrap: 'wrap', gap: 4, fontSize: '0.75em' }}>
+                                        <span style={{ padding: '1px 6px', borderRadius: 10, backgroundColor: '#007acc', color: 'white' }}>Quality {r.quality.score}{r.quality.basis === 'metadata' && ' (metadata only)'}</span>
+                                        {r.quality.signals.map((signal) => (
+                                            <span key={signal} style={{ padding: '1px 6px', borderRadius: 10, backgroundColor: signal === 'archived' ? '#ffe5e5' : '#e8f4ea', color: signal === 'archived' ? '#c00' : '#2e7d32' }}>
+                                                {QUALITY_SIGNAL_LABELS[signal] || signal}
+                                            </span>
+                                        ))}
+                                    </div>
+                                )}
                             </li>
                         ))}
                     </ul>
+                </div>}
+            </div>
+
+            {/* LANGUAGE TIMELINE */}
+            {languageTimelineChartData && (
+                <div style={{ marginTop: 20 }}>
+                    <h3 style={{ borderBottom: '1px solid #ccc', paddingBottom: 5, marginBottom: 15 }}>Language Timeline</h3>
+                    <div style={{ height: 250 }}>
+                        <Line
+                            data={languageTimelineChartData}
+                            options={{
+                                responsive: true,
+                                maintainAspectRatio: false,
+                                interaction: { mode: 'index', intersect: false },
+                                scales: { y: { stacked: true, ticks: { display: false }, title: { display: true, text: 'Code size' } } },
+                            }}
+                        />
+                    </div>
+                    <p style={{ fontSize: '0.8em', textAlign: 'center', marginTop: '10px', color: '#777' }}>
+                        Each repository's code is spread over the {result.languageTimeline.granularity === 'quarter' ? 'quarters' : 'years'} between its creation and last push.
+                        {' '}Languages are a current focus by their share of the last twelve months, and legacy once that share has fallen below 5%.
+                    </p>
+                </div>
+            )}
+
+            {/* COLLABORATION NETWORK */}
+            {result.network && (
+                <div style={{ marginTop: 20 }}>
+                    <h3 style={{ borderBottom: '1px solid #ccc', paddingBottom: 5, marginBottom: 15 }}>Collaboration Network</h3>
+                    <NetworkGraph login={result.profile.login} network={result.network} />
+                </div>
+            )}
+
+            {/* UPSTREAM CONTRIBUTIONS */}
+            {result.contributions && (
+                <div style={{ marginTop: 20 }}>
+                    <h3 style={{ borderBottom: '1px solid #ccc', paddingBottom: 5, marginBottom: 15 }}>Upstream Contributions</h3>
+                    <UpstreamContributions contributions={result.contributions} />
+                </div>
+            )}
+
+        </div>
+    );
+}
+
+/**
+ * Renders the day-of-week x hour-of-day activity heatmap with the streak and consistency metrics.
+ */
+function ActivityHeatmap({ patterns }) {
+    const max = Math.max(...patterns.heatmap.flat());
+    const cellStyle = { height: 14, borderRadius: 2 };
+
+    return (
+        <>
+            <p style={{ margin: '0 0 10px 0', fontSize: '0.9em', color: '#555' }}>{describeActivityPatterns(patterns)}</p>
+            <div style={{ display: 'grid', gridTemplateColumns: '36px repeat(24, 1fr)', gap: 2, fontSize: '0.7em', color: '#777' }}>
+                {patterns.heatmap.map((hours, day) => (
+                    <React.Fragment key={day}>
+                        <span style={{ lineHeight: '14px' }}>{WEEKDAY_NAMES[day]}</span>
+                        {hours.map((count, hour) => (
+                            <div
+                                key={hour}
+                                title={`${WEEKDAY_NAMES[day]} ${String(hour).padStart(2, '0')}:00: ${count}`}
+                                style={{ ...cellStyle, backgroundColor: count === 0 ? '#f0f0f0' : `rgba(75, 192, 192, ${0.2 + 0.8 * count / max})` }}
+                            />
+                        ))}
+                    </React.Fragment>
+                ))}
+                <span />
+                {Array.from({ length: 24 }, (_, hour) => (
+                    <span key={hour} style={{ textAlign: 'center' }}>{hour % 3 === 0 ? hour : ''}</span>
+                ))}
+            </div>
+            <p style={{ fontSize: '0.8em', textAlign: 'center', marginTop: '10px', color: '#777' }}>
+                {patterns.sampled.commits} commits from recently pushed repositories and {patterns.sampled.events} other public contributions (pushes, pull requests, issues, comments, reviews, new branches),
+                {' '}in {patterns.timeZone.source === 'location' ? `${patterns.timeZone.name} (from the profile location)` : 'UTC (location not recognized)'}.
+                {patterns.burstiness !== null && ` Weekly burstiness ${patterns.burstiness} (−1 perfectly regular, 1 bursty).`}
+            </p>
+        </>
+    );
+}
+
+/**
+ * Renders the frameworks, test tools and infrastructure found in repository manifests as a tag cloud,
+ * sized by the number of repositories using each one.
+ */
+function TechStackCloud({ techStack }) {
+    const tags = TECH_STACK_CATEGORIES.flatMap((category) => techStack[category.key].map((tech) => ({ ...tech, category })));
+    if (tags.length === 0) {
+        return (
+            <p style={{ fontSize: '0.85em', color: '#777' }}>
+                No known frameworks or tools found in the manifests of the top {techStack.analyzedRepos} repositories.
+            </p>
+        );
+    }
+    const maxRepos = Math.max(...tags.map((tag) => tag.repos.length));
+
+    return (
+        <>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center', justifyContent: 'center' }}>
+                {tags.map(({ name, repos, category }) => (
+                    <span
+                        key={`${category.key}-${name}`}
+                        title={repos.map((repo) => `${repo.name} (${repo.manifest})`).join('\n')}
+                        style={{ padding: '2px 8px', borderRadius: 12, color: 'white', backgroundColor: category.color, fontSize: `${0.75 + 0.5 * (repos.length / maxRepos)}em`, cursor: 'default' }}
+                    >
+                        {name}
+                    </span>
+                ))}
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'center', gap: 12, marginTop: 10, fontSize: '0.75em', color: '#555' }}>
+                {TECH_STACK_CATEGORIES.map((category) => (
+                    <span key={category.key}>
+                        <span style={{ display: 'inline-block', width: 10, height: 10, marginRight: 4, borderRadius: 2, backgroundColor: category.color }} />
+                        {category.label}
+                    </span>
+                ))}
+            </div>
+            <p style={{ fontSize: '0.8em', textAlign: 'center', marginTop: '10px', color: '#777' }}>
+                From the dependency manifests of the top {techStack.analyzedRepos} non-fork repositories. Hover a tag for its repositories.
+            </p>
+        </>
+    );
+}
+
+// Node colors of the collaboration network graph
+const NETWORK_COLORS = { user: '#007acc', collaborator: '#3CB371', follow: '#9966ff' };
+const NETWORK_GRAPH_SIZE = { width: 600, height: 360 };
+
+/**
+ * Renders the collaboration network as a force-directed graph around the user. Clicking a collaborator
+ * opens their analysis with the current filter and scoring settings.
+ */
+function NetworkGraph({ login, network }) {
+    const [hovered, setHovered] = useState(null);
+    const { collaborators, links } = network;
+    const positions = useMemo(
+        () => layoutForceGraph([login, ...collaborators.map((c) => c.login)], links, NETWORK_GRAPH_SIZE),
+        [login, collaborators, links]
+    );
+
+    const style = { solo: 'mostly works solo', mixed: 'works both solo and in teams', team: 'mostly works in teams' }[network.workingStyle];
+    const summary = (
+        <p style={{ margin: '0 0 10px 0', fontSize: '0.9em', color: '#555' }}>
+            {style ? `@${login} ${style}: ${network.teamRepos} of ${network.analyzedRepos} top repositories have other significant contributors.` : 'No contributor data for the top repositories.'}
+            {' '}{network.mutualFollows} mutual follow{network.mutualFollows === 1 ? '' : 's'}
+            {network.follows.sampled && ` among the first ${network.follows.followers} followers`}.
+        </p>
+    );
+    if (collaborators.length === 0) {
+        return <>{summary}<p style={{ fontSize: '0.85em', color: '#777' }}>No collaborators found.</p></>;
+    }
+
+    const openAnalysis = (user) => {
+        window.location.hash = buildRoute('analyze', [user], parseRoute(window.location.hash).params.toString());
+        window.scrollTo(0, 0);
+    };
+    const isHighlighted = (link) => hovered && (link.source === hovered || link.target === hovered);
+    const radius = (collaborator) => 6 + 2 * Math.min(collaborator.sharedRepos.length, 5);
+
+    return (
+        <>
+            {summary}
+            <svg viewBox={`0 0 ${NETWORK_GRAPH_SIZE.width} ${NETWORK_GRAPH_SIZE.height}`} style={{ width: '100%', maxWidth: NETWORK_GRAPH_SIZE.width, display: 'block', margin: '0 auto', backgroundColor: '#fafafa', borderRadius: 8 }}>
+                {links.map((link) => {
+                    const source = positions.get(link.source);
+                    const target = positions.get(link.target);
+                    if (!source || !target) return null;
+                    return (
+                        <line
+                            key={`${link.source}-${link.target}`}
+                            x1={source.x} y1={source.y} x2={target.x} y2={target.y}
+                            stroke={isHighlighted(link) ? '#007acc' : '#ccc'}
+                            strokeWidth={Math.min(link.weight, 5)}
+                        />
+                    );
+                })}
+                <circle cx={positions.get(login).x} cy={positions.get(login).y} r={16} fill={NETWORK_COLORS.user} />
+                <text x={positions.get(login).x} y={positions.get(login).y + 30} textAnchor="middle" fontSize="12" fontWeight="bold" fill="#333">@{login}</text>
+                {collaborators.map((collaborator) => {
+                    const { x, y } = positions.get(collaborator.login);
+                    return (
+                        <g
+                            key={collaborator.login}
+                            onClick={() => openAnalysis(collaborator.login)}
+                            onMouseEnter={() => setHovered(collaborator.login)}
+                            onMouseLeave={() => setHovered(null)}
+                            style={{ cursor: 'pointer' }}
+                        >
+                            <title>
+                                {`@${collaborator.login}: ${collaborator.sharedRepos.length ? `shares ${collaborator.sharedRepos.join(', ')}` : 'no shared repositories'}${collaborator.mutualFollow ? ' · mutual follow' : ''} · click to analyze`}
+                            </title>
+                            <circle
+                                cx={x} cy={y} r={radius(collaborator)}
+                                fill={collaborator.sharedRepos.length ? NETWORK_COLORS.collaborator : NETWORK_COLORS.follow}
+                                stroke={hovered === collaborator.login ? '#333' : 'white'}
+                                strokeWidth={2}
+                            />
+                            <text x={x} y={y + radius(collaborator) + 12} textAnchor="middle" fontSize="10" fill="#555">{collaborator.login}</text>
+                        </g>
+                    );
+                })}
+            </svg>
+            <div style={{ display: 'flex', justifyContent: 'center', gap: 12, marginTop: 8, fontSize: '0.75em', color: '#555' }}>
+                {[['collaborator', 'Shares repositories'], ['follow', 'Mutual follow only']].map(([key, label]) => (
+                    <span key={key}>
+                        <span style={{ display: 'inline-block', width: 10, height: 10, marginRight: 4, borderRadius: '50%', backgroundColor: NETWORK_COLORS[key] }} />
+                        {label}
+                    </span>
+                ))}
+            </div>
+            <p style={{ fontSize: '0.8em', textAlign: 'center', marginTop: '10px', color: '#777' }}>
+                Top collaborators: {collaborators.slice(0, 5).map((c) => `@${c.login} (${c.sharedRepos.length} shared repo${c.sharedRepos.length === 1 ? '' : 's'})`).join(', ')}.
+                {' '}Click a person to open their analysis.
+            </p>
+        </>
+    );
+}
+
+/**
+ * Renders the user's pull requests and issues in repositories they do not own.
+ */
+function UpstreamContributions({ contributions }) {
+    if (contributions.unavailable) {
+        return <p style={{ fontSize: '0.85em', color: '#777' }}>Upstream contributions could not be loaded: {contributions.unavailable}</p>;
+    }
+    const { pullRequests, issues, repositories } = contributions;
+    if (repositories.length === 0) {
+        return <p style={{ fontSize: '0.85em', color: '#777' }}>No pull requests or issues in other people's repositories.</p>;
+    }
+
+    return (
+        <>
+            <p style={{ margin: '0 0 10px 0', fontSize: '0.9em', color: '#555' }}>
+                {pullRequests.total.toLocaleString()} pull requests ({pullRequests.merged} merged, {pullRequests.open} open, {pullRequests.closed} closed)
+                {' '}and {issues.total.toLocaleString()} issues ({issues.open} open, {issues.closed} closed)
+                {contributions.lastContributionAt && `; most recent on ${new Date(contributions.lastContributionAt).toLocaleDateString()}`}.
+                {contributions.sampled && ' State counts and repositories cover the 100 most recent of each.'}
+            </p>
+            <ul style={{ listStyleType: 'none', padding: 0, margin: 0 }}>
+                {repositories.slice(0, 10).map((repo) => (
+                    <li key={repo.fullName} style={{ marginBottom: 8, padding: 10, borderLeft: '4px solid #8c564b', backgroundColor: '#fbf8f6', borderRadius: 4 }}>
+                        <a href={repo.htmlUrl} target="_blank" rel="noreferrer" style={{ textDecoration: 'none', color: '#007acc', fontWeight: 'bold' }}>{repo.fullName}</a>
+                        {repo.stars !== null && <span style={{ marginLeft: 8, color: '#555', fontSize: '0.9em' }}>⭐{repo.stars.toLocaleString()}</span>}
+                        <span style={{ float: 'right', color: '#555', fontSize: '0.85em' }}>
+                            {repo.mergedPullRequests}/{repo.pullRequests} PRs merged · {repo.issues} issues · last {new Date(repo.lastContributionAt).toLocaleDateString()}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </>
+    );
+}
+
+/**
+ * Renders the stored score history for a user, limited to snapshots scored with the same preset.
+ */
+function AnalysisHistory({ result }) {
+    const [snapshots, setSnapshots] = useState(null);
+
+    // Refetched for every new result, which has just been added to the history.
+    useEffect(() => {
+        const params = result.scoringPreset ? `?preset=${encodeURIComponent(result.scoringPreset.name)}` : '';
+        axios.get(apiUrl(`/api/history/${result.profile.login}${params}`))
+            .then((res) => setSnapshots(res.data.snapshots))
+            .catch(() => setSnapshots(null));
+    }, [result]);
+
+    if (!snapshots || snapshots.length === 0) return null;
+
+    return (
+        <div style={{ marginBottom: 30 }}>
+            <h3 style={{ borderBottom: '1px solid #ccc', paddingBottom: 5, marginBottom: 15 }}>History</h3>
+            {snapshots.length === 1 ? (
+                <p style={{ fontSize: '0.9em', color: '#777' }}>
+                    First analysis of this profile on {new Date(snapshots[0].analyzedAt).toLocaleDateString()}. The trend appears once it has been analyzed again.
+                </p>
+            ) : (
+                <div style={{ height: 220 }}>
+                    <Line
+                        data={getHistoryChartData(snapshots)}
+                        options={{ responsive: true, maintainAspectRatio: false, scales: { y: { min: 0, max: 100 } } }}
+                    />
                 </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Renders a countdown until the GitHub API rate limit resets.
+ */
+function RateLimitNotice({ resetAt, clientOnly }) {
+    const [now, setNow] = useState(Date.now());
+    const remainingSeconds = Math.max(0, Math.ceil((new Date(resetAt).getTime() - now) / 1000));
+
+    useEffect(() => {
+        if (remainingSeconds === 0) return;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [remainingSeconds]);
+
+    const minutes = Math.floor(remainingSeconds / 60);
+    const seconds = String(remainingSeconds % 60).padStart(2, '0');
+
+    return (
+        <div style={{ color: '#b36b00', textAlign: 'center', padding: 20, border: '1px solid #f0c36d', borderRadius: 8, backgroundColor: '#fff8e5' }}>
+            <strong>GitHub API rate limit reached.</strong>
+            <p style={{ margin: '5px 0 0 0' }}>
+                {remainingSeconds > 0
+                    ? `You can search again in ${minutes}:${seconds}.`
+                    : 'The limit has reset. You can search again now.'}
+            </p>
+            {clientOnly && (
+                <p style={{ margin: '5px 0 0 0', fontSize: '0.85em' }}>
+                    Without a backend, GitHub allows 60 requests per hour from this browser, and each analysis uses about 15.
+                </p>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Explains browser-only mode and shows how much of the unauthenticated GitHub quota is left.
+ */
+function ClientModeNotice({ rateLimit }) {
+    return (
+        <div style={{ marginBottom: 20, padding: '10px 15px', border: '1px solid #b3d7f0', borderRadius: 8, backgroundColor: '#eef7fd', fontSize: '0.9em', color: '#333' }}>
+            <strong>Browser-only mode.</strong>{' '}
+            {CLIENT_ONLY_MODE ? 'This site runs without a backend' : 'The analyzer backend could not be reached'}, so profiles are analyzed
+            in your browser against the public GitHub API. Repository quality uses metadata only: the license,
+            a recent push, topics and size earn up to 50 points, rescaled to the usual 0-100 scale, so scores are
+            not comparable with the server's. Some language shares are estimated from repository size, and AI
+            reviews, presets, reports and history are unavailable.
+            {rateLimit?.remaining !== null && rateLimit?.remaining !== undefined && (
+                <span style={{ display: 'block', marginTop: 5, color: rateLimit.remaining < 15 ? '#b36b00' : '#555' }}>
+                    GitHub API requests left this hour: {rateLimit.remaining} of {rateLimit.limit} (resets at {new Date(rateLimit.resetAt).toLocaleTimeString()}).
+                </span>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Stands in for the pages that need the backend while running in browser-only mode.
+ */
+function BackendRequiredNotice({ feature }) {
+    return (
+        <div style={{ padding: 24, fontFamily: 'Inter, sans-serif', maxWidth: 900, margin: '0 auto' }}>
+            <div style={{ padding: 20, border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#fff', textAlign: 'center', color: '#555' }}>
+                <strong>{feature} needs the analyzer backend.</strong>
+                <p style={{ margin: '5px 0 0 0' }}>
+                    This site is running in browser-only mode. Set <code>apiUrl</code> in <code>config.js</code> (or build with <code>REACT_APP_API_URL</code>) to enable it.
+                </p>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Renders the repository filter controls. Changes re-query the current analysis automatically.
+ */
+function FilterPanel({ showFilteredRepos, setShowFilteredRepos, filterOverrides, setFilterOverrides, activeRules }) {
+    const [expanded, setExpanded] = useState(false);
+    const setRule = (key, value) => setFilterOverrides({ ...filterOverrides, [key]: value });
+    const inputStyle = { padding: 6, border: '1px solid #ccc', borderRadius: 4, width: '100%', boxSizing: 'border-box' };
+    const field = (label, control) => (
+        <label style={{ display: 'flex', flexDirection: 'column', gap: 4, fontSize: '0.85em', color: '#555' }}>
+            {label}
+            {control}
+        </label>
+    );
+    const booleanSelect = (key) => (
+        <select value={filterOverrides[key]} onChange={(e) => setRule(key, e.target.value)} style={inputStyle}>
+            <option value="">Default</option>
+            <option value="true">Include</option>
+            <option value="false">Exclude</option>
+        </select>
+    );
+
+    return (
+        <div style={{ marginBottom: 20, padding: 12, border: '1px solid #eee', borderRadius: 8, backgroundColor: '#fff' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                <input 
+                    type="checkbox" 
+                    id="filter-toggle"
+                    checked={showFilteredRepos}
+                    onChange={() => setShowFilteredRepos(!showFilteredRepos)}
+                   
+                    style={{ transform: 'scale(1.2)' }}
+                />
+                <label htmlFor="filter-toggle" style={{ fontWeight: 500, color: '#555', flex: 1 }}>
+                    Filter Low-Value Repos (Forks, Templates, Low Quality)
+                </label>
+                <button onClick={() => setExpanded(!expanded)} style={{ padding: '4px 10px', cursor: 'pointer', backgroundColor: '#f4f4f4', border: '1px solid #ccc', borderRadius: 4 }}>
+                    {expanded ? 'Hide rules' : 'Customize rules'}
+                </button>
             </div>
 
+            {expanded && (
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 12, marginTop: 12 }}>
+                    {field('Min size (KB)', <input type="number" min="0" placeholder="Default" value={filterOverrides.minSize} onChange={(e) => setRule('minSize', e.target.value)} style={inputStyle} />)}
+                    {field('Min stars', <input type="number" min="0" placeholder="Default" value={filterOverrides.minStars} onChange={(e) => setRule('minStars', e.target.value)} style={inputStyle} />)}
+                    {field('Min quality (0-100)', <input type="number" min="0" max="100" placeholder="Default" value={filterOverrides.minQuality} onChange={(e) => setRule('minQuality', e.target.value)} style={inputStyle} />)}
+                    {field('Forks', booleanSelect('includeForks'))}
+                    {field('Archived repos', booleanSelect('includeArchived'))}
+                    {field('Pushed since', <input type="date" value={filterOverrides.pushedSince} onChange={(e) => setRule('pushedSince', e.target.value)} style={inputStyle} />)}
+                    {field('Exclude keywords (comma-separated)', <input placeholder="Default" value={filterOverrides.exclude} onChange={(e) => setRule('exclude', e.target.value)} style={inputStyle} />)}
+                    {field('Require keywords', <input placeholder="Any" value={filterOverrides.include} onChange={(e) => setRule('include', e.target.value)} style={inputStyle} />)}
+                    {field('Topic allowlist', <input placeholder="Any" value={filterOverrides.topics} onChange={(e) => setRule('topics', e.target.value)} style={inputStyle} />)}
+                    <div style={{ gridColumn: '1 / -1', textAlign: 'right' }}>
+                        <button onClick={() => setFilterOverrides(DEFAULT_FILTER_OVERRIDES)} style={{ padding: '4px 10px', cursor: 'pointer', backgroundColor: '#f4f4f4', border: '1px solid #ccc', borderRadius: 4 }}>
+                            Reset to defaults
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {activeRules && (
+                <p style={{ margin: '10px 0 0 0', fontSize: '0.8em', color: '#777' }}>Active rules: {describeFilterRules(activeRules)}</p>
+            )}
+        </div>
+    );
+}
+
+// Colors and labels for role-match skill statuses
+const SKILL_STATUS_STYLES = {
+    matched: { label: 'Matched', color: '#2e7d32', background: '#e8f4ea' },
+    partial: { label: 'Partially evidenced', color: '#b36b00', background: '#fff8e5' },
+    missing: { label: 'Missing', color: '#c00', background: '#ffe5e5' },
+};
+
+/**
+ * Renders the "Match against role" panel: paste a job description and see which of its technologies
+ * the profile evidences, with the repositories behind each one.
+ */
+function RoleMatchPanel({ username, analysisQuery }) {
+    const [description, setDescription] = useState('');
+    const [match, setMatch] = useState(null);
+    const [matching, setMatching] = useState(false);
+
+    const runMatch = async () => {
+        if (!description.trim()) return;
+        setMatching(true);
+        try {
+            const res = await axios.post(apiUrl(`/api/match/${username}?${analysisQuery}`), { description });
+            setMatch(res.data);
+        } catch (err) {
+            setMatch({ error: err.response?.data?.error || err.message });
+        }
+        setMatching(false);
+    };
+
+    return (
+        <div style={{ marginTop: 20, border: '1px solid #eee', padding: 20, borderRadius: 8, backgroundColor: '#fff' }}>
+            <h3 style={{ margin: '0 0 10px 0' }}>Match against role</h3>
+            <textarea
+                placeholder="Paste a job description. Technologies under a &quot;Nice to have&quot; heading count as optional."
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                rows={6}
+                style={{ width: '100%', boxSizing: 'border-box', padding: 8, border: '1px solid #ccc', borderRadius: 4, fontFamily: 'inherit' }}
+            />
+            <button onClick={runMatch} disabled={matching || !description.trim()} style={{ marginTop: 8, padding: '8px 12px', cursor: 'pointer', backgroundColor: '#007acc', color: 'white', border: 'none', borderRadius: 4 }}>
+                {matching ? 'Matching...' : 'Match'}
+            </button>
+
+            {match?.error && <p style={{ color: 'red' }}>Error: {match.error}</p>}
+            {match && !match.error && (
+                <div style={{ marginTop: 15 }}>
+                    <p style={{ fontSize: '1.4em', fontWeight: 'bold', margin: '0 0 10px 0' }}>Role fit: {match.fitScore} / 100</p>
+                    <ul style={{ listStyleType: 'none', padding: 0, margin: 0 }}>
+                        {match.skills.map((skill) => {
+                            const style = SKILL_STATUS_STYLES[skill.status];
+                            return (
+                                <li key={skill.key} style={{ marginBottom: 8, padding: 10, borderLeft: `4px solid ${style.color}`, backgroundColor: style.background, borderRadius: 4, fontSize: '0.9em' }}>
+                                    <strong>{skill.label}</strong>
+                                    <span style={{ marginLeft: 8, color: style.color }}>{style.label}</span>
+                                    <span style={{ marginLeft: 8, color: '#777' }}>{skill.importance === 'required' ? 'required' : 'nice to have'}</span>
+                                    {skill.languageShare > 0 && <span style={{ float: 'right', color: '#555' }}>{skill.languageShare}% of code</span>}
+                                    {skill.repos.length > 0 && (
+                                        <div style={{ marginTop: 4, color: '#555' }}>
+                                            Evidence:{' '}
+                                            {skill.repos.map((repo, index) => (
+                                                <span key={repo.name}>
+                                                    {index > 0 && ', '}
+                                                    <a href={repo.html_url} target="_blank" rel="noreferrer" style={{ color: '#007acc' }}>{repo.name}</a> ({repo.reasons.join(', ')})
+                                                </span>
+                                            ))}
+                                            {skill.evidencingRepos > skill.repos.length && ` and ${skill.evidencingRepos - skill.repos.length} more`}
+                                        </div>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                    {match.unrecognized.length > 0 && (
+                        <p style={{ fontSize: '0.8em', color: '#777' }}>Not recognized: {match.unrecognized.join(', ')}</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Renders the download button with its report format menu. Reports are rendered by the backend.
+ */
+function ReportMenu({ reportPath, analysisQuery }) {
+    const [open, setOpen] = useState(false);
+
+    return (
+        <div style={{ position: 'relative' }}>
+            <button 
+                onClick={() => setOpen(!open)} 
+                style={{ padding: '8px 12px', cursor: 'pointer', backgroundColor: '#3CB371', color: 'white', border: 'none', borderRadius: 4, transition: 'background-color 0.3s' }}
+            >
+                Download ▾
+            </button>
+            {open && (
+                <div style={{ position: 'absolute', right: 0, top: '100%', marginTop: 4, zIndex: 10, backgroundColor: '#fff', border: '1px solid #ddd', borderRadius: 4, boxShadow: '0 2px 8px rgba(0,0,0,0.1)', minWidth: 140 }}>
+                    {REPORT_FORMATS.map(({ format, label }) => (
+                        <a
+                            key={format}
+                            href={getReportUrl(reportPath, analysisQuery, format)}
+                            onClick={() => setOpen(false)}
+                            style={{ display: 'block', padding: '8px 12px', color: '#333', textDecoration: 'none' }}
+                        >
+                            {label}
+                        </a>
+                    ))}
+                </div>
+            )}
         </div>
     );
 }
@@ -209,14 +1191,22 @@ function AnalyzerPage({
     result, 
     loading, 
     analyze, 
-    handleDownloadPdf,
+    analysisQuery,
     showFilteredRepos,
     setShowFilteredRepos,
+    filterOverrides,
+    setFilterOverrides,
+    scoringPresets,
+    scoringPreset,
+    setScoringPreset,
+    clientOnly,
 }) {
     return (
         <div style={{ padding: 24, fontFamily: 'Inter, sans-serif', maxWidth: 900, margin: '0 auto' }}>
             <h2>Analyze a GitHub Profile</h2>
 
+            {clientOnly && <ClientModeNotice rateLimit={result?.clientOnly?.rateLimit} />}
+
             <div style={{ display: 'flex', gap: 8, marginBottom: 20 }}>
                 <input
                     placeholder="Enter GitHub username (e.g., torvalds)..."
@@ -230,35 +1220,46 @@ function AnalyzerPage({
                 <button onClick={analyze} disabled={loading} style={{ padding: '8px 12px', cursor: 'pointer', backgroundColor: '#007acc', color: 'white', border: 'none', borderRadius: 4, transition: 'background-color 0.3s' }}>
                     {loading ? 'Analyzing...' : 'Search'}
                 </button>
-                {result && (
-                    <button 
-                        onClick={handleDownloadPdf} 
-                        style={{ padding: '8px 12px', cursor: 'pointer', backgroundColor: '#3CB371', color: 'white', border: 'none', borderRadius: 4, transition: 'background-color 0.3s' }}
-                    >
-                        Download PDF
-                    </button>
+                {result && !result.error && !result.clientOnly && !result.stream && (
+                    <ReportMenu reportPath={`/api/report/${result.profile.login}`} analysisQuery={analysisQuery} />
                 )}
             </div>
             
-            {/* FILTER TOGGLE */}
-            <div style={{ marginBottom: 20, display: 'flex', alignItems: 'center', gap: 10 }}>
-                <input 
-                    type="checkbox" 
-                    id="filter-toggle"
-                    checked={showFilteredRepos}
-                    onChange={() => setShowFilteredRepos(!showFilteredRepos)}
-                    disabled={loading}
-                    style={{ transform: 'scale(1.2)' }}
-                />
-                <label htmlFor="filter-toggle" style={{ fontWeight: 500, color: '#555' }}>
-                    Filter Low-Value Repos (Forks, Boilerplate) - **Re-search to apply**
-                </label>
-            </div>
+            {/* FILTER RULES */}
+            <FilterPanel
+                showFilteredRepos={showFilteredRepos}
+                setShowFilteredRepos={setShowFilteredRepos}
+                filterOverrides={filterOverrides}
+                setFilterOverrides={setFilterOverrides}
+                activeRules={result?.filterRules}
+            />
+
+            {/* SCORING PRESET */}
+            {scoringPresets && (
+                <div style={{ marginBottom: 20, display: 'flex', alignItems: 'center', gap: 10 }}>
+                    <label htmlFor="preset-select" style={{ fontWeight: 500, color: '#555' }}>Scoring preset:</label>
+                    <select
+                        id="preset-select"
+                        value={scoringPreset || scoringPresets.defaultPreset}
+                        onChange={(e) => setScoringPreset(e.target.value)}
+                        disabled={loading}
+                        style={{ padding: 6, border: '1px solid #ccc', borderRadius: 4 }}
+                    >
+                        {scoringPresets.presets.map((preset) => (
+                            <option key={preset.name} value={preset.name}>{preset.label}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
 
-            {loading && <div style={{ textAlign: 'center', padding: 20 }}>Loading profile data...</div>}
+            {loading && !result?.stream && <div style={{ textAlign: 'center', padding: 20 }}>Loading profile data...</div>}
 
             {result && !result.error && <AnalysisCard result={result} showFilteredRepos={showFilteredRepos} />}
-            {result?.error && <div style={{ color: 'red', textAlign: 'center', padding: 20 }}>Error: {result.error}</div>}
+            {result && !result.error && !result.stream && !result.clientOnly && (
+                <RoleMatchPanel key={result.profile.login} username={result.profile.login} analysisQuery={analysisQuery} />
+            )}
+            {result?.error && result.resetAt && <RateLimitNotice resetAt={result.resetAt} clientOnly={clientOnly} />}
+            {result?.error && !result.resetAt && <div style={{ color: 'red', textAlign: 'center', padding: 20 }}>Error: {result.error}</div>}
         </div>
     );
 }
@@ -275,6 +1276,9 @@ const ComparisonResultCard = ({ title, result, showFilteredRepos }) => {
     if (result === null) {
         return <div style={{ padding: 20, border: '1px solid #eee', borderRadius: 8, backgroundColor: '#f4f4f4', textAlign: 'center' }}>No data for {title}</div>;
     }
+    if (result.error && result.resetAt) {
+        return <div style={{ flex: 1 }}><RateLimitNotice resetAt={result.resetAt} /></div>;
+    }
     if (result.error) {
         return <div style={{ padding: 20, border: '1px solid #f00', borderRadius: 8, backgroundColor: '#ffe5e5', color: 'red' }}>Error: {result.error}</div>;
     }
@@ -306,6 +1310,9 @@ const ComparisonResultCard = ({ title, result, showFilteredRepos }) => {
                 <br />
                 **Filtered Repos:** {result.repositories.length}
             </p>
+            {result.filterRules && (
+                <p style={{ fontSize: '0.75em', color: '#777', marginTop: -10, marginBottom: 15 }}>{describeFilterRules(result.filterRules)}</p>
+            )}
 
             {/* Language Chart */}
             {languageChartData && (
@@ -321,6 +1328,9 @@ const ComparisonResultCard = ({ title, result, showFilteredRepos }) => {
             {annualActivityChartData && (
                 <div>
                     <h5 style={{ margin: '0 0 10px 0', borderBottom: '1px dotted #ccc' }}>Annual Activity</h5>
+                    {result.activityPatterns && (
+                        <p style={{ fontSize: '0.75em', color: '#555', margin: '0 0 8px 0' }}>{describeActivityPatterns(result.activityPatterns)}</p>
+                    )}
                     <div style={{ height: 100 }}>
                         <Bar 
                             data={annualActivityChartData} 
@@ -340,102 +1350,518 @@ const ComparisonResultCard = ({ title, result, showFilteredRepos }) => {
 
 
 /**
- * Renders the Comparison page view.
+ * Renders the ranked comparison table with one column per scoring factor.
+ */
+function ComparisonTable({ comparison }) {
+    const cellStyle = { padding: '8px 10px', borderBottom: '1px solid #eee', textAlign: 'left' };
+
+    return (
+        <div style={{ overflowX: 'auto', marginBottom: 20 }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9em', backgroundColor: '#fff' }}>
+                <thead>
+                    <tr>
+                        <th style={cellStyle}>#</th>
+                        <th style={cellStyle}>Candidate</th>
+                        <th style={cellStyle}>Score</th>
+                        <th style={cellStyle} title="Score difference from the top-ranked candidate">Δ Leader</th>
+                        {comparison.factors.map((factor) => (
+                            <th key={factor.key} style={cellStyle} title={`Points out of ${factor.max}`}>{factor.label}</th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {comparison.candidates.map((candidate, index) => (
+                        <tr key={candidate.username}>
+                            <td style={cellStyle}>{candidate.rank}</td>
+                            <td style={{ ...cellStyle, color: CANDIDATE_COLORS[index % CANDIDATE_COLORS.length], fontWeight: 'bold' }}>@{candidate.profile.login}</td>
+                            <td style={{ ...cellStyle, fontWeight: 'bold' }}>{candidate.hireabilityScore}</td>
+                            <td style={{ ...cellStyle, color: candidate.deltas.hireabilityScore < 0 ? 'red' : '#555' }}>
+                                {candidate.deltas.hireabilityScore === 0 ? '—' : candidate.deltas.hireabilityScore}
+                            </td>
+                            {comparison.factors.map((factor) => (
+                                <td key={factor.key} style={cellStyle}>{candidate.factorPoints[factor.key] ?? 0} / {factor.max}</td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+/**
+ * Renders the Comparison page view: a dynamic candidate list, ranked table, radar chart and cards.
  */
 function ComparisonPage({ 
-    compareUsername1, 
-    setCompareUsername1, 
-    compareResult1, 
-    compareUsername2, 
-    setCompareUsername2, 
-    compareResult2, 
+    compareUsernames,
+    setCompareUsernames,
+    comparison,
     isComparing, 
     compareProfiles,
-    showFilteredRepos
+    showFilteredRepos,
+    analysisQuery
 }) {
+    const setCandidate = (index, value) => setCompareUsernames(compareUsernames.map((name, i) => (i === index ? value : name)));
+    const removeCandidate = (index) => setCompareUsernames(compareUsernames.filter((_, i) => i !== index));
+    const filledCount = compareUsernames.filter((name) => name.trim()).length;
+    const radarData = comparison?.candidates ? getComparisonRadarData(comparison) : null;
+
     return (
         <div style={{ padding: 24, fontFamily: 'Inter, sans-serif', maxWidth: 900, margin: '0 auto' }}>
             <h2>🧑‍💻 Profile Comparison Tool</h2>
 
-            <div style={{ display: 'flex', gap: 10, marginBottom: 20, alignItems: 'center' }}>
-                <input
-                    placeholder="User 1 GitHub username..."
-                    value={compareUsername1}
-                    onChange={(e) => setCompareUsername1(e.target.value)}
-                    style={{ padding: 8, flex: 1, border: '1px solid #ccc', borderRadius: 4 }}
-                    disabled={isComparing}
-                />
-                <span style={{ fontSize: '1.5em', fontWeight: 'bold', color: '#888' }}>vs.</span>
-                <input
-                    placeholder="User 2 GitHub username..."
-                    value={compareUsername2}
-                    onChange={(e) => setCompareUsername2(e.target.value)}
-                    style={{ padding: 8, flex: 1, border: '1px solid #ccc', borderRadius: 4 }}
-                    disabled={isComparing}
-                    onKeyPress={(e) => {
-                        if (e.key === 'Enter') compareProfiles();
-                    }}
-                />
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 10, marginBottom: 10 }}>
+                {compareUsernames.map((name, index) => (
+                    <div key={index} style={{ display: 'flex', gap: 6 }}>
+                        <input
+                            placeholder={`Candidate ${index + 1} GitHub username...`}
+                            value={name}
+                            onChange={(e) => setCandidate(index, e.target.value)}
+                            style={{ padding: 8, flex: 1, border: '1px solid #ccc', borderRadius: 4 }}
+                            disabled={isComparing}
+                            onKeyPress={(e) => {
+                                if (e.key === 'Enter') compareProfiles();
+                            }}
+                        />
+                        {compareUsernames.length > 2 && (
+                            <button onClick={() => removeCandidate(index)} disabled={isComparing} title="Remove candidate" style={{ padding: '4px 10px', cursor: 'pointer', backgroundColor: '#f4f4f4', border: '1px solid #ccc', borderRadius: 4 }}>
+                                ✕
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+            <div style={{ display: 'flex', gap: 10, marginBottom: 20 }}>
+                <button
+                    onClick={() => setCompareUsernames([...compareUsernames, ''])}
+                    disabled={isComparing || compareUsernames.length >= MAX_COMPARE_CANDIDATES}
+                    style={{ padding: '8px 12px', cursor: 'pointer', backgroundColor: '#f4f4f4', border: '1px solid #ccc', borderRadius: 4 }}
+                >
+                    + Add candidate
+                </button>
                 <button 
                     onClick={compareProfiles} 
-                    disabled={isComparing || !compareUsername1 || !compareUsername2} 
+                    disabled={isComparing || filledCount < 2} 
                     style={{ padding: '8px 12px', cursor: 'pointer', backgroundColor: '#007acc', color: 'white', border: 'none', borderRadius: 4, transition: 'background-color 0.3s' }}
                 >
-                    {isComparing ? 'Comparing...' : 'Compare'}
+                    {isComparing ? 'Comparing...' : `Compare ${filledCount}`}
                 </button>
             </div>
             
             <p style={{ fontSize: '0.9em', color: '#777', textAlign: 'center' }}>
-                Comparison uses the {showFilteredRepos ? '**Filtered**' : '**Unfiltered**'} repository mode.
+                Comparison uses the {showFilteredRepos ? '**Filtered**' : '**Unfiltered**'} repository mode
+                {comparison?.preset ? ` and the ${comparison.preset.label} scoring preset` : ''}.
             </p>
 
             {(isComparing) && <div style={{ textAlign: 'center', padding: 20 }}>Fetching and comparing profiles...</div>}
+
+            {!isComparing && comparison?.error && comparison.resetAt && <RateLimitNotice resetAt={comparison.resetAt} />}
+            {!isComparing && comparison?.error && !comparison.resetAt && <div style={{ color: 'red', textAlign: 'center', padding: 20 }}>Error: {comparison.error}</div>}
             
             {/* Results Display */}
-            {(!isComparing && (compareResult1 || compareResult2)) && (
-                <div style={{ display: 'flex', gap: 20, marginTop: 20 }}>
-                    <ComparisonResultCard title="User 1" result={compareResult1} showFilteredRepos={showFilteredRepos} />
-                    <ComparisonResultCard title="User 2" result={compareResult2} showFilteredRepos={showFilteredRepos} />
+            {!isComparing && comparison?.candidates && (
+                <div style={{ marginTop: 20 }}>
+                    {comparison.candidates.length > 0 && (
+                        <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: 10 }}>
+                            <ReportMenu reportPath={`/api/report?users=${encodeURIComponent(comparison.users.join(','))}`} analysisQuery={analysisQuery} />
+                        </div>
+                    )}
+                    {comparison.candidates.length > 0 && <ComparisonTable comparison={comparison} />}
+
+                    {radarData && comparison.candidates.length > 0 && (
+                        <div style={{ maxWidth: 500, margin: '0 auto 20px auto', padding: 15, backgroundColor: '#fff', border: '1px solid #ddd', borderRadius: 8 }}>
+                            <h4 style={{ margin: '0 0 10px 0', textAlign: 'center' }}>Score Factors & Language Share (%)</h4>
+                            <Radar data={radarData} options={{ scales: { r: { min: 0, max: 100, ticks: { stepSize: 25 } } } }} />
+                        </div>
+                    )}
+
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 20 }}>
+                        {comparison.candidates.map((candidate) => (
+                            <div key={candidate.username} style={{ flex: '1 1 260px', display: 'flex' }}>
+                                <ComparisonResultCard title={`#${candidate.rank}`} result={candidate.result} showFilteredRepos={showFilteredRepos} />
+                            </div>
+                        ))}
+                        {comparison.failed.map((entry) => (
+                            <div key={entry.username} style={{ flex: '1 1 260px' }}>
+                                <ComparisonResultCard title={entry.username} result={{ error: `@${entry.username}: ${entry.error.error}` }} showFilteredRepos={showFilteredRepos} />
+                            </div>
+                        ))}
+                    </div>
                 </div>
             )}
             
             {/* Initial Placeholder */}
-            {(!isComparing && !compareResult1 && !compareResult2) && (
+            {(!isComparing && !comparison) && (
                 <div style={{ marginTop: 30, padding: 40, border: '1px dashed #ccc', borderRadius: 8, backgroundColor: '#fafafa', textAlign: 'center' }}>
                     <p style={{ fontSize: '1.1em', color: '#555', margin: 0 }}>
-                        Enter two usernames above to start a side-by-side comparison of their scores, language skills, and activity!
+                        Enter two or more usernames above to rank candidates side by side by score, language skills, and activity!
+                    </p>
+                </div>
+            )}
+
+        </div>
+    );
+}
+
+
+// =========================================================
+// 3. BATCH PAGE COMPONENTS
+// =========================================================
+
+const BATCH_STATUS_COLORS = { queued: '#888', running: '#007acc', done: '#3CB371', error: 'red' };
+
+/**
+ * Renders the Batch page: a username list or CSV upload, live progress and a sortable results table.
+ * Clicking a finished row shows that profile's full analysis card.
+ */
+function BatchPage({ batchJob, batchError, batchRejected, startBatch, showFilteredRepos }) {
+    const [usernamesText, setUsernamesText] = useState('');
+    const [sortDirection, setSortDirection] = useState('desc');
+    const [selectedIndex, setSelectedIndex] = useState(null);
+    const isRunning = batchJob?.status === 'running';
+
+    const submitList = () => {
+        const usernames = usernamesText.split(/[\s,]+/).filter(Boolean);
+        if (usernames.length === 0) return alert('Enter at least one username.');
+        setSelectedIndex(null);
+        startBatch({ usernames }, 'application/json');
+    };
+
+    const submitCsv = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            setSelectedIndex(null);
+            startBatch(reader.result, 'text/csv');
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    const selected = selectedIndex !== null ? batchJob?.items[selectedIndex] : null;
+    const cellStyle = { padding: '8px 10px', borderBottom: '1px solid #eee', textAlign: 'left' };
+
+    return (
+        <div style={{ padding: 24, fontFamily: 'Inter, sans-serif', maxWidth: 900, margin: '0 auto' }}>
+            <h2>Batch Analysis</h2>
+            <p style={{ color: '#555' }}>
+                Paste usernames (one per line or comma-separated) or upload a CSV with a <code>username</code> column.
+                Profiles are analyzed with the current filter and scoring settings ({showFilteredRepos ? 'filtered' : 'unfiltered'} repositories).
+            </p>
+
+            <textarea
+                placeholder={'torvalds\ngaearon\nsindresorhus'}
+                value={usernamesText}
+                onChange={(e) => setUsernamesText(e.target.value)}
+                rows={5}
+                disabled={isRunning}
+                style={{ width: '100%', boxSizing: 'border-box', padding: 8, border: '1px solid #ccc', borderRadius: 4, fontFamily: 'inherit' }}
+            />
+            <div style={{ display: 'flex', gap: 10, alignItems: 'center', margin: '10px 0 20px 0' }}>
+                <button onClick={submitList} disabled={isRunning} style={{ padding: '8px 12px', cursor: 'pointer', backgroundColor: '#007acc', color: 'white', border: 'none', borderRadius: 4 }}>
+                    {isRunning ? 'Analyzing...' : 'Analyze all'}
+                </button>
+                <label style={{ color: '#555', fontSize: '0.9em' }}>
+                    or upload CSV: <input type="file" accept=".csv,text/csv,text/plain" onChange={submitCsv} disabled={isRunning} />
+                </label>
+            </div>
+
+            {batchError && <div style={{ color: 'red', textAlign: 'center', padding: 20 }}>Error: {batchError}</div>}
+            {batchRejected?.length > 0 && (
+                <p style={{ fontSize: '0.85em', color: '#b36b00' }}>Skipped invalid usernames: {batchRejected.join(', ')}</p>
+            )}
+
+            {batchJob && (
+                <div style={{ padding: 15, border: '1px solid #ddd', borderRadius: 8, backgroundColor: '#fff' }}>
+                    <p style={{ margin: '0 0 8px 0', fontWeight: 500 }}>
+                        {batchJob.completed} of {batchJob.total} profiles analyzed{batchJob.status === 'done' ? ' — done.' : '...'}
                     </p>
+                    <div style={{ height: 8, backgroundColor: '#eee', borderRadius: 4, overflow: 'hidden', marginBottom: 15 }}>
+                        <div style={{ width: `${batchJob.completed / batchJob.total * 100}%`, height: '100%', backgroundColor: '#3CB371', transition: 'width 0.3s' }} />
+                    </div>
+
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9em' }}>
+                        <thead>
+                            <tr>
+                                <th style={cellStyle}>Username</th>
+                                <th style={cellStyle}>Status</th>
+                                <th style={{ ...cellStyle, cursor: 'pointer' }} onClick={() => setSortDirection(sortDirection === 'desc' ? 'asc' : 'desc')}>
+                                    Score {sortDirection === 'desc' ? '▼' : '▲'}
+                                </th>
+                                <th style={cellStyle}>Followers</th>
+                                <th style={cellStyle}>Repos</th>
+                                <th style={cellStyle}>Top Language</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sortBatchItems(batchJob.items, sortDirection).map((item) => (
+                                <tr
+                                    key={item.username}
+                                    onClick={() => item.result && setSelectedIndex(item.index)}
+                                    style={{ cursor: item.result ? 'pointer' : 'default', backgroundColor: item.index === selectedIndex ? '#e8f4fc' : 'transparent' }}
+                                >
+                                    <td style={cellStyle}>@{item.username}</td>
+                                    <td style={{ ...cellStyle, color: BATCH_STATUS_COLORS[item.status] }} title={item.error?.error}>
+                                        {item.status === 'error' ? `Error: ${item.error?.error}` : item.status}
+                                    </td>
+                                    <td style={{ ...cellStyle, fontWeight: 'bold' }}>{item.result ? item.result.hireabilityScore : '—'}</td>
+                                    <td style={cellStyle}>{item.result ? item.result.profile.followers.toLocaleString() : '—'}</td>
+                                    <td style={cellStyle}>{item.result ? item.result.repositories.length : '—'}</td>
+                                    <td style={cellStyle}>{getTopLanguage(item.result) || '—'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {selected?.result && <AnalysisCard result={selected.result} showFilteredRepos={showFilteredRepos} />}
+        </div>
+    );
+}
+
+
+// =========================================================
+// 4. WATCHES PAGE COMPONENTS
+// =========================================================
+
+const THRESHOLD_FIELDS = [
+    { key: 'scoreDelta', label: 'Score change ≥' },
+    { key: 'newRepos', label: 'New repos ≥' },
+    { key: 'newLanguages', label: 'New languages ≥' },
+    { key: 'followerJump', label: 'Follower gain ≥' },
+];
+
+/**
+ * Summarizes the diff of a watch's last run.
+ * @param {object} diff - { scoreDelta, followerDelta, newRepos, newLanguages, triggered }.
+ * @returns {string} Short description.
+ */
+const describeWatchDiff = (diff) => {
+    const parts = [
+        `score ${diff.scoreDelta >= 0 ? '+' : ''}${diff.scoreDelta}`,
+        `followers ${diff.followerDelta >= 0 ? '+' : ''}${diff.followerDelta}`,
+    ];
+    if (diff.newRepos.length) parts.push(`new repos: ${diff.newRepos.join(', ')}`);
+    if (diff.newLanguages.length) parts.push(`new languages: ${diff.newLanguages.join(', ')}`);
+    return parts.join('; ');
+};
+
+/**
+ * Renders the Watches page: register profiles for scheduled re-analysis and view webhook deliveries.
+ * New watches use the current filter and scoring settings.
+ */
+function WatchesPage({ analysisQuery }) {
+    const [watchData, setWatchData] = useState(null);
+    const [deliveries, setDeliveries] = useState([]);
+    const [form, setForm] = useState({ username: '', intervalMinutes: 1440, webhookUrl: '', thresholds: {} });
+    const [error, setError] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+
+    const refresh = async () => {
+        try {
+            const [watchRes, deliveryRes] = await Promise.all([
+                axios.get(apiUrl('/api/watches')),
+                axios.get(apiUrl('/api/webhooks/deliveries')),
+            ]);
+            setWatchData(watchRes.data);
+            setDeliveries(deliveryRes.data.deliveries);
+            setError(null);
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        }
+    };
+
+    useEffect(() => {
+        refresh();
+    }, []);
+
+    const addWatch = async () => {
+        if (!form.username) return alert('Enter username');
+        try {
+            await axios.post(apiUrl('/api/watches'), { ...form, query: analysisQuery });
+            setForm({ ...form, username: '' });
+            refresh();
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        }
+    };
+
+    const runWatch = async (id) => {
+        setBusyId(id);
+        try {
+            await axios.post(apiUrl(`/api/watches/${id}/run`));
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        }
+        setBusyId(null);
+        refresh();
+    };
+
+    const removeWatch = async (id) => {
+        await axios.delete(apiUrl(`/api/watches/${id}`)).catch((err) => setError(err.message));
+        refresh();
+    };
+
+    const inputStyle = { padding: 6, border: '1px solid #ccc', borderRadius: 4, width: '100%', boxSizing: 'border-box' };
+    const cellStyle = { padding: '8px 10px', borderBottom: '1px solid #eee', textAlign: 'left', verticalAlign: 'top' };
+    const buttonStyle = { padding: '4px 10px', cursor: 'pointer', backgroundColor: '#f4f4f4', border: '1px solid #ccc', borderRadius: 4, marginRight: 6 };
+    const field = (label, control) => (
+        <label style={{ display: 'flex', flexDirection: 'column', gap: 4, fontSize: '0.85em', color: '#555' }}>
+            {label}
+            {control}
+        </label>
+    );
+
+    return (
+        <div style={{ padding: 24, fontFamily: 'Inter, sans-serif', maxWidth: 900, margin: '0 auto' }}>
+            <h2>Watched Profiles</h2>
+            <p style={{ color: '#555' }}>
+                Watched profiles are re-analyzed on a schedule. When a run changes more than the thresholds allow,
+                the backend POSTs the change to the webhook
+                {watchData?.defaultWebhookUrl ? ' (the server default is used when none is given).' : '.'}
+            </p>
+
+            <div style={{ padding: 12, border: '1px solid #eee', borderRadius: 8, backgroundColor: '#fff', marginBottom: 20 }}>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 12 }}>
+                    {field('GitHub username', <input value={form.username} onChange={(e) => setForm({ ...form, username: e.target.value })} style={inputStyle} />)}
+                    {field('Re-analyze every (minutes)', <input type="number" min="5" value={form.intervalMinutes} onChange={(e) => setForm({ ...form, intervalMinutes: e.target.value })} style={inputStyle} />)}
+                    {field('Webhook URL', <input placeholder={watchData?.defaultWebhookUrl ? 'Server default' : 'https://...'} value={form.webhookUrl} onChange={(e) => setForm({ ...form, webhookUrl: e.target.value })} style={inputStyle} />)}
+                    {THRESHOLD_FIELDS.map(({ key, label }) => (
+                        <React.Fragment key={key}>
+                            {field(label, (
+                                <input
+                                    type="number"
+                                    min="0"
+                                    placeholder={String(watchData?.defaultThresholds?.[key] ?? '')}
+                                    value={form.thresholds[key] ?? ''}
+                                    onChange={(e) => setForm({ ...form, thresholds: { ...form.thresholds, [key]: e.target.value } })}
+                                    style={inputStyle}
+                                />
+                            ))}
+                        </React.Fragment>
+                    ))}
+                </div>
+                <div style={{ marginTop: 12, textAlign: 'right' }}>
+                    <button onClick={addWatch} style={{ padding: '8px 12px', cursor: 'pointer', backgroundColor: '#007acc', color: 'white', border: 'none', borderRadius: 4 }}>
+                        Watch profile
+                    </button>
                 </div>
+            </div>
+
+            {error && <div style={{ color: 'red', textAlign: 'center', padding: 10 }}>Error: {error}</div>}
+
+            <h3 style={{ borderBottom: '1px solid #ccc', paddingBottom: 5 }}>Watches</h3>
+            {watchData?.watches.length ? (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9em', backgroundColor: '#fff' }}>
+                    <thead>
+                        <tr>
+                            <th style={cellStyle}>Username</th>
+                            <th style={cellStyle}>Every</th>
+                            <th style={cellStyle}>Last run</th>
+                            <th style={cellStyle}>Last change</th>
+                            <th style={cellStyle}></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {watchData.watches.map((watch) => (
+                            <tr key={watch.id}>
+                                <td style={cellStyle}>@{watch.username}</td>
+                                <td style={cellStyle}>{watch.intervalMinutes} min</td>
+                                <td style={cellStyle}>{watch.lastRunAt ? new Date(watch.lastRunAt).toLocaleString() : 'Pending'}</td>
+                                <td style={cellStyle}>
+                                    {watch.lastError && <span style={{ color: 'red' }}>Error: {watch.lastError}</span>}
+                                    {!watch.lastError && watch.lastDiff && (
+                                        <span style={{ color: watch.lastDiff.triggered.length ? '#b36b00' : '#555' }}>
+                                            {describeWatchDiff(watch.lastDiff)}
+                                            {watch.lastDiff.triggered.length > 0 && ` (notified: ${watch.lastDiff.triggered.join(', ')})`}
+                                        </span>
+                                    )}
+                                    {!watch.lastError && !watch.lastDiff && watch.lastSummary && <span style={{ color: '#777' }}>Baseline recorded (score {watch.lastSummary.hireabilityScore})</span>}
+                                </td>
+                                <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                                    <button onClick={() => runWatch(watch.id)} disabled={busyId === watch.id} style={buttonStyle}>{busyId === watch.id ? 'Running...' : 'Run now'}</button>
+                                    <button onClick={() => removeWatch(watch.id)} style={buttonStyle}>Remove</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ) : (
+                <p style={{ color: '#777' }}>No profiles are being watched.</p>
             )}
 
+            <h3 style={{ borderBottom: '1px solid #ccc', paddingBottom: 5, marginTop: 30, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <span>Webhook Deliveries</span>
+                <button onClick={refresh} style={{ ...buttonStyle, fontSize: '0.7em', marginRight: 0 }}>Refresh</button>
+            </h3>
+            {deliveries.length ? (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9em', backgroundColor: '#fff' }}>
+                    <thead>
+                        <tr>
+                            <th style={cellStyle}>Time</th>
+                            <th style={cellStyle}>Username</th>
+                            <th style={cellStyle}>Status</th>
+                            <th style={cellStyle}>Attempts</th>
+                            <th style={cellStyle}>Triggered by</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {deliveries.map((delivery) => (
+                            <tr key={delivery.id}>
+                                <td style={cellStyle}>{new Date(delivery.createdAt).toLocaleString()}</td>
+                                <td style={cellStyle}>@{delivery.username}</td>
+                                <td style={{ ...cellStyle, color: delivery.status === 'delivered' ? '#3CB371' : 'red' }}>{delivery.status}</td>
+                                <td style={cellStyle} title={delivery.url}>
+                                    {delivery.attempts.map((attempt) => attempt.statusCode || attempt.error).join(' → ')}
+                                </td>
+                                <td style={cellStyle}>{delivery.payload.diff?.triggered.join(', ')}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ) : (
+                <p style={{ color: '#777' }}>No webhook deliveries yet.</p>
+            )}
         </div>
     );
 }
 
 
 // =========================================================
-// 3. STUB PAGES
+// 5. STUB PAGES
 // =========================================================
 
-const AboutPage = () => (
+const AboutPage = ({ scoringPresets }) => (
     <div style={{ padding: 40, fontFamily: 'Inter, sans-serif', maxWidth: 900, margin: '0 auto' }}>
         <h2>About & Methodology</h2>
         <p>This tool analyzes a public GitHub profile using the GitHub API to provide actionable data for recruiting and self-assessment.</p>
         
         <h3 style={{ borderBottom: '1px solid #eee', paddingBottom: 5 }}>Hireability Score Calculation</h3>
-        <p>The **score (out of 100)** is a quick metric based on weighted factors:</p>
-        <ul style={{ listStyleType: 'disc', paddingLeft: 20 }}>
-            <li>**Followers:** Contributes to a maximum of 30 points (indicates community recognition).</li>
-            <li>**Public Repos:** Contributes to a maximum of 30 points (indicates contribution volume).</li>
-            <li>**Language Diversity:** Contributes to a maximum of 40 points (indicates versatility beyond primary language).</li>
-        </ul>
+        <p>The **score (out of 100)** is the sum of weighted factors, scaled to 100. Each scoring preset weighs the factors differently:</p>
+        {scoringPresets ? scoringPresets.presets.map((preset) => (
+            <div key={preset.name} style={{ marginBottom: 15 }}>
+                <h4 style={{ margin: '10px 0 5px 0' }}>
+                    {preset.label}{preset.name === scoringPresets.defaultPreset && ' (default)'}
+                </h4>
+                <p style={{ margin: 0, color: '#555' }}>{preset.description}</p>
+                <ul style={{ listStyleType: 'disc', paddingLeft: 20 }}>
+                    {preset.factors.map((factor) => (
+                        <li key={factor.key}>**{factor.label}:** up to {factor.max} points ({factor.rule}).</li>
+                    ))}
+                </ul>
+            </div>
+        )) : (
+            <p style={{ fontStyle: 'italic', color: '#888' }}>Scoring presets are loaded from the backend when it is running.</p>
+        )}
 
         <h3 style={{ borderBottom: '1px solid #eee', paddingBottom: 5 }}>The Repository Filter</h3>
         <p>By default, we filter out low-value repositories to focus on genuine code contributions:</p>
         <ul style={{ listStyleType: 'disc', paddingLeft: 20 }}>
             <li>**Forks:** Ignored, as they are copies of another project.</li>
-            <li>**Boilerplate/Small Projects:** Ignored if the repository size is less than 100 lines of code.</li>
             <li>**Template Repos:** Ignored if the description contains keywords like "template."</li>
+            <li>**Low-Quality Repos:** Ignored if their quality score falls below the server's threshold. The score rewards a README, a license, CI workflows, a test directory, topics, a push in the last 6 months and a size of at least 100 KB, and penalizes archived repositories.</li>
         </ul>
         <p style={{ fontStyle: 'italic', color: '#888' }}>You can toggle this filter on the Analyze page, which will affect the comparison tool as well.</p>
     </div>
@@ -448,7 +1874,7 @@ const ContactPage = () => (
             If you have questions, feedback, or suggestions for new features, we'd love to hear from you.
         </p>
         <div style={{ marginTop: 30 }}>
-            <a href="#" style={{ display: 'inline-block', padding: '10px 20px', backgroundColor: '#007acc', color: 'white', textDecoration: 'none', borderRadius: 4 }}>
+            <a href="#/contact" style={{ display: 'inline-block', padding: '10px 20px', backgroundColor: '#007acc', color: 'white', textDecoration: 'none', borderRadius: 4 }}>
                 Send Feedback (Mock Link)
             </a>
             <p style={{ marginTop: 20, color: '#888' }}>Version 1.3.0 (Comparison Tool Implemented)</p>
@@ -458,7 +1884,7 @@ const ContactPage = () => (
 
 
 // =========================================================
-// 4. MAIN APP COMPONENT (Handles Navigation and State)
+// 6. MAIN APP COMPONENT (Handles Navigation and State)
 // =========================================================
 
 function App() {
@@ -468,85 +1894,239 @@ function App() {
     const [loading, setLoading] = useState(false);
     
     // State for the Comparison Page (NEW)
-    const [compareUsername1, setCompareUsername1] = useState('');
-    const [compareResult1, setCompareResult1] = useState(null);
-    const [compareUsername2, setCompareUsername2] = useState('');
-    const [compareResult2, setCompareResult2] = useState(null);
+    const [compareUsernames, setCompareUsernames] = useState(['', '']);
+    const [comparison, setComparison] = useState(null);
     const [isComparing, setIsComparing] = useState(false);
 
-    // Global setting for filtering repos
+    // State for the Batch Page; the job snapshot is kept up to date from the progress WebSocket
+    const [batchJob, setBatchJob] = useState(null);
+    const [batchError, setBatchError] = useState(null);
+    const [batchRejected, setBatchRejected] = useState([]);
+    const batchSocketRef = useRef(null);
+
+    // Global setting for filtering repos, plus per-rule overrides
     const [showFilteredRepos, setShowFilteredRepos] = useState(true); 
-    // State for Page Navigation
-    const [page, setPage] = useState('analyze'); 
+    const [filterOverrides, setFilterOverrides] = useState(DEFAULT_FILTER_OVERRIDES);
+    // Scoring presets offered by the backend, and the selected one ('' = server default)
+    const [scoringPresets, setScoringPresets] = useState(null);
+    const [scoringPreset, setScoringPreset] = useState('');
+    // Browser-only analysis: configured, or switched on when the backend cannot be reached on load
+    const [clientOnly, setClientOnly] = useState(CLIENT_ONLY_MODE);
+    // State for Page Navigation, driven by the URL hash
+    const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+    const page = route.page;
+    // Key of the last route whose analysis or comparison was started, so returning to it does not re-run it
+    const handledRouteRef = useRef(null);
+
+    useEffect(() => {
+        if (CLIENT_ONLY_MODE) return;
+        axios.get(apiUrl('/api/scoring/presets'))
+            .then((res) => setScoringPresets(res.data))
+            .catch((err) => {
+                setScoringPresets(null);
+                // No response at all: the backend is down or not deployed with this site.
+                if (!err.response) setClientOnly(true);
+            });
+    }, []);
+
+    const analysisQuery = buildAnalysisQuery(showFilteredRepos, filterOverrides, scoringPreset);
+    // The last submitted search; filter or preset changes re-run it automatically.
+    const [analysisRequest, setAnalysisRequest] = useState(null);
+
+    // The last submitted comparison; { users, query, requestedAt }
+    const [comparisonRequest, setComparisonRequest] = useState(null);
 
     /**
-     * Handles the single-user analysis request.
+     * Navigates to a hash route. With `rerun`, navigating to the current route runs its analysis again.
      */
-    const analyze = async () => {
-        if (!username) return alert('Enter username');
-        setLoading(true);
-        setResult(null); 
-        try {
-            // Note: Connecting to the Node.js backend on localhost:5000
-            const res = await axios.get(`http://localhost:5000/api/analyze/${username}?filter=${showFilteredRepos}`); 
-            setResult(res.data);
-        } catch (err) {
-            setResult({ error: err.response?.data?.error || err.message || 'An unknown error occurred.' });
-        } finally {
-            setLoading(false);
+    const navigate = (hash, rerun = false) => {
+        if (window.location.hash === hash) {
+            if (!rerun) return;
+            handledRouteRef.current = null;
+            setRoute(parseRoute(hash));
+        } else {
+            window.location.hash = hash;
         }
     };
-    
+
+    useEffect(() => {
+        const onHashChange = () => setRoute(parseRoute(window.location.hash));
+        window.addEventListener('hashchange', onHashChange);
+        return () => window.removeEventListener('hashchange', onHashChange);
+    }, []);
+
+    // Deep links: /analyze/:username and /compare/:a/:b/... apply the settings in the query and run.
+    useEffect(() => {
+        const runsAnalysis = route.page === 'analyze' && route.usernames.length > 0;
+        const runsComparison = route.page === 'compare' && route.usernames.length >= 2;
+        if ((!runsAnalysis && !runsComparison) || handledRouteRef.current === route.key) return;
+        handledRouteRef.current = route.key;
+
+        const settings = parseRouteSettings(route.params);
+        setShowFilteredRepos(settings.showFilteredRepos);
+        setFilterOverrides(settings.filterOverrides);
+        setScoringPreset(settings.scoringPreset);
+
+        if (runsAnalysis) {
+            setUsername(route.usernames[0]);
+            setResult(null);
+            setAnalysisRequest({ username: route.usernames[0], requestedAt: Date.now() });
+        } else {
+            setCompareUsernames(route.usernames);
+            setComparisonRequest({
+                users: route.usernames,
+                query: buildAnalysisQuery(settings.showFilteredRepos, settings.filterOverrides, settings.scoringPreset),
+                requestedAt: Date.now(),
+            });
+        }
+    }, [route]);
+
     /**
-     * Handles the two-user comparison request.
+     * Handles the single-user analysis request.
      */
-    const compareProfiles = async () => {
-        if (!compareUsername1 || !compareUsername2) return alert('Enter both usernames to compare.');
-        
-        setIsComparing(true);
-        setCompareResult1(null);
-        setCompareResult2(null);
+    const analyze = () => {
+        if (!username) return alert('Enter username');
+        navigate(buildRoute('analyze', [username.trim()], analysisQuery), true);
+    };
+
+    // Keep the address bar in step with filter changes so the current view can be bookmarked.
+    useEffect(() => {
+        if (page !== 'analyze' || !analysisRequest) return;
+        const hash = buildRoute('analyze', [analysisRequest.username], analysisQuery);
+        if (window.location.hash !== hash) {
+            window.history.replaceState(null, '', hash);
+            handledRouteRef.current = parseRoute(hash).key;
+        }
+    }, [page, analysisRequest, analysisQuery]);
+
+    useEffect(() => {
+        if (!analysisRequest) return;
+        const controller = new AbortController();
+        setLoading(true);
 
-        // Function to fetch data for a single user
-        const fetchUserData = async (name) => {
+        const analyzeHere = async () => {
             try {
-                const res = await axios.get(`http://localhost:5000/api/analyze/${name}?filter=${showFilteredRepos}`);
-                return res.data;
+                const browserResult = await analyzeInBrowser(analysisRequest.username, analysisQuery);
+                if (controller.signal.aborted) return;
+                setResult(browserResult);
             } catch (err) {
-                return { error: err.response?.data?.error || err.message };
+                if (controller.signal.aborted) return;
+                setResult({
+                    error: err.message || 'An unknown error occurred.',
+                    resetAt: err instanceof ClientRateLimitError ? err.resetAt : undefined,
+                });
             }
+            setLoading(false);
         };
 
-        const [data1, data2] = await Promise.all([
-            fetchUserData(compareUsername1),
-            fetchUserData(compareUsername2)
-        ]);
-        
-        setCompareResult1(data1);
-        setCompareResult2(data2);
-        setIsComparing(false);
+        // Debounced so typing into the filter panel sends one request, not one per keystroke.
+        const timer = setTimeout(() => {
+            if (!clientOnly) {
+                // Streamed so each section renders as soon as it arrives; closing the stream cancels the
+                // analysis on the server when the user searches for someone else.
+                const source = new EventSource(apiUrl(`/api/analyze/${encodeURIComponent(analysisRequest.username)}/stream?${analysisQuery}`));
+                controller.signal.addEventListener('abort', () => source.close());
+                let partial = null;
+                const finish = (finalResult) => {
+                    source.close();
+                    setResult(finalResult);
+                    setLoading(false);
+                };
+
+                ANALYSIS_STAGES.forEach(({ stage }) => source.addEventListener(stage, (event) => {
+                    partial = applyAnalysisEvent(partial, stage, JSON.parse(event.data));
+                    setResult(partial);
+                }));
+                source.addEventListener('result', (event) => finish(JSON.parse(event.data)));
+                source.addEventListener('failed', (event) => {
+                    const { error, resetAt } = JSON.parse(event.data);
+                    finish({ error, resetAt });
+                });
+                // Only connection problems end up here; analysis failures arrive as `failed` events.
+                source.onerror = async () => {
+                    source.close();
+                    if (partial) return finish({ error: 'Lost connection to the analysis stream.' });
+                    // Nothing arrived yet. Only when the backend does not answer at all is this search run in
+                    // the browser instead; the next search tries the backend again.
+                    const reachable = await axios.get(apiUrl('/api/scoring/presets'), { signal: controller.signal })
+                        .then(() => true, (err) => Boolean(err.response));
+                    if (controller.signal.aborted) return;
+                    if (reachable) return finish({ error: 'Could not open the analysis stream.' });
+                    analyzeHere();
+                };
+                return;
+            }
+
+            analyzeHere();
+        }, 300);
+
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [analysisRequest, analysisQuery, clientOnly]);
+    
+    /**
+     * Handles the multi-candidate comparison request.
+     */
+    const compareProfiles = () => {
+        const users = compareUsernames.map((name) => name.trim()).filter(Boolean);
+        if (users.length < 2) return alert('Enter at least two usernames to compare.');
+        navigate(buildRoute('compare', users, analysisQuery), true);
     };
+
+    useEffect(() => {
+        if (!comparisonRequest || clientOnly) return;
+        const controller = new AbortController();
+        setIsComparing(true);
+        setComparison(null);
+
+        axios.get(apiUrl(`/api/compare?users=${encodeURIComponent(comparisonRequest.users.join(','))}&${comparisonRequest.query}`), { signal: controller.signal })
+            .then((res) => setComparison(res.data))
+            .catch((err) => {
+                if (axios.isCancel(err)) return;
+                setComparison({ error: err.response?.data?.error || err.message, resetAt: err.response?.data?.resetAt });
+            })
+            .finally(() => {
+                if (!controller.signal.aborted) setIsComparing(false);
+            });
+
+        return () => controller.abort();
+    }, [comparisonRequest, clientOnly]);
     
     /**
-     * Generates and downloads the analysis results as a PDF using html2pdf.js.
+     * Starts a batch job and follows its progress over WebSocket.
+     * @param {object|string} body - { usernames } or the raw CSV text.
+     * @param {string} contentType - 'application/json' or 'text/csv'.
      */
-    const handleDownloadPdf = () => {
-        const element = document.getElementById('analyzer-results'); 
-        
-        if (!element) return alert('No analysis results to download.');
-
-        const opt = {
-            margin:       0.5,
-            filename:     `${username}_GitHub_Analysis.pdf`,
-            image:        { type: 'jpeg', quality: 0.98 },
-            html2canvas:  { scale: 2, logging: true, dpi: 192, letterRendering: true },
-            jsPDF:        { unit: 'in', format: 'letter', orientation: 'portrait' }
-        };
+    const startBatch = async (body, contentType) => {
+        batchSocketRef.current?.close();
+        setBatchJob(null);
+        setBatchError(null);
+        setBatchRejected([]);
+
+        try {
+            const res = await axios.post(apiUrl(`/api/batch?${analysisQuery}`), body, { headers: { 'Content-Type': contentType } });
+            setBatchRejected(res.data.rejected);
 
-        // Note: html2pdf() is a global function provided by the imported library.
-        html2pdf().from(element).set(opt).save();
+            const socket = new WebSocket(getWebSocketUrl(res.data.websocket));
+            socket.onmessage = (event) => {
+                const message = JSON.parse(event.data);
+                if (message.type === 'snapshot' || message.type === 'done') setBatchJob(message.job);
+                else if (message.type === 'error') setBatchError(message.error);
+                else setBatchJob((job) => job && applyBatchMessage(job, message));
+            };
+            socket.onerror = () => setBatchError('Lost connection to the batch progress stream.');
+            batchSocketRef.current = socket;
+        } catch (err) {
+            setBatchError(err.response?.data?.error || err.message);
+            setBatchRejected(err.response?.data?.rejected || []);
+        }
     };
-    
+
+    // Close the progress stream when the app unmounts
+    useEffect(() => () => batchSocketRef.current?.close(), []);
+
     /**
      * Renders the correct content page based on the navigation state.
      */
@@ -559,24 +2139,41 @@ function App() {
                     result={result}
                     loading={loading}
                     analyze={analyze}
-                    handleDownloadPdf={handleDownloadPdf}
+                    analysisQuery={analysisQuery}
                     showFilteredRepos={showFilteredRepos}
                     setShowFilteredRepos={setShowFilteredRepos}
+                    filterOverrides={filterOverrides}
+                    setFilterOverrides={setFilterOverrides}
+                    scoringPresets={scoringPresets}
+                    scoringPreset={scoringPreset}
+                    setScoringPreset={setScoringPreset}
+                    clientOnly={clientOnly || Boolean(result?.clientOnly)}
                 />;
             case 'compare':
+                if (clientOnly) return <BackendRequiredNotice feature="Comparing candidates" />;
                 return <ComparisonPage 
-                    compareUsername1={compareUsername1}
-                    setCompareUsername1={setCompareUsername1}
-                    compareResult1={compareResult1}
-                    compareUsername2={compareUsername2}
-                    setCompareUsername2={setCompareUsername2}
-                    compareResult2={compareResult2}
+                    compareUsernames={compareUsernames}
+                    setCompareUsernames={setCompareUsernames}
+                    comparison={comparison}
                     isComparing={isComparing}
                     compareProfiles={compareProfiles}
                     showFilteredRepos={showFilteredRepos}
+                    analysisQuery={analysisQuery}
+                />;
+            case 'batch':
+                if (clientOnly) return <BackendRequiredNotice feature="Batch analysis" />;
+                return <BatchPage
+                    batchJob={batchJob}
+                    batchError={batchError}
+                    batchRejected={batchRejected}
+                    startBatch={startBatch}
+                    showFilteredRepos={showFilteredRepos}
                 />;
+            case 'watches':
+                if (clientOnly) return <BackendRequiredNotice feature="Watching profiles" />;
+                return <WatchesPage analysisQuery={analysisQuery} />;
             case 'about':
-                return <AboutPage />;
+                return <AboutPage scoringPresets={scoringPresets} />;
             case 'contact':
                 return <ContactPage />;
             default:
@@ -605,10 +2202,12 @@ function App() {
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', maxWidth: 900, margin: '0 auto' }}>
                     <h1 style={{ margin: 0, color: '#007acc', fontSize: '1.8em' }}>📊 GitHub Analyzer</h1>
                     <nav style={{ display: 'flex', gap: 10 }}>
-                        <button style={navButtonStyle('analyze')} onClick={() => setPage('analyze')}>Analyze</button>
-                        <button style={navButtonStyle('compare')} onClick={() => setPage('compare')}>Compare</button>
-                        <button style={navButtonStyle('about')} onClick={() => setPage('about')}>About</button>
-                        <button style={navButtonStyle('contact')} onClick={() => setPage('contact')}>Contact</button>
+                        <button style={navButtonStyle('analyze')} onClick={() => navigate(analysisRequest ? buildRoute('analyze', [analysisRequest.username], analysisQuery) : buildRoute('analyze'))}>Analyze</button>
+                        <button style={navButtonStyle('compare')} onClick={() => navigate(comparisonRequest ? buildRoute('compare', comparisonRequest.users, comparisonRequest.query) : buildRoute('compare'))}>Compare</button>
+                        <button style={navButtonStyle('batch')} onClick={() => navigate(buildRoute('batch'))}>Batch</button>
+                        <button style={navButtonStyle('watches')} onClick={() => navigate(buildRoute('watches'))}>Watches</button>
+                        <button style={navButtonStyle('about')} onClick={() => navigate(buildRoute('about'))}>About</button>
+                        <button style={navButtonStyle('contact')} onClick={() => navigate(buildRoute('contact'))}>Contact</button>
                     </nav>
                 </div>
             </header>
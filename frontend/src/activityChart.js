@@ -0,0 +1,32 @@
+// frontend/src/activityChart.js
+// Chart data for the Annual Commit Activity bar chart. The backend and the browser-only analyzer both
+// send 52 weekly commit counts, oldest week first, so the first bar is a year ago and the last this week.
+
+/**
+ * Prepares the data structure for the Annual Commit Activity Bar Chart.
+ * @param {number[]} annualActivity - Array of the user's commit counts for the last 52 weeks, oldest week first.
+ * @returns {object} Chart.js data object.
+ */
+const getAnnualActivityChartData = (annualActivity) => {
+    if (!annualActivity || annualActivity.length === 0) return null;
+
+    // Create labels for 52 weeks
+    const labels = Array.from({ length: annualActivity.length }, (_, i) => `Week ${i + 1}`);
+    labels[0] = 'Year Ago';
+    labels[labels.length - 1] = 'Current Week';
+
+    return {
+        labels: labels,
+        datasets: [
+            {
+                label: 'Commits',
+                data: annualActivity,
+                backgroundColor: 'rgba(75, 192, 192, 0.6)',
+                borderColor: 'rgba(75, 192, 192, 1)',
+                borderWidth: 1,
+            },
+        ],
+    };
+};
+
+export { getAnnualActivityChartData };
@@ -0,0 +1,17 @@
+import { getAnnualActivityChartData } from './activityChart';
+
+test('labels the first week as a year ago and the last as the current week', () => {
+  const weeks = Array.from({ length: 52 }, (_, i) => i);
+  const chart = getAnnualActivityChartData(weeks);
+
+  expect(chart.labels).toHaveLength(52);
+  expect(chart.labels[0]).toBe('Year Ago');
+  expect(chart.labels[1]).toBe('Week 2');
+  expect(chart.labels[51]).toBe('Current Week');
+  expect(chart.datasets[0].data).toBe(weeks);
+});
+
+test('returns no chart without activity data', () => {
+  expect(getAnnualActivityChartData(undefined)).toBeNull();
+  expect(getAnnualActivityChartData([])).toBeNull();
+});
@@ -0,0 +1,155 @@
+// frontend/src/clientAnalyzer.js
+// Browser-only analysis for builds without a reachable backend (e.g. the static GitHub Pages site).
+// Runs the backend pipeline against the public GitHub API without a token, using the same filter rules,
+// quality assessment, scoring and template review (../../shared, copied to src/shared at build time).
+// It has to live within the unauthenticated quota of 60 requests per hour:
+// - repository quality is assessed from repository metadata only (no file listings),
+// - exact language bytes are fetched for the top CLIENT_LANGUAGE_REPOS repositories; the rest are
+//   approximated from their primary language and size,
+// - commit activity comes from recent public push events.
+import axios from 'axios';
+import { applyFilterRules, parseFilterRules } from './shared/repoFilter';
+import { assessRepoQuality } from './shared/repoQuality';
+import { scoreProfile } from './shared/scoring';
+import scoringPresets from './shared/scoring-presets.json';
+import { templateReview } from './shared/templateReview';
+
+const GITHUB_API_URL = 'https://api.github.com';
+const CLIENT_LANGUAGE_REPOS = 10;
+const CLIENT_MAX_REPOS = 300;
+// The backend's default REPO_QUALITY_THRESHOLD
+const QUALITY_THRESHOLD = 40;
+const WEEKS_PER_YEAR = 52;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The backend's default preset, as shipped in shared/scoring-presets.json.
+const CLIENT_PRESET = { name: scoringPresets.defaultPreset, ...scoringPresets.presets[scoringPresets.defaultPreset] };
+
+/**
+ * Raised when the unauthenticated GitHub quota is exhausted. `resetAt` is an ISO timestamp.
+ */
+class ClientRateLimitError extends Error {
+    constructor(resetAt) {
+        super('GitHub API rate limit reached for this browser (60 requests per hour without a backend).');
+        this.name = 'ClientRateLimitError';
+        this.resetAt = resetAt;
+    }
+}
+
+// Last quota reported by GitHub for this browser.
+const rateLimit = { remaining: null, limit: null, resetAt: null };
+
+const getClientRateLimit = () => ({ ...rateLimit });
+
+const githubGet = async (pathOrUrl) => {
+    const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${GITHUB_API_URL}${pathOrUrl}`;
+    const res = await axios.get(url, { validateStatus: () => true, headers: { Accept: 'application/vnd.github+json' } });
+
+    if (res.headers['x-ratelimit-remaining'] !== undefined) {
+        rateLimit.remaining = Number(res.headers['x-ratelimit-remaining']);
+        rateLimit.limit = Number(res.headers['x-ratelimit-limit']);
+        rateLimit.resetAt = new Date(Number(res.headers['x-ratelimit-reset']) * 1000).toISOString();
+    }
+    if ((res.status === 403 || res.status === 429) && rateLimit.remaining === 0) {
+        throw new ClientRateLimitError(rateLimit.resetAt);
+    }
+    return res;
+};
+
+const getNextPageUrl = (linkHeader) => {
+    const match = /<([^>]+)>;\s*rel="next"/.exec(linkHeader || '');
+    return match ? match[1] : null;
+};
+
+// Weekly commits from public push events (index 0 = a year ago, 51 = current week).
+const buildActivityFromEvents = (events) => {
+    const weeks = new Array(WEEKS_PER_YEAR).fill(0);
+    const now = Date.now();
+    events.filter((event) => event.type === 'PushEvent').forEach((event) => {
+        const weeksAgo = Math.floor((now - Date.parse(event.created_at)) / WEEK_MS);
+        if (weeksAgo < 0 || weeksAgo >= WEEKS_PER_YEAR) return;
+        weeks[WEEKS_PER_YEAR - 1 - weeksAgo] += event.payload.distinct_size ?? event.payload.size ?? 1;
+    });
+    return weeks;
+};
+
+/**
+ * Analyzes a profile in the browser. Returns the same shape as the backend's /api/analyze, with a
+ * `clientOnly` section describing what was approximated.
+ * @param {string} username - GitHub login.
+ * @param {string} analysisQuery - Query string from buildAnalysisQuery (filter rules; presets are not supported).
+ * @returns {Promise<object>} Analysis result.
+ * @throws {ClientRateLimitError|Error}
+ */
+const analyzeInBrowser = async (username, analysisQuery) => {
+    const startedAt = Date.now();
+    let requests = 0;
+    const get = (path) => {
+        requests++;
+        return githubGet(path);
+    };
+
+    const profileRes = await get(`/users/${encodeURIComponent(username)}`);
+    if (profileRes.status === 404) throw new Error('User not found');
+    if (profileRes.status !== 200) throw new Error(`GitHub API error: ${profileRes.data?.message || profileRes.status}`);
+    const profile = profileRes.data;
+
+    const repos = [];
+    let nextUrl = `/users/${encodeURIComponent(username)}/repos?per_page=100`;
+    while (nextUrl && repos.length < CLIENT_MAX_REPOS) {
+        const res = await get(nextUrl);
+        if (res.status !== 200 || !Array.isArray(res.data)) break;
+        repos.push(...res.data);
+        nextUrl = getNextPageUrl(res.headers.link);
+    }
+
+    const assessed = repos
+        .map((repo) => ({ ...repo, quality: repo.fork ? null : assessRepoQuality(repo) }))
+        .sort((a, b) => (b.quality?.score ?? -1) - (a.quality?.score ?? -1) || b.stargazers_count - a.stargazers_count);
+    const { rules: filterRules, error } = parseFilterRules(Object.fromEntries(new URLSearchParams(analysisQuery)), QUALITY_THRESHOLD);
+    if (error) throw new Error(error);
+    const finalRepos = applyFilterRules(assessed, filterRules);
+
+    // Exact bytes for the top repositories, primary language x size for the rest.
+    const langTotals = {};
+    const exactRepos = finalRepos.slice(0, CLIENT_LANGUAGE_REPOS);
+    for (const repo of exactRepos) {
+        const res = await get(`/repos/${repo.full_name}/languages`);
+        if (res.status !== 200) continue;
+        Object.entries(res.data).forEach(([lang, bytes]) => {
+            langTotals[lang] = (langTotals[lang] || 0) + bytes;
+        });
+    }
+    finalRepos.slice(CLIENT_LANGUAGE_REPOS).forEach((repo) => {
+        if (repo.language) langTotals[repo.language] = (langTotals[repo.language] || 0) + repo.size * 1024;
+    });
+
+    const eventsRes = await get(`/users/${encodeURIComponent(username)}/events/public?per_page=100`);
+    const annualActivity = buildActivityFromEvents(Array.isArray(eventsRes.data) ? eventsRes.data : []);
+
+    const { score, breakdown } = scoreProfile({ profile, repos: finalRepos, langTotals, annualActivity }, CLIENT_PRESET);
+
+    return {
+        profile,
+        repositories: finalRepos,
+        totalRepos: Math.max(profile.public_repos, repos.length),
+        truncated: Boolean(nextUrl),
+        filterRules,
+        languagesByBytes: langTotals,
+        hireabilityScore: score,
+        scoreBreakdown: breakdown,
+        scoringPreset: { name: CLIENT_PRESET.name, label: CLIENT_PRESET.label },
+        aiReview: templateReview({ profile, repos: finalRepos, langTotals, hireabilityScore: score }),
+        aiReviewProvider: { name: 'template', model: null },
+        annualActivity,
+        annualActivitySource: 'events',
+        cachedAt: null,
+        fetchStats: { mode: 'browser', requests, durationMs: Date.now() - startedAt },
+        clientOnly: {
+            approximatedLanguageRepos: Math.max(0, finalRepos.length - exactRepos.length),
+            rateLimit: getClientRateLimit(),
+        },
+    };
+};
+
+export { analyzeInBrowser, ClientRateLimitError, getClientRateLimit };
@@ -0,0 +1,73 @@
+// frontend/src/forceLayout.js
+// Force-directed layout for the collaboration network graph (Fruchterman-Reingold): every pair of nodes
+// repels, linked nodes attract in proportion to the link weight, and a cooling step size lets the layout
+// settle. Small graphs only (the backend sends at most 21 nodes), so the O(n²) pass is cheap.
+
+const ITERATIONS = 300;
+// Pull of every node towards the center, which keeps unlinked nodes on screen
+const GRAVITY = 0.05;
+
+/**
+ * Lays out a graph in a width x height box.
+ * @param {string[]} nodeIds - Node ids; the first one is pinned to the center.
+ * @param {{ source: string, target: string, weight: number }[]} links - Links between node ids.
+ * @param {{ width: number, height: number, padding?: number }} size - Drawing area.
+ * @returns {Map<string, { x: number, y: number }>} Position of each node.
+ */
+function layoutForceGraph(nodeIds, links, { width, height, padding = 30 }) {
+    const center = { x: width / 2, y: height / 2 };
+    const k = Math.sqrt((width * height) / Math.max(1, nodeIds.length)) * 0.6;
+    // Start on a circle, in input order, so the same network always gets the same picture
+    const nodes = nodeIds.map((id, i) => {
+        const angle = (2 * Math.PI * i) / Math.max(1, nodeIds.length - 1);
+        const radius = i === 0 ? 0 : Math.min(width, height) / 3;
+        return { id, x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) };
+    });
+    const byId = new Map(nodes.map((node) => [node.id, node]));
+    const edges = links.filter((link) => byId.has(link.source) && byId.has(link.target));
+
+    let temperature = width / 10;
+    for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+        const shifts = nodes.map(() => ({ x: 0, y: 0 }));
+
+        nodes.forEach((a, i) => nodes.forEach((b, j) => {
+            if (i === j) return;
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.max(0.01, Math.hypot(dx, dy));
+            const force = (k * k) / distance;
+            shifts[i].x += (dx / distance) * force;
+            shifts[i].y += (dy / distance) * force;
+        }));
+
+        for (const { source, target, weight } of edges) {
+            const a = byId.get(source);
+            const b = byId.get(target);
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.max(0.01, Math.hypot(dx, dy));
+            const force = ((distance * distance) / k) * Math.sqrt(weight);
+            const i = nodes.indexOf(a);
+            const j = nodes.indexOf(b);
+            shifts[i].x -= (dx / distance) * force;
+            shifts[i].y -= (dy / distance) * force;
+            shifts[j].x += (dx / distance) * force;
+            shifts[j].y += (dy / distance) * force;
+        }
+
+        for (const [i, node] of nodes.entries()) {
+            if (i === 0) continue;
+            shifts[i].x += (center.x - node.x) * GRAVITY * k / 10;
+            shifts[i].y += (center.y - node.y) * GRAVITY * k / 10;
+            const length = Math.max(0.01, Math.hypot(shifts[i].x, shifts[i].y));
+            const step = Math.min(length, temperature);
+            node.x = Math.min(width - padding, Math.max(padding, node.x + (shifts[i].x / length) * step));
+            node.y = Math.min(height - padding, Math.max(padding, node.y + (shifts[i].y / length) * step));
+        }
+        temperature *= 0.98;
+    }
+
+    return new Map(nodes.map((node) => [node.id, { x: node.x, y: node.y }]));
+}
+
+export { layoutForceGraph };
@@ -0,0 +1,27 @@
+import { layoutForceGraph } from './forceLayout';
+
+const SIZE = { width: 600, height: 360, padding: 30 };
+
+test('pins the first node to the center and keeps every node inside the box', () => {
+  const ids = ['user', ...Array.from({ length: 20 }, (_, i) => `c${i}`)];
+  const positions = layoutForceGraph(ids, ids.slice(1).map((id) => ({ source: 'user', target: id, weight: 1 })), SIZE);
+
+  expect(positions.get('user')).toEqual({ x: 300, y: 180 });
+  for (const { x, y } of positions.values()) {
+    expect(x).toBeGreaterThanOrEqual(30);
+    expect(x).toBeLessThanOrEqual(570);
+    expect(y).toBeGreaterThanOrEqual(30);
+    expect(y).toBeLessThanOrEqual(330);
+  }
+});
+
+test('is deterministic and ignores links to unknown nodes', () => {
+  const links = [{ source: 'a', target: 'b', weight: 2 }, { source: 'a', target: 'ghost', weight: 1 }];
+  expect(layoutForceGraph(['a', 'b', 'c'], links, SIZE)).toEqual(layoutForceGraph(['a', 'b', 'c'], links, SIZE));
+});
+
+test('draws strongly linked nodes closer than unlinked ones', () => {
+  const positions = layoutForceGraph(['a', 'b', 'c'], [{ source: 'a', target: 'b', weight: 3 }], SIZE);
+  const distance = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+  expect(distance(positions.get('a'), positions.get('b'))).toBeLessThan(distance(positions.get('a'), positions.get('c')));
+});
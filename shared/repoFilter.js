@@ -0,0 +1,97 @@
+// --- Repository filter rules ---
+// `?filter=true` applies the default low-value rules; individual query parameters override single
+// rules (on top of the defaults when filter=true, otherwise on top of an include-everything base).
+// The resolved rule set is echoed in the response so reports state exactly which repos were counted.
+// Shared by the backend and the browser-only analyzer, which each supply their quality threshold.
+
+const OPEN_RULES = {
+    enabled: false,
+    includeForks: true,
+    includeArchived: true,
+    minSizeKb: 0,
+    minStars: 0,
+    minQuality: 0,
+    excludeKeywords: [],
+    includeKeywords: [],
+    topics: [],
+    pushedSince: null,
+};
+
+// Forks and templates are never original work; everything else must clear the quality threshold.
+function defaultRules(qualityThreshold) {
+    return {
+        ...OPEN_RULES,
+        enabled: true,
+        includeForks: false,
+        minQuality: qualityThreshold,
+        excludeKeywords: ['template'],
+    };
+}
+
+const parseList = (value) => String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Resolves the filter rules from the analyze query string.
+ * @param {object} query - Query parameters by name, e.g. Express `req.query`.
+ * @param {number} qualityThreshold - `minQuality` of the default rules.
+ * @returns {{ rules: object } | { error: string }} Rules, or a message for a 400 response.
+ */
+function parseFilterRules(query, qualityThreshold) {
+    const rules = query.filter === 'true' ? defaultRules(qualityThreshold) : { ...OPEN_RULES };
+
+    for (const [param, key] of [['minSize', 'minSizeKb'], ['minStars', 'minStars'], ['minQuality', 'minQuality']]) {
+        if (query[param] === undefined || query[param] === '') continue;
+        const value = Number(query[param]);
+        if (!Number.isFinite(value) || value < 0) return { error: `Invalid ${param}: expected a non-negative number.` };
+        rules[key] = value;
+    }
+
+    for (const [param, key] of [['includeForks', 'includeForks'], ['includeArchived', 'includeArchived']]) {
+        if (query[param] === undefined || query[param] === '') continue;
+        if (query[param] !== 'true' && query[param] !== 'false') return { error: `Invalid ${param}: expected true or false.` };
+        rules[key] = query[param] === 'true';
+    }
+
+    for (const [param, key] of [['exclude', 'excludeKeywords'], ['include', 'includeKeywords'], ['topics', 'topics']]) {
+        if (query[param] !== undefined) rules[key] = parseList(query[param]);
+    }
+
+    if (query.pushedSince) {
+        const since = new Date(query.pushedSince);
+        if (Number.isNaN(since.getTime())) return { error: 'Invalid pushedSince: expected a date such as 2024-01-31.' };
+        rules.pushedSince = since.toISOString().slice(0, 10);
+    }
+
+    rules.enabled = JSON.stringify({ ...rules, enabled: false }) !== JSON.stringify(OPEN_RULES);
+    return { rules };
+}
+
+/**
+ * Keeps the repositories that satisfy every rule.
+ * @param {object[]} repos - Repositories with their `quality` assessment.
+ * @param {object} rules - Rules from parseFilterRules().
+ * @returns {object[]} Matching repositories.
+ */
+function applyFilterRules(repos, rules) {
+    if (!rules.enabled) return repos;
+    const pushedSince = rules.pushedSince ? new Date(rules.pushedSince).getTime() : null;
+
+    return repos.filter(repo => {
+        const text = `${repo.name} ${repo.description || ''}`.toLowerCase();
+        const topics = (repo.topics || []).map(topic => topic.toLowerCase());
+
+        if (repo.fork && !rules.includeForks) return false;
+        if (repo.archived && !rules.includeArchived) return false;
+        if (repo.size < rules.minSizeKb) return false;
+        if (repo.stargazers_count < rules.minStars) return false;
+        // Forks and repositories the backend left `unassessed` have no score, so the quality rule skips them.
+        if (!repo.fork && !repo.unassessed && (repo.quality?.score ?? 0) < rules.minQuality) return false;
+        if (rules.excludeKeywords.some(keyword => text.includes(keyword))) return false;
+        if (rules.includeKeywords.length && !rules.includeKeywords.some(keyword => text.includes(keyword))) return false;
+        if (rules.topics.length && !rules.topics.some(topic => topics.includes(topic))) return false;
+        if (pushedSince !== null && new Date(repo.pushed_at).getTime() < pushedSince) return false;
+        return true;
+    });
+}
+
+export { applyFilterRules, parseFilterRules };
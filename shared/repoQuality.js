@@ -0,0 +1,61 @@
+// --- Repository quality assessment ---
+// Scores each repository 0-100 from signals that separate maintained projects from throwaway ones.
+// The low-value filter keeps repositories at or above the quality threshold.
+// Without file listings only the metadata signals can be seen; they are then scored as a share of the
+// points they can earn, so the 0-100 scale and the threshold still apply. Shared by the backend and the
+// browser-only analyzer, which never reads file listings.
+
+const RECENT_PUSH_DAYS = 180;
+// GitHub reports repository size in KB.
+const MIN_SIZE_KB = 100;
+
+const SIGNALS = [
+    { key: 'readme', points: 20 },
+    { key: 'license', points: 15 },
+    { key: 'ci', points: 15 },
+    { key: 'tests', points: 15 },
+    { key: 'recent', points: 15 },
+    { key: 'topics', points: 10 },
+    { key: 'substantial', points: 10 },
+];
+// Signals read from the repository object itself, all a metadata-only assessment has
+const METADATA_SIGNALS = ['license', 'recent', 'topics', 'substantial'];
+const ARCHIVED_PENALTY = 20;
+
+const CI_ROOT_FILES = ['.travis.yml', '.circleci', '.gitlab-ci.yml', 'Jenkinsfile', 'azure-pipelines.yml', '.drone.yml', 'bitbucket-pipelines.yml'];
+const TEST_DIR_PATTERN = /^(tests?|__tests__|specs?|e2e|cypress)$/i;
+
+/**
+ * Assesses one repository.
+ * @param {object} repo - REST repository object.
+ * @param {{ root: string[], workflows: string[] } | null} [files] - Root and workflow file names, or null
+ * to assess the repository from its metadata alone.
+ * @returns {{ score: number, signals: string[], basis: 'files' | 'metadata' }} Score, the keys of the
+ * signals found (`archived` is included when it applies) and what the assessment saw.
+ */
+function assessRepoQuality(repo, files = null) {
+    const root = files?.root || [];
+    const workflows = files?.workflows || [];
+    const found = {
+        readme: root.some(name => /^readme(\.|$)/i.test(name)),
+        license: Boolean(repo.license) || root.some(name => /^(license|licence|copying)(\.|$)/i.test(name)),
+        ci: workflows.some(name => /\.ya?ml$/.test(name)) || root.some(name => CI_ROOT_FILES.includes(name)),
+        tests: root.some(name => TEST_DIR_PATTERN.test(name)),
+        recent: Date.now() - new Date(repo.pushed_at).getTime() < RECENT_PUSH_DAYS * 24 * 60 * 60 * 1000,
+        topics: (repo.topics || []).length > 0,
+        substantial: repo.size >= MIN_SIZE_KB,
+    };
+
+    const scored = files ? SIGNALS : SIGNALS.filter(signal => METADATA_SIGNALS.includes(signal.key));
+    const possible = scored.reduce((sum, signal) => sum + signal.points, 0);
+    const signals = scored.filter(signal => found[signal.key]).map(signal => signal.key);
+    let score = Math.round(scored.reduce((sum, signal) => sum + (found[signal.key] ? signal.points : 0), 0) / possible * 100);
+    if (repo.archived) {
+        signals.push('archived');
+        score -= ARCHIVED_PENALTY;
+    }
+
+    return { score: Math.max(0, score), signals, basis: files ? 'files' : 'metadata' };
+}
+
+export { assessRepoQuality };
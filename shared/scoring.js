@@ -0,0 +1,106 @@
+// --- Hireability scoring model ---
+// The factors a preset can use and how a preset turns their measured values into a score. Shared by the
+// backend and the browser-only analyzer; presets themselves live in scoring-presets.json. Each preset lists
+// the factors it uses with their cap (`max`) and a linear rule: `pointsPerUnit` points for every `unit`
+// of the measured value above `offset`. The score is the sum of points scaled to 0-100.
+
+const RECENT_WEEKS = 52;
+
+/** Measured inputs for every supported factor. */
+const FACTORS = {
+    followers: {
+        label: 'Followers',
+        measure: ({ profile }) => profile.followers,
+        describe: (value) => `${value.toLocaleString()} followers`,
+        unitLabel: (n) => n === 1 ? 'follower' : `${n} followers`,
+    },
+    repositories: {
+        label: 'Public Repos',
+        measure: ({ repos }) => repos.length,
+        describe: (value) => `${value} analyzed repositories`,
+        unitLabel: (n) => n === 1 ? 'repository' : `${n} repositories`,
+    },
+    languages: {
+        label: 'Language Diversity',
+        measure: ({ langTotals }) => Object.keys(langTotals).length,
+        describe: (value) => `${value} languages used`,
+        unitLabel: (n) => n === 1 ? 'language' : `${n} languages`,
+    },
+    stars: {
+        label: 'Stars Received',
+        measure: ({ repos }) => repos.reduce((sum, repo) => sum + (repo.stargazers_count || 0), 0),
+        describe: (value) => `${value.toLocaleString()} stars across analyzed repositories`,
+        unitLabel: (n) => n === 1 ? 'star' : `${n} stars`,
+    },
+    recentActivity: {
+        label: 'Recent Activity',
+        measure: ({ annualActivity }) => (annualActivity || []).slice(-RECENT_WEEKS).filter(commits => commits > 0).length,
+        describe: (value) => `commits in ${value} of the last ${RECENT_WEEKS} weeks`,
+        unitLabel: (n) => n === 1 ? 'active week' : `${n} active weeks`,
+    },
+    repoQuality: {
+        label: 'Repository Quality',
+        // Average quality assessment (0-100) of the analyzed non-fork repositories.
+        measure: ({ repos }) => {
+            const assessed = repos.filter(repo => repo.quality);
+            if (assessed.length === 0) return 0;
+            return Math.round(assessed.reduce((sum, repo) => sum + repo.quality.score, 0) / assessed.length);
+        },
+        describe: (value) => `average repository quality of ${value}/100`,
+        unitLabel: (n) => n === 1 ? 'quality point' : `${n} quality points`,
+    },
+    upstreamContributions: {
+        label: 'Upstream Contributions',
+        // Merged pull requests to repositories the user does not own (0 when the search was unavailable).
+        measure: ({ contributions }) => contributions?.pullRequests?.merged ?? 0,
+        describe: (value) => `${value} merged pull requests to other projects`,
+        unitLabel: (n) => n === 1 ? 'merged pull request' : `${n} merged pull requests`,
+    },
+    targetLanguages: {
+        label: 'Target Language Share',
+        measure: ({ langTotals }, params) => {
+            const totalBytes = Object.values(langTotals).reduce((sum, bytes) => sum + bytes, 0);
+            if (totalBytes === 0) return 0;
+            const targetBytes = (params.languages || []).reduce((sum, lang) => sum + (langTotals[lang] || 0), 0);
+            return Math.round(targetBytes / totalBytes * 100);
+        },
+        describe: (value, params) => `${value}% of code in ${(params.languages || []).join(', ')}`,
+        unitLabel: (n) => `${n}% of code in target languages`,
+    },
+};
+
+function describeRule(factor, { unit = 1, pointsPerUnit = 1, offset = 0, max }) {
+    return `${pointsPerUnit} pt per ${factor.unitLabel(unit)}${offset ? ` beyond the first ${offset}` : ''}, up to ${max}`;
+}
+
+/**
+ * Scores a profile against a preset and explains every factor.
+ * @param {object} inputs - { profile, repos, langTotals, annualActivity, contributions }
+ * @param {object} preset - Preset from scoring-presets.json (the backend's getPreset() adds its name).
+ * @returns {{ score: number, breakdown: Array<{ key, label, value, points, max, reason }> }}
+ */
+function scoreProfile(inputs, preset) {
+    const breakdown = Object.entries(preset.factors).map(([key, params]) => {
+        const factor = FACTORS[key];
+        const { unit = 1, pointsPerUnit = 1, offset = 0, max } = params;
+        const value = factor.measure(inputs, params);
+        const points = Math.min(max, Math.max(0, Math.floor(Math.floor((value - offset) / unit) * pointsPerUnit)));
+
+        return {
+            key,
+            label: factor.label,
+            value,
+            points,
+            max,
+            reason: `${factor.describe(value, params)} (${describeRule(factor, params)})`,
+        };
+    });
+
+    const earned = breakdown.reduce((sum, factor) => sum + factor.points, 0);
+    const possible = breakdown.reduce((sum, factor) => sum + factor.max, 0);
+    const score = possible === 0 ? 0 : Math.round(earned / possible * 100);
+
+    return { score: Math.min(100, Math.max(0, score)), breakdown };
+}
+
+export { describeRule, FACTORS, scoreProfile };
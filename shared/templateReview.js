@@ -0,0 +1,26 @@
+// --- Template review ---
+// The deterministic review used when no LLM answers, and by the browser-only analyzer, which cannot reach one.
+
+/**
+ * Writes a short review from the analysis alone.
+ * @param {object} context - { profile, repos, langTotals, hireabilityScore }
+ * @returns {string} Review text.
+ */
+function templateReview({ profile, repos, langTotals, hireabilityScore }) {
+    const languages = Object.entries(langTotals).sort(([, a], [, b]) => b - a).map(([lang]) => lang);
+    const [primary, ...others] = languages;
+    const secondary = others.slice(0, 2);
+
+    const sentences = [
+        `${profile.name || profile.login} has ${repos.length} analyzed public repositories and ${profile.followers} followers, with a Hireability Score of ${hireabilityScore}/100.`,
+    ];
+    if (primary) {
+        sentences.push(`Most code is written in ${primary}${secondary.length ? `, followed by ${secondary.join(' and ')}` : ''}.`);
+        sentences.push(`This candidate is a fit for roles requiring expertise in ${primary}.`);
+    } else {
+        sentences.push('No primary language could be detected from the analyzed repositories.');
+    }
+    return sentences.join(' ');
+}
+
+export { templateReview };